@@ -0,0 +1,28 @@
+// ==========================================
+// AUDIO ENCODER - WAV & FLAC WORKER CLIENT
+// ==========================================
+
+// Main-thread side of encoder-worker.js. terminate() (from WorkerClient)
+// cancels an encode in progress. Not called AudioEncoder: that is the
+// WebCodecs global, and the optional-module check in script.js would see it.
+class WavFlacEncoder extends WorkerClient {
+  constructor(url = 'encoder-worker.js') {
+    super(url);
+  }
+
+  // Resolves with a Blob of the buffer from sample `offset` on; onProgress
+  // gets values from 0 to 1. The channel data is copied, so the buffer
+  // stays usable.
+  encode(audioBuffer, format, { offset = 0, onProgress = null } = {}) {
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      channels.push(audioBuffer.getChannelData(c).slice(offset));
+    }
+
+    return this.request(
+      { type: 'encode', format, channels, sampleRate: audioBuffer.sampleRate },
+      channels.map(data => data.buffer),
+      onProgress
+    ).then(message => message.blob);
+  }
+}
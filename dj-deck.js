@@ -0,0 +1,298 @@
+// ==========================================
+// DJ DECK - ONE TURNTABLE OF THE DJ MODE
+// ==========================================
+
+// Audio side of a deck in the two-deck DJ mode. Each deck has its own
+// <audio> element, pitch shifter and scratch engine; the owner draws the
+// record, handles the pointer and connects the output to the master bus.
+//
+// <audio> -> pitch shifter -> element gain -+
+//                          scratch engine --+-> low/mid/high kill
+//   -> deck gain -> crossfader gain -> output
+
+// Gains of deck A and deck B for a crossfader position from 0 (only A)
+// to 1 (only B)
+const CROSSFADER_CURVES = {
+  // Constant power: no dip in the middle, for long blends
+  smooth: x => [Math.cos((x * Math.PI) / 2), Math.sin((x * Math.PI) / 2)],
+  linear: x => [1 - x, x],
+  // Both decks at full level except at the very ends, for cuts and scratching
+  cut: x => [Math.min(1, (1 - x) / 0.05), Math.min(1, x / 0.05)]
+};
+
+// The tempo fader moves ±16%, like a turntable's wide pitch range
+const DECK_TEMPO_RANGE = 0.16;
+
+// Kill switches pull one band down by the most a BiquadFilterNode allows
+const DECK_EQ_BANDS = [
+  { id: 'low', type: 'lowshelf', frequency: 250 },
+  { id: 'mid', type: 'peaking', frequency: 1000, Q: 0.7 },
+  { id: 'high', type: 'highshelf', frequency: 4000 }
+];
+const DECK_KILL_GAIN = -40;
+
+class DjDeck {
+  constructor(audioContext, audio, output) {
+    this.audioContext = audioContext;
+    this.audio = audio;
+    this.track = null;
+    this.coverImage = null;
+
+    // Tempo as a rate, key shift in semitones; keylock keeps the key when
+    // the tempo changes (the player's "tempo" speed mode)
+    this.playbackRate = 1;
+    this.pitchValue = 0;
+    this.keylock = false;
+
+    this.pitchShifterNode = null;
+    this.scratchEngine = null;
+    this.isScratching = false;
+    this.resumeAfterScratch = false;
+    this.lastScratchTime = 0;
+    this.scratchIdle = true;
+    this.rotation = 0;
+
+    this.source = audioContext.createMediaElementSource(audio);
+    this.elementGain = audioContext.createGain();
+
+    this.filters = DECK_EQ_BANDS.map((band) => {
+      const filter = audioContext.createBiquadFilter();
+      filter.type = band.type;
+      filter.frequency.value = band.frequency;
+      if (band.Q) filter.Q.value = band.Q;
+      filter.gain.value = 0;
+      return filter;
+    });
+    this.kills = { low: false, mid: false, high: false };
+
+    this.gainNode = audioContext.createGain();
+    this.faderGain = audioContext.createGain();
+
+    this.source.connect(this.elementGain);
+    this.elementGain.connect(this.filters[0]);
+    for (let i = 1; i < this.filters.length; i++) {
+      this.filters[i - 1].connect(this.filters[i]);
+    }
+    this.filters[this.filters.length - 1].connect(this.gainNode);
+    this.gainNode.connect(this.faderGain);
+    this.faderGain.connect(output);
+  }
+
+  // The pitch shifter and scratch engine are optional, as in the player:
+  // without them the key follows the tempo and the record only seeks
+  async init(pitchShifterModule) {
+    if (pitchShifterModule) {
+      try {
+        await pitchShifterModule;
+        this.pitchShifterNode = new AudioWorkletNode(this.audioContext, 'pitch-shifter', {
+          outputChannelCount: [2]
+        });
+        this.source.disconnect();
+        this.source.connect(this.pitchShifterNode);
+        this.pitchShifterNode.connect(this.elementGain);
+      } catch (error) {
+        console.warn('Deck pitch shifter unavailable:', error);
+        this.pitchShifterNode = null;
+      }
+    }
+    this.updatePlaybackRate();
+
+    if (typeof ScratchEngine !== 'undefined' && this.audioContext.audioWorklet) {
+      try {
+        // Scratch audio goes through the kills but skips the pitch shifter
+        this.scratchEngine = new ScratchEngine(this.audioContext, this.filters[0]);
+        await this.scratchEngine.init();
+        if (this.track) this.prepareScratch(this.track);
+      } catch (error) {
+        console.warn('Deck scratch engine unavailable:', error);
+        this.scratchEngine = null;
+      }
+    }
+  }
+
+  get isPlaying() {
+    return !!this.audio.src && !this.audio.paused;
+  }
+
+  load(track) {
+    this.pause();
+    this.track = track;
+    this.audio.src = track.url;
+    this.audio.currentTime = 0;
+
+    if (track.coverArt) {
+      this.coverImage = new Image();
+      this.coverImage.src = track.coverArt;
+    } else {
+      this.coverImage = null;
+    }
+
+    this.updatePlaybackRate();
+    this.prepareScratch(track);
+  }
+
+  // Each deck decodes its own record, so neither evicts the other
+  async prepareScratch(track) {
+    if (!this.scratchEngine || !track.file || this.scratchEngine.isLoaded(track.id)) return;
+
+    this.scratchEngine.unload();
+    try {
+      const data = await track.file.arrayBuffer();
+      const buffer = await new Promise((resolve, reject) => {
+        this.audioContext.decodeAudioData(data, resolve, reject);
+      });
+      if (this.track === track) this.scratchEngine.load(track.id, buffer);
+    } catch (error) {
+      console.warn('Failed to decode track for the deck:', error);
+    }
+  }
+
+  play() {
+    if (!this.audio.src) return;
+    if (this.audioContext.state === 'suspended') this.audioContext.resume();
+    this.audio.play();
+  }
+
+  pause() {
+    this.audio.pause();
+  }
+
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  setPlaybackRate(rate) {
+    this.playbackRate = rate;
+    this.updatePlaybackRate();
+  }
+
+  setPitch(semitones) {
+    this.pitchValue = semitones;
+    this.updatePlaybackRate();
+  }
+
+  setKeylock(enabled) {
+    this.keylock = enabled;
+    this.updatePlaybackRate();
+  }
+
+  // Same rules as the player's updatePlaybackRate
+  updatePlaybackRate() {
+    const pitchFactor = Math.pow(2, this.pitchValue / 12);
+    const preservesPitch = this.keylock && !this.pitchShifterNode;
+    this.audio.preservesPitch = preservesPitch;
+    this.audio.mozPreservesPitch = preservesPitch;
+    this.audio.webkitPreservesPitch = preservesPitch;
+
+    if (this.pitchShifterNode) {
+      const ratio = this.keylock ? pitchFactor / this.playbackRate : pitchFactor;
+      this.audio.playbackRate = this.playbackRate;
+      this.pitchShifterNode.parameters
+        .get('pitchRatio')
+        .setValueAtTime(ratio, this.audioContext.currentTime);
+    } else {
+      this.audio.playbackRate = this.playbackRate * pitchFactor;
+    }
+  }
+
+  // How far the deck moves tempo and pitch, as ratios
+  getPlaybackShift() {
+    const pitchFactor = Math.pow(2, this.pitchValue / 12);
+
+    if (this.pitchShifterNode) {
+      return {
+        tempo: this.playbackRate,
+        pitch: this.keylock ? pitchFactor : this.playbackRate * pitchFactor
+      };
+    }
+
+    const rate = this.playbackRate * pitchFactor;
+    return { tempo: rate, pitch: this.keylock ? 1 : rate };
+  }
+
+  // Tempo as heard, or null before the track's BPM is known
+  getCurrentBpm() {
+    return this.track && this.track.bpm ? this.track.bpm * this.getPlaybackShift().tempo : null;
+  }
+
+  // Rate that makes this deck play at `bpm`, allowing for half and double
+  // time; null when the track has no BPM yet
+  getSyncRate(bpm) {
+    if (!this.track || !this.track.bpm || !bpm) return null;
+
+    const pitchFactor = this.pitchShifterNode ? 1 : Math.pow(2, this.pitchValue / 12);
+    let target = bpm;
+    while (target / this.track.bpm > 1.5) target /= 2;
+    while (target / this.track.bpm < 0.75) target *= 2;
+
+    return target / this.track.bpm / pitchFactor;
+  }
+
+  // Linear gain, already mapped from the slider by the owner
+  setGain(value) {
+    this.gainNode.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.01);
+  }
+
+  setFaderGain(value) {
+    this.faderGain.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.005);
+  }
+
+  setKill(band, enabled) {
+    const index = DECK_EQ_BANDS.findIndex(item => item.id === band);
+    if (index < 0) return;
+
+    this.kills[band] = enabled;
+    this.filters[index].gain.setTargetAtTime(enabled ? DECK_KILL_GAIN : 0, this.audioContext.currentTime, 0.005);
+  }
+
+  // Grabbing the record hands the sound to the scratch engine, as in the
+  // player; without a decoded buffer the hand only seeks
+  grab() {
+    if (!this.scratchEngine || !this.track || !this.scratchEngine.isLoaded(this.track.id)) return;
+
+    this.isScratching = true;
+    this.scratchIdle = true;
+    this.resumeAfterScratch = this.isPlaying;
+    this.scratchEngine.start(this.audio.currentTime);
+    this.elementGain.gain.setTargetAtTime(0, this.audioContext.currentTime, 0.005);
+    this.audio.pause();
+
+    if (this.audioContext.state === 'suspended') this.audioContext.resume();
+  }
+
+  // seconds of audio moved by the hand over `elapsed` seconds
+  scratch(seconds, elapsed) {
+    this.lastScratchTime = performance.now();
+
+    if (this.isScratching) {
+      this.scratchEngine.setRate(Math.max(-16, Math.min(16, seconds / elapsed)));
+      this.scratchIdle = false;
+    } else if (this.audio.duration) {
+      this.audio.currentTime = Math.max(0, Math.min(this.audio.duration, this.audio.currentTime + seconds));
+    }
+  }
+
+  // A still hand holds the record
+  updateScratchIdle() {
+    if (this.isScratching && !this.scratchIdle && performance.now() - this.lastScratchTime > 50) {
+      this.scratchEngine.setRate(0);
+      this.scratchIdle = true;
+    }
+  }
+
+  async release() {
+    if (!this.isScratching) return;
+    this.isScratching = false;
+
+    const position = await this.scratchEngine.stop();
+    if (this.isScratching) return;
+
+    this.audio.currentTime = position;
+    if (this.resumeAfterScratch) this.audio.play();
+    this.elementGain.gain.setTargetAtTime(1, this.audioContext.currentTime, 0.01);
+  }
+}
@@ -0,0 +1,144 @@
+// ==========================================
+// EFFECTS CHAIN - EQ, TONE, WIDTH, DYNAMICS
+// ==========================================
+
+// input -> 10-band graphic EQ -> bass/treble shelves -> stereo width
+//       -> compressor -> limiter -> output
+// Settings are plain objects so they can be stored as presets or per track.
+
+const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const EQ_RANGE = 12;
+
+// Built-in graphic EQ curves, in dB per band
+const EQ_PRESETS = {
+  flat: { name: 'Ровно', bands: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  rock: { name: 'Рок', bands: [5, 4, 3, 1, -1, -1, 1, 3, 4, 5] },
+  pop: { name: 'Поп', bands: [-1, 1, 3, 4, 3, 1, -1, -1, 1, 2] },
+  jazz: { name: 'Джаз', bands: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+  classical: { name: 'Классика', bands: [4, 3, 2, 1, 0, 0, 0, 2, 3, 4] },
+  electronic: { name: 'Электроника', bands: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5] },
+  vocal: { name: 'Вокал', bands: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+  bassBoost: { name: 'Больше баса', bands: [7, 6, 4, 2, 0, 0, 0, 0, 0, 0] },
+  trebleBoost: { name: 'Больше верхов', bands: [0, 0, 0, 0, 0, 1, 2, 4, 6, 7] },
+  loudness: { name: 'Тонкомпенсация', bands: [6, 4, 1, 0, -1, 0, 0, 1, 4, 6] }
+};
+
+class EffectsChain {
+  constructor(audioContext) {
+    this.audioContext = audioContext;
+
+    this.input = audioContext.createGain();
+    this.output = audioContext.createGain();
+
+    // Graphic EQ: one octave-wide peaking filter per band
+    this.bands = EQ_FREQUENCIES.map((frequency) => {
+      const filter = audioContext.createBiquadFilter();
+      filter.type = 'peaking';
+      filter.frequency.value = frequency;
+      filter.Q.value = 1.41;
+      filter.gain.value = 0;
+      return filter;
+    });
+
+    this.bass = audioContext.createBiquadFilter();
+    this.bass.type = 'lowshelf';
+    this.bass.frequency.value = 120;
+
+    this.treble = audioContext.createBiquadFilter();
+    this.treble.type = 'highshelf';
+    this.treble.frequency.value = 6000;
+
+    // Stereo width as a 2x2 matrix: L' = a*L + b*R, R' = a*R + b*L
+    // with a = (1 + width) / 2 and b = (1 - width) / 2
+    this.splitter = audioContext.createChannelSplitter(2);
+    this.merger = audioContext.createChannelMerger(2);
+    this.direct = [audioContext.createGain(), audioContext.createGain()];
+    this.cross = [audioContext.createGain(), audioContext.createGain()];
+
+    this.splitter.connect(this.direct[0], 0);
+    this.splitter.connect(this.direct[1], 1);
+    this.splitter.connect(this.cross[0], 1);
+    this.splitter.connect(this.cross[1], 0);
+    this.direct[0].connect(this.merger, 0, 0);
+    this.cross[0].connect(this.merger, 0, 0);
+    this.direct[1].connect(this.merger, 0, 1);
+    this.cross[1].connect(this.merger, 0, 1);
+
+    this.compressor = audioContext.createDynamicsCompressor();
+    this.compressor.knee.value = 6;
+    this.compressor.attack.value = 0.01;
+    this.compressor.release.value = 0.25;
+
+    // Fast, hard-kneed compressor just below full scale
+    this.limiter = audioContext.createDynamicsCompressor();
+    this.limiter.threshold.value = -1;
+    this.limiter.knee.value = 0;
+    this.limiter.ratio.value = 20;
+    this.limiter.attack.value = 0.001;
+    this.limiter.release.value = 0.1;
+
+    const chain = [this.input, ...this.bands, this.bass, this.treble, this.splitter];
+    for (let i = 0; i < chain.length - 1; i++) {
+      chain[i].connect(chain[i + 1]);
+    }
+    this.merger.connect(this.compressor);
+    this.compressor.connect(this.limiter);
+    this.limiter.connect(this.output);
+
+    this.settings = EffectsChain.defaultSettings();
+    this.apply(this.settings, 0);
+  }
+
+  static defaultSettings() {
+    return {
+      eq: EQ_PRESETS.flat.bands.slice(),
+      bass: 0,
+      treble: 0,
+      width: 1,
+      compressor: false,
+      compressorThreshold: -24,
+      limiter: true
+    };
+  }
+
+  // Fill in anything missing from older or partial settings
+  static normalize(settings) {
+    const defaults = EffectsChain.defaultSettings();
+    const result = Object.assign(defaults, settings || {});
+    result.eq = EQ_FREQUENCIES.map((_, i) => {
+      const value = Number(result.eq && result.eq[i]);
+      return isFinite(value) ? Math.max(-EQ_RANGE, Math.min(EQ_RANGE, value)) : 0;
+    });
+    return result;
+  }
+
+  setParam(param, value, smoothing) {
+    const now = this.audioContext.currentTime;
+    param.cancelScheduledValues(now);
+    if (smoothing > 0) {
+      param.setTargetAtTime(value, now, smoothing);
+    } else {
+      param.setValueAtTime(value, now);
+    }
+  }
+
+  apply(settings, smoothing = 0.02) {
+    this.settings = EffectsChain.normalize(settings);
+    const s = this.settings;
+
+    this.bands.forEach((band, i) => this.setParam(band.gain, s.eq[i], smoothing));
+    this.setParam(this.bass.gain, s.bass, smoothing);
+    this.setParam(this.treble.gain, s.treble, smoothing);
+
+    const direct = (1 + s.width) / 2;
+    const cross = (1 - s.width) / 2;
+    this.direct.forEach(gain => this.setParam(gain.gain, direct, smoothing));
+    this.cross.forEach(gain => this.setParam(gain.gain, cross, smoothing));
+
+    // A disabled stage stays in the graph at unity so latency never changes
+    this.setParam(this.compressor.threshold, s.compressor ? s.compressorThreshold : 0, smoothing);
+    this.setParam(this.compressor.ratio, s.compressor ? 4 : 1, smoothing);
+    this.setParam(this.limiter.threshold, s.limiter ? -1 : 0, smoothing);
+    this.setParam(this.limiter.ratio, s.limiter ? 20 : 1, smoothing);
+  }
+}
@@ -0,0 +1,447 @@
+// ==========================================
+// ENCODER WORKER - WAV & FLAC OUTPUT
+// ==========================================
+
+// Turns rendered audio into a 16-bit WAV or FLAC file off the main thread.
+// Samples are quantized with triangular dither. The FLAC encoder is a small
+// one: fixed predictors (order 0-4), Rice-coded residuals with partitioning
+// and, for stereo, whichever of left/right, left/side, right/side or
+// mid/side is smallest for each block. Files come out without tags; the
+// tag worker adds them afterwards.
+//
+// Request:  { id, type: 'encode', format: 'wav' | 'flac', channels: [Float32Array], sampleRate }
+// Progress: { id, progress } with progress from 0 to 1, while encoding
+// Response: { id, blob } or { id, error }
+
+const BITS_PER_SAMPLE = 16;
+const FLAC_BLOCK_SIZE = 4096;
+const MAX_PARTITION_ORDER = 6;
+const MAX_RICE_PARAMETER = 14; // 15 is the escape code
+
+// ==========================================
+// QUANTIZATION
+// ==========================================
+
+function quantize(samples) {
+  const scale = 32767;
+  const output = new Int32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const dither = Math.random() - Math.random();
+    const value = Math.round(samples[i] * scale + dither);
+    output[i] = value > 32767 ? 32767 : (value < -32768 ? -32768 : value);
+  }
+  return output;
+}
+
+// ==========================================
+// WAV
+// ==========================================
+
+function encodeWav(channels, sampleRate) {
+  const count = channels.length;
+  const frames = channels[0].length;
+  const blockAlign = count * 2;
+  const dataSize = frames * blockAlign;
+
+  const header = new DataView(new ArrayBuffer(44));
+  const writeAscii = (offset, text) => {
+    for (let i = 0; i < text.length; i++) header.setUint8(offset + i, text.charCodeAt(i));
+  };
+  writeAscii(0, 'RIFF');
+  header.setUint32(4, 36 + dataSize, true);
+  writeAscii(8, 'WAVE');
+  writeAscii(12, 'fmt ');
+  header.setUint32(16, 16, true);
+  header.setUint16(20, 1, true); // PCM
+  header.setUint16(22, count, true);
+  header.setUint32(24, sampleRate, true);
+  header.setUint32(28, sampleRate * blockAlign, true);
+  header.setUint16(32, blockAlign, true);
+  header.setUint16(34, BITS_PER_SAMPLE, true);
+  writeAscii(36, 'data');
+  header.setUint32(40, dataSize, true);
+
+  const data = new Int16Array(frames * count);
+  for (let c = 0; c < count; c++) {
+    const samples = quantize(channels[c]);
+    for (let i = 0; i < frames; i++) data[i * count + c] = samples[i];
+  }
+
+  // Int16Array is little-endian on every platform browsers run on
+  return new Blob([header.buffer, data.buffer], { type: 'audio/wav' });
+}
+
+// ==========================================
+// FLAC - BIT WRITER & CHECKSUMS
+// ==========================================
+
+const CRC8_TABLE = new Uint8Array(256);
+const CRC16_TABLE = new Uint16Array(256);
+for (let i = 0; i < 256; i++) {
+  let crc8 = i;
+  let crc16 = i << 8;
+  for (let bit = 0; bit < 8; bit++) {
+    crc8 = crc8 & 0x80 ? ((crc8 << 1) ^ 0x07) & 0xff : (crc8 << 1) & 0xff;
+    crc16 = crc16 & 0x8000 ? ((crc16 << 1) ^ 0x8005) & 0xffff : (crc16 << 1) & 0xffff;
+  }
+  CRC8_TABLE[i] = crc8;
+  CRC16_TABLE[i] = crc16;
+}
+
+function crc8(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = CRC8_TABLE[crc ^ bytes[i]];
+  return crc;
+}
+
+function crc16(bytes, start, end) {
+  let crc = 0;
+  for (let i = start; i < end; i++) crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+  return crc;
+}
+
+// MSB-first bit writer over a growing byte array
+class BitWriter {
+  constructor(size = 65536) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+    this.buffer = 0;
+    this.bits = 0;
+  }
+
+  push(byte) {
+    if (this.length === this.bytes.length) {
+      const grown = new Uint8Array(this.bytes.length * 2);
+      grown.set(this.bytes);
+      this.bytes = grown;
+    }
+    this.bytes[this.length++] = byte;
+  }
+
+  // Up to 24 bits at a time; negative values are written in two's complement
+  write(value, count) {
+    if (count === 0) return;
+    this.buffer = (this.buffer << count) | (value & ((1 << count) - 1));
+    this.bits += count;
+    while (this.bits >= 8) {
+      this.bits -= 8;
+      this.push((this.buffer >>> this.bits) & 0xff);
+    }
+    this.buffer &= (1 << this.bits) - 1;
+  }
+
+  // q zeros and a one
+  writeUnary(q) {
+    while (q >= 16) {
+      this.write(0, 16);
+      q -= 16;
+    }
+    this.write(1, q + 1);
+  }
+
+  align() {
+    if (this.bits > 0) this.write(0, 8 - this.bits);
+  }
+
+  // Bytes written so far; only meaningful after align()
+  take() {
+    const bytes = this.bytes.slice(0, this.length);
+    this.length = 0;
+    return bytes;
+  }
+}
+
+// Frame numbers use the UTF-8 scheme, extended to 36 bits
+function writeUtf8Number(writer, value) {
+  if (value < 0x80) {
+    writer.write(value, 8);
+    return;
+  }
+
+  let continuation = 1;
+  while (value >= Math.pow(2, 6 * continuation + (6 - continuation))) continuation++;
+
+  const lead = (0xff00 >> (continuation + 1)) & 0xff;
+  writer.write(lead | Math.floor(value / Math.pow(2, 6 * continuation)), 8);
+  for (let i = continuation - 1; i >= 0; i--) {
+    writer.write(0x80 | (Math.floor(value / Math.pow(2, 6 * i)) & 0x3f), 8);
+  }
+}
+
+// ==========================================
+// FLAC - SUBFRAMES
+// ==========================================
+
+// Residual of the fixed predictor of `order` at sample i
+function fixedResidual(x, i, order) {
+  switch (order) {
+    case 0: return x[i];
+    case 1: return x[i] - x[i - 1];
+    case 2: return x[i] - 2 * x[i - 1] + x[i - 2];
+    case 3: return x[i] - 3 * x[i - 1] + 3 * x[i - 2] - x[i - 3];
+    default: return x[i] - 4 * x[i - 1] + 6 * x[i - 2] - 4 * x[i - 3] + x[i - 4];
+  }
+}
+
+// Predictor order with the smallest summed residual, and that sum as a
+// rough measure of how well the channel compresses
+function chooseOrder(x) {
+  const sums = [0, 0, 0, 0, 0];
+  if (x.length > 4) {
+    // Each order's residual is the difference of the one below
+    let e1 = x[3] - x[2];
+    let e2 = e1 - (x[2] - x[1]);
+    let e3 = e2 - (x[2] - 2 * x[1] + x[0]);
+    for (let i = 4; i < x.length; i++) {
+      const e0 = x[i];
+      const n1 = e0 - x[i - 1];
+      const n2 = n1 - e1;
+      const n3 = n2 - e2;
+      const n4 = n3 - e3;
+      sums[0] += e0 < 0 ? -e0 : e0;
+      sums[1] += n1 < 0 ? -n1 : n1;
+      sums[2] += n2 < 0 ? -n2 : n2;
+      sums[3] += n3 < 0 ? -n3 : n3;
+      sums[4] += n4 < 0 ? -n4 : n4;
+      e1 = n1;
+      e2 = n2;
+      e3 = n3;
+    }
+  }
+
+  let order = 0;
+  for (let o = 1; o <= 4; o++) {
+    if (sums[o] < sums[order]) order = o;
+  }
+  // Short blocks cannot fill the warm-up of a high order
+  order = Math.min(order, Math.max(0, x.length - 1));
+  return { order, cost: sums[order] };
+}
+
+// Best partition order and per-partition Rice parameters for the
+// zigzag-folded residual. Bit costs are exact: the sum of (u >> k) is
+// collected for every k at the finest partitioning and merged upwards.
+function planResidual(folded, blockSize, order) {
+  let finest = 0;
+  while (
+    finest < MAX_PARTITION_ORDER &&
+    blockSize % (1 << (finest + 1)) === 0 &&
+    (blockSize >> (finest + 1)) > order
+  ) {
+    finest++;
+  }
+
+  let partitions = 1 << finest;
+  const size = blockSize >> finest;
+  let counts = [];
+  let sums = [];
+  for (let j = 0; j < partitions; j++) {
+    const start = j === 0 ? 0 : j * size - order;
+    const end = (j + 1) * size - order;
+    counts.push(end - start);
+    const row = new Float64Array(MAX_RICE_PARAMETER + 1);
+    for (let k = 0; k <= MAX_RICE_PARAMETER; k++) {
+      let sum = 0;
+      for (let i = start; i < end; i++) sum += folded[i] >>> k;
+      row[k] = sum;
+    }
+    sums.push(row);
+  }
+
+  let best = null;
+  for (let p = finest; p >= 0; p--) {
+    let bits = 0;
+    const parameters = [];
+    for (let j = 0; j < partitions; j++) {
+      let bestK = 0;
+      let bestBits = Infinity;
+      for (let k = 0; k <= MAX_RICE_PARAMETER; k++) {
+        const cost = counts[j] * (k + 1) + sums[j][k];
+        if (cost < bestBits) {
+          bestBits = cost;
+          bestK = k;
+        }
+      }
+      parameters.push(bestK);
+      bits += 4 + bestBits;
+    }
+    if (!best || bits < best.bits) best = { order: p, parameters, bits };
+
+    if (p > 0) {
+      partitions >>= 1;
+      counts = Array.from({ length: partitions }, (_, j) => counts[2 * j] + counts[2 * j + 1]);
+      sums = Array.from({ length: partitions }, (_, j) => sums[2 * j].map((value, k) => value + sums[2 * j + 1][k]));
+    }
+  }
+
+  best.bits += 6; // coding method and partition order
+  return best;
+}
+
+function writeSubframe(writer, x, bps) {
+  const blockSize = x.length;
+
+  let constant = true;
+  for (let i = 1; i < blockSize && constant; i++) constant = x[i] === x[0];
+  if (constant) {
+    writer.write(0, 8); // padding bit, CONSTANT, no wasted bits
+    writer.write(x[0], bps);
+    return;
+  }
+
+  const { order } = chooseOrder(x);
+  // Residuals stay well inside 32 bits for 17-bit input
+  const folded = new Uint32Array(blockSize - order);
+  for (let i = order; i < blockSize; i++) {
+    const e = fixedResidual(x, i, order);
+    folded[i - order] = e >= 0 ? 2 * e : -2 * e - 1;
+  }
+  const plan = planResidual(folded, blockSize, order);
+
+  if (order * bps + plan.bits >= blockSize * bps) {
+    writer.write(0x02, 8); // VERBATIM
+    for (let i = 0; i < blockSize; i++) writer.write(x[i], bps);
+    return;
+  }
+
+  writer.write((0x08 | order) << 1, 8); // FIXED
+  for (let i = 0; i < order; i++) writer.write(x[i], bps);
+
+  writer.write(0, 2); // Rice, 4-bit parameters
+  writer.write(plan.order, 4);
+  const partitionSize = blockSize >> plan.order;
+  let position = 0;
+  plan.parameters.forEach((k, j) => {
+    writer.write(k, 4);
+    const end = (j + 1) * partitionSize - order;
+    for (; position < end; position++) {
+      const u = folded[position];
+      writer.writeUnary(u >>> k);
+      if (k > 0) writer.write(u, k);
+    }
+  });
+}
+
+// ==========================================
+// FLAC - FRAMES & STREAM
+// ==========================================
+
+// Channel layout for a stereo block: 1 = left/right, 8 = left/side,
+// 9 = right/side, 10 = mid/side; the side channel needs one more bit
+function chooseStereo(left, right) {
+  const length = left.length;
+  const side = new Int32Array(length);
+  const mid = new Int32Array(length);
+  for (let i = 0; i < length; i++) {
+    side[i] = left[i] - right[i];
+    mid[i] = (left[i] + right[i]) >> 1;
+  }
+
+  const cost = {
+    left: chooseOrder(left).cost,
+    right: chooseOrder(right).cost,
+    side: chooseOrder(side).cost,
+    mid: chooseOrder(mid).cost
+  };
+
+  const options = [
+    { assignment: 1, cost: cost.left + cost.right, channels: [[left, 0], [right, 0]] },
+    { assignment: 8, cost: cost.left + cost.side, channels: [[left, 0], [side, 1]] },
+    { assignment: 9, cost: cost.side + cost.right, channels: [[side, 1], [right, 0]] },
+    { assignment: 10, cost: cost.mid + cost.side, channels: [[mid, 0], [side, 1]] }
+  ];
+  return options.reduce((best, option) => (option.cost < best.cost ? option : best));
+}
+
+function writeFrame(writer, channels, frameNumber) {
+  const blockSize = channels[0].length;
+  const layout = channels.length === 2
+    ? chooseStereo(channels[0], channels[1])
+    : { assignment: channels.length - 1, channels: channels.map(x => [x, 0]) };
+
+  const start = writer.length;
+  writer.write(0x3ffe, 14); // sync
+  writer.write(0, 2); // reserved, fixed block size
+  writer.write(blockSize === FLAC_BLOCK_SIZE ? 12 : 7, 4);
+  writer.write(0, 4); // sample rate from STREAMINFO
+  writer.write(layout.assignment, 4);
+  writer.write(4, 3); // 16 bits per sample
+  writer.write(0, 1);
+  writeUtf8Number(writer, frameNumber);
+  if (blockSize !== FLAC_BLOCK_SIZE) writer.write(blockSize - 1, 16);
+  writer.write(crc8(writer.bytes, start, writer.length), 8);
+
+  layout.channels.forEach(([x, extraBits]) => writeSubframe(writer, x, BITS_PER_SAMPLE + extraBits));
+
+  writer.align();
+  writer.write(crc16(writer.bytes, start, writer.length), 16);
+}
+
+function streamInfo(sampleRate, channelCount, totalSamples, minFrame, maxFrame) {
+  const writer = new BitWriter(64);
+  writer.write(1, 1); // last metadata block until the tag writer adds more
+  writer.write(0, 7); // STREAMINFO
+  writer.write(34, 24);
+  writer.write(FLAC_BLOCK_SIZE, 16);
+  writer.write(FLAC_BLOCK_SIZE, 16);
+  writer.write(minFrame, 24);
+  writer.write(maxFrame, 24);
+  writer.write(sampleRate, 20);
+  writer.write(channelCount - 1, 3);
+  writer.write(BITS_PER_SAMPLE - 1, 5);
+  writer.write(Math.floor(totalSamples / 0x1000000), 12);
+  writer.write(totalSamples % 0x1000000, 24);
+  for (let i = 0; i < 16; i++) writer.write(0, 8); // MD5 not computed
+  return writer.take();
+}
+
+function encodeFlac(channels, sampleRate, onProgress) {
+  const quantized = channels.map(quantize);
+  const totalSamples = quantized[0].length;
+  const frames = Math.ceil(totalSamples / FLAC_BLOCK_SIZE);
+  const parts = [];
+  const writer = new BitWriter(1 << 20);
+  let minFrame = Infinity;
+  let maxFrame = 0;
+  let frameStart = 0;
+
+  for (let frame = 0; frame < frames; frame++) {
+    const start = frame * FLAC_BLOCK_SIZE;
+    const end = Math.min(totalSamples, start + FLAC_BLOCK_SIZE);
+    writeFrame(writer, quantized.map(x => x.subarray(start, end)), frame);
+
+    const size = writer.length - frameStart;
+    minFrame = Math.min(minFrame, size);
+    maxFrame = Math.max(maxFrame, size);
+
+    // Hand over full chunks now and then instead of growing one huge array
+    if (writer.length > (1 << 19)) {
+      parts.push(writer.take());
+      frameStart = 0;
+    } else {
+      frameStart = writer.length;
+    }
+
+    if (frame % 64 === 63) onProgress((frame + 1) / frames);
+  }
+  parts.push(writer.take());
+
+  const marker = new Uint8Array([0x66, 0x4c, 0x61, 0x43]); // fLaC
+  const info = streamInfo(sampleRate, quantized.length, totalSamples, frames > 0 ? minFrame : 0, maxFrame);
+  return new Blob([marker, info, ...parts], { type: 'audio/flac' });
+}
+
+self.onmessage = (event) => {
+  const { id, type, format, channels, sampleRate } = event.data;
+
+  try {
+    if (type === 'encode') {
+      const blob = format === 'flac'
+        ? encodeFlac(channels, sampleRate, progress => self.postMessage({ id, progress }))
+        : encodeWav(channels, sampleRate);
+      self.postMessage({ id, blob });
+    }
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
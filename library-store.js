@@ -0,0 +1,142 @@
+// ==========================================
+// LIBRARY STORE - INDEXEDDB PERSISTENCE
+// ==========================================
+
+// Track metadata and the audio blobs live in separate object stores so that
+// saving per-track state (position, tags) never rewrites the audio file.
+class LibraryStore {
+  constructor(name = 'vinyl-player') {
+    this.name = name;
+    this.version = 3;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(this.name, this.version);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains('tracks')) {
+          const tracks = db.createObjectStore('tracks', { keyPath: 'id' });
+          tracks.createIndex('addedAt', 'addedAt');
+        }
+
+        if (!db.objectStoreNames.contains('files')) {
+          db.createObjectStore('files');
+        }
+
+        if (!db.objectStoreNames.contains('playlists')) {
+          db.createObjectStore('playlists', { keyPath: 'id' });
+        }
+
+        if (!db.objectStoreNames.contains('listens')) {
+          const listens = db.createObjectStore('listens', { keyPath: 'id' });
+          listens.createIndex('startedAt', 'startedAt');
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version in another tab upgrade the schema; the next
+        // call opens the database again
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => console.warn('Library database upgrade blocked by another tab');
+    });
+
+    return this.dbPromise;
+  }
+
+  // Run a single request inside a transaction and resolve with its result
+  // once the transaction has committed.
+  async run(storeNames, mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const stores = [].concat(storeNames).map(name => transaction.objectStore(name));
+      const request = callback(...stores);
+      let result;
+
+      if (request) {
+        request.onsuccess = () => { result = request.result; };
+      }
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  getAllTracks() {
+    return this.run('tracks', 'readonly', (tracks) => tracks.index('addedAt').getAll());
+  }
+
+  getFile(id) {
+    return this.run('files', 'readonly', (files) => files.get(id));
+  }
+
+  putTrack(record) {
+    return this.run('tracks', 'readwrite', (tracks) => tracks.put(record));
+  }
+
+  addTrack(record, blob) {
+    return this.run(['tracks', 'files'], 'readwrite', (tracks, files) => {
+      tracks.put(record);
+      files.put(blob, record.id);
+    });
+  }
+
+  deleteTrack(id) {
+    return this.run(['tracks', 'files'], 'readwrite', (tracks, files) => {
+      tracks.delete(id);
+      files.delete(id);
+    });
+  }
+
+  clear() {
+    return this.run(['tracks', 'files'], 'readwrite', (tracks, files) => {
+      tracks.clear();
+      files.clear();
+    });
+  }
+
+  getAllPlaylists() {
+    return this.run('playlists', 'readonly', (playlists) => playlists.getAll());
+  }
+
+  putPlaylist(playlist) {
+    return this.run('playlists', 'readwrite', (playlists) => playlists.put(playlist));
+  }
+
+  deletePlaylist(id) {
+    return this.run('playlists', 'readwrite', (playlists) => playlists.delete(id));
+  }
+
+  // Listening history, oldest first
+  getAllListens() {
+    return this.run('listens', 'readonly', (listens) => listens.index('startedAt').getAll());
+  }
+
+  putListen(listen) {
+    return this.run('listens', 'readwrite', (listens) => listens.put(listen));
+  }
+
+  clearListens() {
+    return this.run('listens', 'readwrite', (listens) => listens.clear());
+  }
+}
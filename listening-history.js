@@ -0,0 +1,128 @@
+// ==========================================
+// LISTENING HISTORY - LISTENS, STATS & SUBMISSION
+// ==========================================
+
+// A listen is { id, trackId, title, artist, album, duration, startedAt,
+// listened, skipped }: startedAt in ms since the epoch, listened in seconds
+// of the track actually heard. Title, artist and album are copied so that
+// statistics outlive the track in the library.
+
+// ListenBrainz rule: a play counts once half of the track, or four minutes
+// of it, has been heard
+const LISTEN_MIN_SECONDS = 240;
+
+// ListenBrainz takes up to 1000 listens per request; smaller batches keep a
+// failed request cheap to repeat
+const LISTENS_PER_SUBMISSION = 100;
+
+const LISTENBRAINZ_API = 'https://api.listenbrainz.org';
+
+class ListeningHistory {
+  static counts(listened, duration) {
+    const threshold = duration > 0 ? Math.min(duration / 2, LISTEN_MIN_SECONDS) : LISTEN_MIN_SECONDS;
+    return listened >= threshold;
+  }
+
+  // ==========================================
+  // STATISTICS
+  // ==========================================
+
+  // listens sorted by startedAt; since is a timestamp, 0 for all time
+  static summarize(listens, since = 0) {
+    const period = listens.filter(listen => listen.startedAt >= since);
+    // Newest first, so names come from the latest listen after tag edits
+    const counted = period.filter(listen => !listen.skipped).reverse();
+    const lower = text => String(text || '').toLowerCase();
+
+    return {
+      plays: counted.length,
+      skips: period.length - counted.length,
+      listened: period.reduce((sum, listen) => sum + listen.listened, 0),
+      tracks: ListeningHistory.rank(counted, listen => listen.trackId, listen => ({
+        trackId: listen.trackId,
+        title: listen.title,
+        subtitle: listen.artist
+      })),
+      artists: ListeningHistory.rank(counted, listen => lower(listen.artist), listen => ({
+        title: listen.artist
+      })),
+      albums: ListeningHistory.rank(
+        counted.filter(listen => listen.album),
+        listen => `${lower(listen.album)}\u0000${lower(listen.artist)}`,
+        listen => ({ title: listen.album, subtitle: listen.artist })
+      )
+    };
+  }
+
+  // Most counted first, then most time listened: [{ ...describe, count, listened }]
+  static rank(listens, keyOf, describe, limit = 10) {
+    const groups = new Map();
+    listens.forEach((listen) => {
+      const key = keyOf(listen);
+      const group = groups.get(key);
+      if (group) {
+        group.count++;
+        group.listened += listen.listened;
+      } else {
+        groups.set(key, { ...describe(listen), count: 1, listened: listen.listened });
+      }
+    });
+
+    return Array.from(groups.values())
+      .sort((a, b) => b.count - a.count || b.listened - a.listened)
+      .slice(0, limit);
+  }
+
+  // Distinct tracks, last played first
+  static recentTrackIds(listens, limit) {
+    const ids = [];
+    for (let i = listens.length - 1; i >= 0 && ids.length < limit; i--) {
+      if (!ids.includes(listens[i].trackId)) ids.push(listens[i].trackId);
+    }
+    return ids;
+  }
+
+  // ==========================================
+  // SUBMISSION (LISTENBRAINZ API)
+  // ==========================================
+
+  // One entry of a submit-listens payload; listened_at is when the track
+  // started playing
+  static toSubmission(listen) {
+    const metadata = {
+      artist_name: listen.artist,
+      track_name: listen.title,
+      additional_info: {
+        submission_client: 'Vinyl Player'
+      }
+    };
+    if (listen.album) metadata.release_name = listen.album;
+    if (listen.duration > 0) metadata.additional_info.duration_ms = Math.round(listen.duration * 1000);
+
+    return { listened_at: Math.floor(listen.startedAt / 1000), track_metadata: metadata };
+  }
+
+  // POST <endpoint>/1/submit-listens. A failed request rejects with an error
+  // whose `retry` is false when sending the same thing again cannot help
+  // (bad token, rejected payload).
+  static async submit(endpoint, token, submissions) {
+    const response = await fetch(`${(endpoint || LISTENBRAINZ_API).replace(/\/+$/, '')}/1/submit-listens`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Token ${token}`
+      },
+      body: JSON.stringify({
+        listen_type: submissions.length === 1 ? 'single' : 'import',
+        payload: submissions
+      })
+    });
+
+    if (!response.ok) {
+      const error = new Error(`HTTP ${response.status}`);
+      error.status = response.status;
+      error.retry = response.status === 429 || response.status >= 500;
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,59 @@
+// ==========================================
+// LOUDNESS METER - R128 WORKER CLIENT
+// ==========================================
+
+// Main-thread side of loudness-worker.js. analyze measures a decoded track;
+// combine gates several measured tracks together for album gain.
+
+// ReplayGain 2.0 plays everything at -18 LUFS
+const LOUDNESS_REFERENCE = -18;
+
+class LoudnessMeter extends WorkerClient {
+  constructor(url = 'loudness-worker.js') {
+    super(url);
+  }
+
+  // Resolves with { integrated (LUFS), truePeak (dBTP), histogram }.
+  // Copies are transferred so the caller's AudioBuffer stays usable.
+  analyze(audioBuffer) {
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      channels.push(audioBuffer.getChannelData(c).slice());
+    }
+
+    return this.request(
+      { type: 'analyze', channels, sampleRate: audioBuffer.sampleRate },
+      channels.map(data => data.buffer)
+    ).then(message => message.result);
+  }
+
+  // Integrated loudness of several tracks as if they were one recording:
+  // their block histograms (0.1 LU bins above -70 LUFS) are merged and gated
+  // again. Returns null when no track has any audible blocks.
+  static combine(results) {
+    const counts = new Map();
+    results.forEach((result) => {
+      (result.histogram || []).forEach(([bin, count]) => {
+        counts.set(bin, (counts.get(bin) || 0) + count);
+      });
+    });
+
+    const bins = Array.from(counts.entries()).map(([bin, count]) => ({
+      loudness: -70 + (bin + 0.5) * 0.1,
+      energy: Math.pow(10, (-70 + (bin + 0.5) * 0.1 + 0.691) / 10),
+      count
+    }));
+
+    const mean = (items) => {
+      const blocks = items.reduce((sum, item) => sum + item.count, 0);
+      if (blocks === 0) return null;
+      const energy = items.reduce((sum, item) => sum + item.energy * item.count, 0) / blocks;
+      return -0.691 + 10 * Math.log10(energy);
+    };
+
+    const ungated = mean(bins);
+    if (ungated === null) return null;
+
+    return mean(bins.filter(item => item.loudness > ungated - 10));
+  }
+}
@@ -0,0 +1,223 @@
+// ==========================================
+// LOUDNESS WORKER - EBU R128 / BS.1770 METER
+// ==========================================
+
+// Measures integrated loudness (LUFS) and true peak (dBTP) of decoded audio
+// off the main thread, following ITU-R BS.1770-4 / EBU R128:
+// K-weighting -> 400 ms blocks every 100 ms -> absolute gate at -70 LUFS
+// -> relative gate 10 LU below the ungated level.
+//
+// Request:  { id, type: 'analyze', channels: [Float32Array], sampleRate }
+// Response: { id, result: { integrated, truePeak, histogram } } or { id, error }
+//
+// The histogram counts gated blocks in 0.1 LU bins above -70 LUFS, stored
+// sparsely as [bin, count] pairs. Histograms of several tracks can be merged
+// to gate a whole album the same way as a single long track.
+
+const ABSOLUTE_GATE = -70;
+const HISTOGRAM_STEP = 0.1;
+const HISTOGRAM_BINS = 1000; // -70 .. +30 LUFS
+
+// Channel weights for up to 5.1 (L, R, C, LFE, Ls, Rs)
+const CHANNEL_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+// K-weighting as two biquads, with coefficients derived for any sample
+// rate (the standard only lists them for 48 kHz)
+function kWeightingFilters(sampleRate) {
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+
+  // The high-pass numerator stays (1, -2, 1), as in the reference
+  const highpass = {
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  return [shelf, highpass];
+}
+
+// Squared K-weighted samples summed per 100 ms step, for one channel
+function weightedEnergy(samples, sampleRate, stepSize, steps) {
+  const [shelf, highpass] = kWeightingFilters(sampleRate);
+  const energy = new Float64Array(steps);
+
+  // Direct form I state; the high-pass input history is the shelf output
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0, z1 = 0, z2 = 0;
+
+  for (let step = 0; step < steps; step++) {
+    const end = Math.min(samples.length, (step + 1) * stepSize);
+    let sum = 0;
+
+    for (let i = step * stepSize; i < end; i++) {
+      const x = samples[i];
+      const y = shelf.b0 * x + shelf.b1 * x1 + shelf.b2 * x2 - shelf.a1 * y1 - shelf.a2 * y2;
+      const z = y - 2 * y1 + y2 - highpass.a1 * z1 - highpass.a2 * z2;
+
+      x2 = x1; x1 = x;
+      y2 = y1; y1 = y;
+      z2 = z1; z1 = z;
+
+      sum += z * z;
+    }
+
+    energy[step] = sum;
+  }
+
+  return energy;
+}
+
+function energyToLoudness(energy) {
+  return -0.691 + 10 * Math.log10(energy);
+}
+
+function measureLoudness(channels, sampleRate) {
+  const stepSize = Math.round(sampleRate * 0.1);
+  const length = channels[0] ? channels[0].length : 0;
+  const steps = Math.floor(length / stepSize);
+
+  // Mean square per 100 ms step, summed over weighted channels
+  const stepEnergy = new Float64Array(steps);
+  channels.forEach((samples, c) => {
+    const weight = channels.length <= 2 ? 1 : (CHANNEL_WEIGHTS[c] !== undefined ? CHANNEL_WEIGHTS[c] : 1);
+    if (weight === 0) return;
+
+    const energy = weightedEnergy(samples, sampleRate, stepSize, steps);
+    for (let i = 0; i < steps; i++) {
+      stepEnergy[i] += weight * energy[i];
+    }
+  });
+
+  // 400 ms blocks with 75% overlap
+  const blocks = [];
+  for (let i = 0; i + 4 <= steps; i++) {
+    const energy = (stepEnergy[i] + stepEnergy[i + 1] + stepEnergy[i + 2] + stepEnergy[i + 3]) / (stepSize * 4);
+    if (energy > 0 && energyToLoudness(energy) > ABSOLUTE_GATE) {
+      blocks.push(energy);
+    }
+  }
+
+  const histogram = new Map();
+  blocks.forEach((energy) => {
+    const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((energyToLoudness(energy) - ABSOLUTE_GATE) / HISTOGRAM_STEP));
+    histogram.set(bin, (histogram.get(bin) || 0) + 1);
+  });
+
+  if (blocks.length === 0) {
+    return { integrated: null, histogram: [] };
+  }
+
+  const ungated = blocks.reduce((sum, energy) => sum + energy, 0) / blocks.length;
+  const relativeGate = energyToLoudness(ungated) - 10;
+  const gated = blocks.filter(energy => energyToLoudness(energy) > relativeGate);
+  const integrated = energyToLoudness(gated.reduce((sum, energy) => sum + energy, 0) / gated.length);
+
+  return {
+    integrated,
+    histogram: Array.from(histogram.entries()).sort((a, b) => a[0] - b[0])
+  };
+}
+
+// ==========================================
+// TRUE PEAK
+// ==========================================
+
+// 4x oversampling with a 48-tap windowed-sinc interpolator, as suggested
+// by BS.1770 Annex 2. Rates of 96 kHz and above only need the sample peak.
+const OVERSAMPLING = 4;
+const TAPS_PER_PHASE = 12;
+
+function interpolationPhases() {
+  const length = OVERSAMPLING * TAPS_PER_PHASE;
+  const center = (length - 1) / 2;
+  const phases = [];
+
+  for (let p = 0; p < OVERSAMPLING; p++) {
+    const taps = new Float64Array(TAPS_PER_PHASE);
+    let sum = 0;
+
+    for (let k = 0; k < TAPS_PER_PHASE; k++) {
+      const n = p + k * OVERSAMPLING;
+      const x = (n - center) / OVERSAMPLING;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const window = 0.5 - 0.5 * Math.cos((2 * Math.PI * (n + 0.5)) / length);
+      taps[k] = sinc * window;
+      sum += taps[k];
+    }
+
+    // Unity gain at DC for every phase
+    for (let k = 0; k < TAPS_PER_PHASE; k++) taps[k] /= sum;
+    phases.push(taps);
+  }
+
+  return phases;
+}
+
+function measureTruePeak(channels, sampleRate) {
+  let peak = 0;
+  const phases = sampleRate < 96000 ? interpolationPhases() : null;
+
+  channels.forEach((samples) => {
+    const history = new Float64Array(TAPS_PER_PHASE);
+    let head = 0;
+
+    for (let i = 0; i < samples.length; i++) {
+      const x = samples[i];
+      const magnitude = x < 0 ? -x : x;
+      if (magnitude > peak) peak = magnitude;
+      if (!phases) continue;
+
+      history[head] = x;
+
+      for (let p = 0; p < OVERSAMPLING; p++) {
+        const taps = phases[p];
+        let y = 0;
+        let index = head;
+        for (let k = 0; k < TAPS_PER_PHASE; k++) {
+          y += taps[k] * history[index];
+          index = index === 0 ? TAPS_PER_PHASE - 1 : index - 1;
+        }
+        if (y > peak) peak = y;
+        else if (-y > peak) peak = -y;
+      }
+
+      head = head === TAPS_PER_PHASE - 1 ? 0 : head + 1;
+    }
+  });
+
+  return peak > 0 ? 20 * Math.log10(peak) : null;
+}
+
+self.onmessage = (event) => {
+  const { id, type, channels, sampleRate } = event.data;
+
+  try {
+    if (type === 'analyze') {
+      const loudness = measureLoudness(channels, sampleRate);
+      self.postMessage({
+        id,
+        result: {
+          integrated: loudness.integrated,
+          truePeak: measureTruePeak(channels, sampleRate),
+          histogram: loudness.histogram
+        }
+      });
+    }
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
@@ -0,0 +1,121 @@
+// ==========================================
+// LYRICS - LRC AND EMBEDDED LYRICS
+// ==========================================
+
+// Lyrics are stored on the track as { synced, source, lines } where lines
+// are { time, text } sorted by time (seconds from the start of the track),
+// or { time: null, text } when the lyrics are not synced. source is 'lrc'
+// for a sidecar .lrc file and 'tag' for lyrics embedded in the audio file.
+
+// [mm:ss], [mm:ss.xx], [mm:ss:xx] and [h:mm:ss.xxx]; three fields without
+// a "." fraction are [mm:ss:xx] (see parseTime)
+const LRC_TIME_PATTERN = /\[(?:(\d+):)?(\d+):(\d{1,2})(?:([.:])(\d{1,3}))?\]/g;
+
+class Lyrics {
+  // LRC text, or plain text when it has no timestamps
+  static parse(text, source = 'tag') {
+    if (!text || !text.trim()) return null;
+
+    const rows = text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+    let offset = 0;
+    const lines = [];
+
+    rows.forEach((row) => {
+      // [offset:+250] moves every line earlier by 250 ms
+      const offsetTag = row.match(/^\s*\[offset:\s*([+-]?\d+)\s*\]/i);
+      if (offsetTag) {
+        offset = parseInt(offsetTag[1], 10) / 1000;
+        return;
+      }
+
+      // A line may carry several timestamps when it repeats
+      const times = [];
+      let rest = row.trim();
+      let match;
+      LRC_TIME_PATTERN.lastIndex = 0;
+      while ((match = LRC_TIME_PATTERN.exec(rest)) && match.index === 0) {
+        times.push(Lyrics.parseTime(match));
+        rest = rest.slice(match[0].length).trim();
+        LRC_TIME_PATTERN.lastIndex = 0;
+      }
+
+      // Word timings of enhanced LRC (<mm:ss.xx>) are not shown
+      rest = rest.replace(/<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g, '').replace(/\s+/g, ' ').trim();
+      times.forEach(time => lines.push({ time, text: rest }));
+    });
+
+    if (lines.length === 0) {
+      // Plain text; [ar:], [ti:] and other ID tags are not lyrics
+      const plain = rows
+        .filter(row => !/^\s*\[[a-z#]+:.*\]\s*$/i.test(row))
+        .map(row => ({ time: null, text: row.trim() }));
+      while (plain.length > 0 && !plain[0].text) plain.shift();
+      while (plain.length > 0 && !plain[plain.length - 1].text) plain.pop();
+      return plain.length > 0 ? { synced: false, source, lines: plain } : null;
+    }
+
+    lines.forEach((line) => {
+      line.time = Math.max(0, line.time - offset);
+    });
+    lines.sort((a, b) => a.time - b.time);
+    return { synced: true, source, lines };
+  }
+
+  static parseTime(match) {
+    let [, hours, minutes, seconds, separator, fraction] = match;
+
+    // [00:12:34] is 12.34 s, not 754 s: hours need a "." fraction after them
+    if (hours !== undefined && !separator) {
+      [hours, minutes, seconds, fraction] = [undefined, hours, minutes, seconds];
+    }
+
+    const part = fraction ? Number(fraction) / Math.pow(10, fraction.length) : 0;
+    return Number(hours || 0) * 3600 + Number(minutes) * 60 + Number(seconds) + part;
+  }
+
+  // ID3 SYLT entries ({ time, text }). Taggers either write one entry per
+  // line or one per syllable with a line break starting each new line.
+  static fromSynced(entries) {
+    if (!entries || entries.length === 0) return null;
+
+    const bySyllable = entries.some(entry => /^[\r\n]/.test(entry.text));
+    const lines = [];
+
+    entries.forEach((entry) => {
+      const text = entry.text.replace(/[\r\n]+/g, ' ');
+      if (!bySyllable || /^[\r\n]/.test(entry.text) || lines.length === 0) {
+        lines.push({ time: entry.time, text: text.trim() });
+      } else {
+        lines[lines.length - 1].text = (lines[lines.length - 1].text + text).trim();
+      }
+    });
+
+    lines.sort((a, b) => a.time - b.time);
+    return { synced: true, source: 'tag', lines };
+  }
+
+  // Synced lyrics win over plain ones; plain tag text may itself be LRC
+  static fromTags(tags) {
+    return Lyrics.fromSynced(tags.syncedLyrics) || Lyrics.parse(tags.lyrics, 'tag');
+  }
+
+  // Index of the line being sung at `time`, -1 before the first one
+  static lineAt(lyrics, time) {
+    if (!lyrics || !lyrics.synced) return -1;
+
+    const lines = lyrics.lines;
+    let low = 0;
+    let high = lines.length - 1;
+    let found = -1;
+    while (low <= high) {
+      const middle = (low + high) >> 1;
+      if (lines[middle].time <= time) {
+        found = middle;
+        low = middle + 1;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return found;
+  }
+}
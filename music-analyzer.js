@@ -0,0 +1,38 @@
+// ==========================================
+// MUSIC ANALYZER - TEMPO & KEY WORKER CLIENT
+// ==========================================
+
+// Main-thread side of music-worker.js, plus the helpers that name a key and
+// shift tempo and key by the current speed and pitch settings.
+
+const KEY_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+class MusicAnalyzer extends WorkerClient {
+  constructor(url = 'music-worker.js') {
+    super(url);
+  }
+
+  // Resolves with { bpm, key: { tonic, mode } }; either may be null.
+  // Copies are transferred so the caller's AudioBuffer stays usable.
+  analyze(audioBuffer) {
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      channels.push(audioBuffer.getChannelData(c).slice());
+    }
+
+    return this.request(
+      { type: 'analyze', channels, sampleRate: audioBuffer.sampleRate },
+      channels.map(data => data.buffer)
+    ).then(message => message.result);
+  }
+
+  // "Am", "F#" ... transposed by a whole number of semitones
+  static formatKey(key, semitones = 0) {
+    const tonic = (((key.tonic + semitones) % 12) + 12) % 12;
+    return KEY_NAMES[tonic] + (key.mode === 'minor' ? 'm' : '');
+  }
+
+  static formatBpm(bpm) {
+    return String(Math.round(bpm));
+  }
+}
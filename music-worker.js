@@ -0,0 +1,299 @@
+// ==========================================
+// MUSIC WORKER - TEMPO & KEY ESTIMATION
+// ==========================================
+
+// Estimates the tempo (BPM) and musical key of decoded audio off the main
+// thread. Both work on a mono mix resampled to about 11 kHz, taken from the
+// middle of the track where intros and fades do not skew the result.
+//
+// Tempo: spectral-flux onset envelope -> autocorrelation over 60-200 BPM,
+// weighted towards moderate tempos and checked against double the period.
+// Key: chromagram matched against the Krumhansl-Kessler major and minor
+// profiles in all 12 transpositions.
+//
+// Request:  { id, type: 'analyze', channels: [Float32Array], sampleRate }
+// Response: { id, result: { bpm, key: { tonic, mode } } } or { id, error }
+// tonic is a pitch class (0 = C); either field is null when undetectable.
+
+const ANALYSIS_RATE = 11025;
+const MAX_EXCERPT = 120; // seconds
+
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// ==========================================
+// SIGNAL HELPERS
+// ==========================================
+
+// Mono excerpt decimated by an integer factor (box filter as anti-alias)
+function prepareSignal(channels, sampleRate) {
+  const factor = Math.max(1, Math.round(sampleRate / ANALYSIS_RATE));
+  const rate = sampleRate / factor;
+  const length = channels[0].length;
+
+  let start = 0;
+  let end = length;
+  const maxLength = MAX_EXCERPT * sampleRate;
+  if (length > maxLength) {
+    start = Math.floor((length - maxLength) / 2);
+    end = start + maxLength;
+  }
+
+  const output = new Float32Array(Math.floor((end - start) / factor));
+  const scale = 1 / (factor * channels.length);
+
+  for (let i = 0; i < output.length; i++) {
+    let sum = 0;
+    const from = start + i * factor;
+    for (let c = 0; c < channels.length; c++) {
+      const samples = channels[c];
+      for (let k = 0; k < factor; k++) sum += samples[from + k];
+    }
+    output[i] = sum * scale;
+  }
+
+  return { samples: output, rate };
+}
+
+// In-place iterative radix-2 FFT
+function createFft(size) {
+  const cos = new Float64Array(size / 2);
+  const sin = new Float64Array(size / 2);
+  for (let i = 0; i < size / 2; i++) {
+    cos[i] = Math.cos((2 * Math.PI * i) / size);
+    sin[i] = -Math.sin((2 * Math.PI * i) / size);
+  }
+
+  const reverse = new Uint32Array(size);
+  const bits = Math.log2(size);
+  for (let i = 0; i < size; i++) {
+    let r = 0;
+    for (let b = 0; b < bits; b++) r |= ((i >> b) & 1) << (bits - 1 - b);
+    reverse[i] = r;
+  }
+
+  return (re, im) => {
+    for (let i = 0; i < size; i++) {
+      const j = reverse[i];
+      if (j > i) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+
+    for (let half = 1; half < size; half <<= 1) {
+      const step = size / (half * 2);
+      for (let i = 0; i < size; i += half * 2) {
+        for (let k = 0; k < half; k++) {
+          const wr = cos[k * step];
+          const wi = sin[k * step];
+          const a = i + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  };
+}
+
+// Calls onFrame(magnitudes, frameIndex) for each Hann-windowed frame
+function spectrogram(samples, size, hop, onFrame) {
+  const fft = createFft(size);
+  const window = new Float64Array(size);
+  for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  const magnitudes = new Float64Array(size / 2);
+
+  for (let frame = 0, offset = 0; offset + size <= samples.length; frame++, offset += hop) {
+    for (let i = 0; i < size; i++) {
+      re[i] = samples[offset + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let i = 0; i < size / 2; i++) {
+      magnitudes[i] = Math.sqrt(re[i] * re[i] + im[i] * im[i]);
+    }
+    onFrame(magnitudes, frame);
+  }
+}
+
+// ==========================================
+// TEMPO
+// ==========================================
+
+function estimateTempo(samples, rate) {
+  const size = 1024;
+  const hop = 128;
+  const frameRate = rate / hop;
+  const frames = Math.floor((samples.length - size) / hop) + 1;
+  if (frames < frameRate * 8) return null; // under ~8 s is too short to tell
+
+  // Positive change in log-compressed magnitude, summed over bins
+  const onset = new Float64Array(frames);
+  let previous = null;
+  spectrogram(samples, size, hop, (magnitudes, frame) => {
+    const current = magnitudes.map(value => Math.log(1 + 100 * value));
+    if (previous) {
+      let flux = 0;
+      for (let i = 1; i < current.length; i++) {
+        const rise = current[i] - previous[i];
+        if (rise > 0) flux += rise;
+      }
+      onset[frame] = flux;
+    }
+    previous = current;
+  });
+
+  // Remove the slowly varying part so only attacks are left
+  const radius = Math.round(frameRate * 0.25);
+  const envelope = new Float64Array(frames);
+  let sum = 0;
+  for (let i = 0; i < frames + radius; i++) {
+    if (i < frames) sum += onset[i];
+    if (i - 2 * radius - 1 >= 0) sum -= onset[i - 2 * radius - 1];
+    const center = i - radius;
+    if (center >= 0) {
+      const count = Math.min(frames, i + 1) - Math.max(0, i - 2 * radius);
+      envelope[center] = Math.max(0, onset[center] - sum / count);
+    }
+  }
+
+  const minLag = Math.floor((60 / 200) * frameRate);
+  const maxLag = Math.ceil((60 / 60) * frameRate);
+  const correlate = (lag) => {
+    let total = 0;
+    for (let i = 0; i + lag < frames; i++) total += envelope[i] * envelope[i + lag];
+    return total / (frames - lag);
+  };
+  const correlation = new Float64Array(maxLag * 2 + 2);
+  for (let lag = minLag; lag < correlation.length && lag < frames; lag++) {
+    correlation[lag] = correlate(lag);
+  }
+
+  // Prefer tempos near 120 BPM (log-normal, one octave wide) and periods
+  // whose double also lines up with the beat
+  let bestLag = 0;
+  let bestScore = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    const bpm = (60 * frameRate) / lag;
+    const weight = Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120), 2));
+    const score = weight * (correlation[lag] + 0.5 * (correlation[lag * 2] || 0));
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+  if (!bestLag || bestScore <= 0) return null;
+
+  // Four beats later the same error is four times smaller relative to the
+  // period: find that peak and interpolate it for sub-frame precision
+  const beats = 4;
+  let peakLag = bestLag * beats;
+  let peakValue = -Infinity;
+  for (let lag = peakLag - beats; lag <= peakLag + beats; lag++) {
+    if (lag <= 0 || lag + 1 >= frames) continue;
+    const value = correlate(lag);
+    if (value > peakValue) {
+      peakValue = value;
+      peakLag = lag;
+    }
+  }
+
+  const a = correlate(peakLag - 1);
+  const b = peakValue;
+  const c = correlate(peakLag + 1);
+  const denominator = a - 2 * b + c;
+  const shift = denominator !== 0 ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator)) : 0;
+
+  let bpm = (60 * frameRate * beats) / (peakLag + shift);
+  while (bpm < 70) bpm *= 2;
+  while (bpm >= 180) bpm /= 2;
+
+  return Math.round(bpm * 10) / 10;
+}
+
+// ==========================================
+// KEY
+// ==========================================
+
+function pearson(a, b) {
+  const n = a.length;
+  const meanA = a.reduce((s, v) => s + v, 0) / n;
+  const meanB = b.reduce((s, v) => s + v, 0) / n;
+  let numerator = 0;
+  let varA = 0;
+  let varB = 0;
+  for (let i = 0; i < n; i++) {
+    numerator += (a[i] - meanA) * (b[i] - meanB);
+    varA += (a[i] - meanA) * (a[i] - meanA);
+    varB += (b[i] - meanB) * (b[i] - meanB);
+  }
+  return varA > 0 && varB > 0 ? numerator / Math.sqrt(varA * varB) : 0;
+}
+
+function estimateKey(samples, rate) {
+  const size = 4096;
+  const hop = 2048;
+
+  // Pitch class of every FFT bin between C2 and C7
+  const pitchClass = new Int8Array(size / 2).fill(-1);
+  for (let i = 1; i < size / 2; i++) {
+    const frequency = (i * rate) / size;
+    if (frequency < 65 || frequency > 2100) continue;
+    const midi = Math.round(69 + 12 * Math.log2(frequency / 440));
+    pitchClass[i] = ((midi % 12) + 12) % 12;
+  }
+
+  // Each frame counts equally, whatever its level
+  const chroma = new Float64Array(12);
+  const frame = new Float64Array(12);
+  spectrogram(samples, size, hop, (magnitudes) => {
+    frame.fill(0);
+    for (let i = 0; i < magnitudes.length; i++) {
+      if (pitchClass[i] >= 0) frame[pitchClass[i]] += magnitudes[i];
+    }
+    const peak = Math.max(...frame);
+    if (peak > 1e-6) {
+      for (let p = 0; p < 12; p++) chroma[p] += frame[p] / peak;
+    }
+  });
+
+  if (chroma.every(value => value === 0)) return null;
+
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    const rotated = Array.from({ length: 12 }, (_, i) => chroma[(i + tonic) % 12]);
+    [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]].forEach(([mode, profile]) => {
+      const score = pearson(rotated, profile);
+      if (!best || score > best.score) best = { tonic, mode, score };
+    });
+  }
+
+  return best && best.score > 0 ? { tonic: best.tonic, mode: best.mode } : null;
+}
+
+self.onmessage = (event) => {
+  const { id, type, channels, sampleRate } = event.data;
+
+  try {
+    if (type === 'analyze') {
+      const { samples, rate } = prepareSignal(channels, sampleRate);
+      self.postMessage({
+        id,
+        result: {
+          bpm: estimateTempo(samples, rate),
+          key: estimateKey(samples, rate)
+        }
+      });
+    }
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
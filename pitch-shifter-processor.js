@@ -0,0 +1,234 @@
+// ==========================================
+// PITCH SHIFTER - AUDIO WORKLET PROCESSOR
+// ==========================================
+
+// Phase vocoder pitch shifter (after S. M. Bernsee's smbPitchShift).
+// Each channel runs through a short-time Fourier transform; bins are moved to
+// their new frequency and resynthesized with overlap-add, so the key changes
+// while the duration stays the same.
+
+const FFT_SIZE = 2048;
+const OVERSAMPLING = 4;
+const HOP_SIZE = FFT_SIZE / OVERSAMPLING;
+const LATENCY = FFT_SIZE - HOP_SIZE;
+const HALF_SIZE = FFT_SIZE / 2;
+
+class FFT {
+  constructor(size) {
+    this.size = size;
+    this.cos = new Float32Array(size / 2);
+    this.sin = new Float32Array(size / 2);
+    this.reverse = new Uint32Array(size);
+
+    for (let i = 0; i < size / 2; i++) {
+      this.cos[i] = Math.cos((2 * Math.PI * i) / size);
+      this.sin[i] = Math.sin((2 * Math.PI * i) / size);
+    }
+
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i++) {
+      let reversed = 0;
+      for (let b = 0; b < bits; b++) {
+        reversed = (reversed << 1) | ((i >> b) & 1);
+      }
+      this.reverse[i] = reversed;
+    }
+  }
+
+  // In-place radix-2 transform; inverse is unnormalized
+  transform(re, im, inverse) {
+    const n = this.size;
+    const sign = inverse ? 1 : -1;
+
+    for (let i = 0; i < n; i++) {
+      const j = this.reverse[i];
+      if (j > i) {
+        let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+        tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+      }
+    }
+
+    for (let size = 2; size <= n; size *= 2) {
+      const half = size / 2;
+      const step = n / size;
+
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < half; k++) {
+          const wr = this.cos[k * step];
+          const wi = sign * this.sin[k * step];
+          const a = start + k;
+          const b = a + half;
+          const tr = re[b] * wr - im[b] * wi;
+          const ti = re[b] * wi + im[b] * wr;
+          re[b] = re[a] - tr;
+          im[b] = im[a] - ti;
+          re[a] += tr;
+          im[a] += ti;
+        }
+      }
+    }
+  }
+}
+
+class PitchShifterChannel {
+  constructor() {
+    this.inFifo = new Float32Array(FFT_SIZE);
+    this.outFifo = new Float32Array(FFT_SIZE);
+    this.outputAccum = new Float32Array(FFT_SIZE * 2);
+    this.lastPhase = new Float32Array(HALF_SIZE + 1);
+    this.sumPhase = new Float32Array(HALF_SIZE + 1);
+    this.rover = LATENCY;
+  }
+}
+
+class PitchShifterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{
+      name: 'pitchRatio',
+      defaultValue: 1,
+      minValue: 0.25,
+      maxValue: 4,
+      automationRate: 'k-rate'
+    }];
+  }
+
+  constructor() {
+    super();
+
+    this.fft = new FFT(FFT_SIZE);
+    this.channels = [];
+
+    this.window = new Float32Array(FFT_SIZE);
+    for (let i = 0; i < FFT_SIZE; i++) {
+      this.window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FFT_SIZE);
+    }
+
+    // Shared scratch buffers
+    this.re = new Float32Array(FFT_SIZE);
+    this.im = new Float32Array(FFT_SIZE);
+    this.anaMagn = new Float32Array(HALF_SIZE + 1);
+    this.anaFreq = new Float32Array(HALF_SIZE + 1);
+    this.synMagn = new Float32Array(HALF_SIZE + 1);
+    this.synFreq = new Float32Array(HALF_SIZE + 1);
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const ratio = parameters.pitchRatio[0];
+
+    // At unity the dry signal is delayed by the vocoder latency so that
+    // switching between dry and shifted output never jumps in time
+    const bypass = Math.abs(ratio - 1) < 1e-4;
+
+    for (let c = 0; c < output.length; c++) {
+      if (!this.channels[c]) {
+        this.channels[c] = new PitchShifterChannel();
+      }
+
+      const channel = this.channels[c];
+      const source = input.length > 0 ? input[Math.min(c, input.length - 1)] : null;
+      const target = output[c];
+
+      for (let i = 0; i < target.length; i++) {
+        const sample = source ? source[i] : 0;
+        const delayed = channel.inFifo[channel.rover - LATENCY];
+
+        channel.inFifo[channel.rover] = sample;
+        target[i] = bypass ? delayed : channel.outFifo[channel.rover - LATENCY];
+        channel.rover++;
+
+        if (channel.rover >= FFT_SIZE) {
+          channel.rover = LATENCY;
+          this.processFrame(channel, ratio);
+        }
+      }
+    }
+
+    return true;
+  }
+
+  processFrame(channel, ratio) {
+    const { re, im, anaMagn, anaFreq, synMagn, synFreq } = this;
+    const freqPerBin = sampleRate / FFT_SIZE;
+    const expected = (2 * Math.PI * HOP_SIZE) / FFT_SIZE;
+
+    // Analysis
+    for (let k = 0; k < FFT_SIZE; k++) {
+      re[k] = channel.inFifo[k] * this.window[k];
+      im[k] = 0;
+    }
+
+    this.fft.transform(re, im, false);
+
+    for (let k = 0; k <= HALF_SIZE; k++) {
+      const magnitude = 2 * Math.sqrt(re[k] * re[k] + im[k] * im[k]);
+      const phase = Math.atan2(im[k], re[k]);
+
+      let delta = phase - channel.lastPhase[k];
+      channel.lastPhase[k] = phase;
+      delta -= k * expected;
+
+      // Wrap the phase difference into +/- PI
+      let qpd = Math.trunc(delta / Math.PI);
+      if (qpd >= 0) qpd += qpd & 1;
+      else qpd -= qpd & 1;
+      delta -= Math.PI * qpd;
+
+      const deviation = (OVERSAMPLING * delta) / (2 * Math.PI);
+      anaMagn[k] = magnitude;
+      anaFreq[k] = k * freqPerBin + deviation * freqPerBin;
+    }
+
+    // Move each bin to its shifted position. When shifting down several bins
+    // land on the same slot; keep the strongest instead of summing them so
+    // the level does not rise.
+    synMagn.fill(0);
+    synFreq.fill(0);
+    for (let k = 0; k <= HALF_SIZE; k++) {
+      const index = Math.floor(k * ratio);
+      if (index <= HALF_SIZE && anaMagn[k] >= synMagn[index]) {
+        synMagn[index] = anaMagn[k];
+        synFreq[index] = anaFreq[k] * ratio;
+      }
+    }
+
+    // Synthesis
+    for (let k = 0; k <= HALF_SIZE; k++) {
+      let delta = synFreq[k] - k * freqPerBin;
+      delta /= freqPerBin;
+      delta = (2 * Math.PI * delta) / OVERSAMPLING;
+      delta += k * expected;
+
+      channel.sumPhase[k] += delta;
+      const phase = channel.sumPhase[k];
+
+      re[k] = synMagn[k] * Math.cos(phase);
+      im[k] = synMagn[k] * Math.sin(phase);
+    }
+
+    for (let k = HALF_SIZE + 1; k < FFT_SIZE; k++) {
+      re[k] = 0;
+      im[k] = 0;
+    }
+
+    this.fft.transform(re, im, true);
+
+    const scale = 2 / (HALF_SIZE * OVERSAMPLING);
+    for (let k = 0; k < FFT_SIZE; k++) {
+      channel.outputAccum[k] += scale * this.window[k] * re[k];
+    }
+
+    channel.outFifo.set(channel.outputAccum.subarray(0, HOP_SIZE));
+    channel.outputAccum.copyWithin(0, HOP_SIZE);
+    channel.outputAccum.fill(0, FFT_SIZE * 2 - HOP_SIZE);
+    channel.inFifo.copyWithin(0, HOP_SIZE);
+
+    // Keep accumulated phases bounded to preserve float precision
+    for (let k = 0; k <= HALF_SIZE; k++) {
+      channel.sumPhase[k] %= 2 * Math.PI;
+    }
+  }
+}
+
+registerProcessor('pitch-shifter', PitchShifterProcessor);
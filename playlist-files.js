@@ -0,0 +1,284 @@
+// ==========================================
+// PLAYLIST FILES - M3U, M3U8, PLS & XSPF
+// ==========================================
+
+// Reads and writes playlist files, and matches their entries to library
+// tracks by path. A parsed playlist is { name, entries } with entries of
+// { location, title, artist, duration }: location as written in the file,
+// duration in seconds or null.
+
+const PLAYLIST_FORMATS = {
+  m3u8: { name: 'M3U8', type: 'audio/x-mpegurl' },
+  m3u: { name: 'M3U', type: 'audio/x-mpegurl' },
+  pls: { name: 'PLS', type: 'audio/x-scpls' },
+  xspf: { name: 'XSPF', type: 'application/xspf+xml' }
+};
+
+class PlaylistFiles {
+  static formatOf(fileName) {
+    const match = /\.([a-z0-9]+)$/i.exec(fileName || '');
+    const extension = match ? match[1].toLowerCase() : '';
+    return extension in PLAYLIST_FORMATS ? extension : null;
+  }
+
+  static isPlaylistFile(fileName) {
+    return PlaylistFiles.formatOf(fileName) !== null;
+  }
+
+  // ==========================================
+  // READING
+  // ==========================================
+
+  static parse(text, fileName) {
+    const format = PlaylistFiles.formatOf(fileName);
+    const name = (fileName || '').replace(/^.*\//, '').replace(/\.[^/.]+$/, '');
+    text = text.replace(/^\uFEFF/, '');
+
+    let playlist;
+    if (format === 'pls') {
+      playlist = PlaylistFiles.parsePls(text);
+    } else if (format === 'xspf') {
+      playlist = PlaylistFiles.parseXspf(text);
+    } else {
+      playlist = PlaylistFiles.parseM3u(text);
+    }
+
+    return { name: playlist.name || name, entries: playlist.entries };
+  }
+
+  // #EXTINF:<seconds>[ attributes],<Artist - Title> describes the next path
+  static parseM3u(text) {
+    const entries = [];
+    let name = null;
+    let info = null;
+
+    text.split(/\r\n|\r|\n/).forEach((row) => {
+      const line = row.trim();
+      if (!line) return;
+
+      if (line.startsWith('#')) {
+        const extinf = /^#EXTINF:\s*(-?[\d.]+)[^,]*,(.*)$/i.exec(line);
+        const title = /^#PLAYLIST:(.*)$/i.exec(line);
+        if (extinf) {
+          info = { duration: parseFloat(extinf[1]), ...PlaylistFiles.splitDisplayTitle(extinf[2]) };
+        } else if (title) {
+          name = title[1].trim() || null;
+        }
+        return;
+      }
+
+      entries.push(PlaylistFiles.createEntry(line, info || {}));
+      info = null;
+    });
+
+    return { name, entries };
+  }
+
+  static parsePls(text) {
+    const values = {};
+    text.split(/\r\n|\r|\n/).forEach((row) => {
+      const match = /^\s*([a-z]+)(\d*)\s*=(.*)$/i.exec(row);
+      if (match) values[match[1].toLowerCase() + match[2]] = match[3].trim();
+    });
+
+    const numbers = Object.keys(values)
+      .map(key => /^file(\d+)$/.exec(key))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10))
+      .sort((a, b) => a - b);
+
+    const entries = numbers.map(n => PlaylistFiles.createEntry(values[`file${n}`], {
+      duration: parseFloat(values[`length${n}`]),
+      ...PlaylistFiles.splitDisplayTitle(values[`title${n}`] || '')
+    }));
+
+    return { name: values.x_name || null, entries };
+  }
+
+  static parseXspf(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('invalid XSPF');
+    }
+
+    // Namespaced or not, only local names matter
+    const child = (node, name) => Array.from(node.children).find(item => item.localName === name) || null;
+    const textOf = (node, name) => {
+      const item = child(node, name);
+      return item ? item.textContent.trim() || null : null;
+    };
+
+    const root = doc.documentElement;
+    const trackList = child(root, 'trackList');
+    const entries = (trackList ? Array.from(trackList.children) : [])
+      .filter(node => node.localName === 'track')
+      .map((node) => {
+        const location = textOf(node, 'location');
+        const duration = parseInt(textOf(node, 'duration'), 10);
+        return location && PlaylistFiles.createEntry(PlaylistFiles.decodeUri(location), {
+          title: textOf(node, 'title'),
+          artist: textOf(node, 'creator'),
+          duration: duration / 1000
+        });
+      })
+      .filter(Boolean);
+
+    return { name: textOf(root, 'title'), entries };
+  }
+
+  static createEntry(location, { title = null, artist = null, duration = null }) {
+    return {
+      location,
+      title: title || null,
+      artist: artist || null,
+      duration: duration > 0 ? duration : null
+    };
+  }
+
+  // "Artist - Title" as most players write it
+  static splitDisplayTitle(text) {
+    const value = text.trim();
+    const dash = value.indexOf(' - ');
+    return dash > 0
+      ? { artist: value.slice(0, dash).trim(), title: value.slice(dash + 3).trim() }
+      : { artist: null, title: value || null };
+  }
+
+  static decodeUri(location) {
+    try {
+      return decodeURIComponent(location);
+    } catch (error) {
+      return location;
+    }
+  }
+
+  // ==========================================
+  // MATCHING
+  // ==========================================
+
+  static isRemote(location) {
+    return /^[a-z][a-z0-9+.-]*:\/\//i.test(location) && !/^file:/i.test(location);
+  }
+
+  // Path segments, lower-cased: file:// URLs decoded, backslashes turned
+  // into slashes, drive letters dropped and '.'/'..' resolved against `base`
+  static splitPath(location, base = []) {
+    let path = location.trim();
+    if (/^file:/i.test(path)) {
+      path = PlaylistFiles.decodeUri(path.replace(/^file:(\/\/(localhost)?)?/i, ''));
+    }
+    path = path.replace(/\\/g, '/').replace(/^\/?[a-z]:\//i, '/');
+
+    const segments = path.startsWith('/') ? [] : base.slice();
+    path.split('/').forEach((segment) => {
+      if (!segment || segment === '.') return;
+      if (segment === '..') {
+        segments.pop();
+      } else {
+        segments.push(segment.toLowerCase());
+      }
+    });
+    return segments;
+  }
+
+  // candidates: [{ track, path, preferred }] with path relative to the
+  // picked folder (or just the file name). Each entry goes to the candidate
+  // sharing the most trailing path segments with it; at least the file name
+  // has to match. Ties go to preferred (just added) tracks.
+  static matchEntries(playlist, playlistPath, candidates) {
+    const base = PlaylistFiles.splitPath(playlistPath || '').slice(0, -1);
+    const prepared = candidates.map(candidate => ({
+      ...candidate,
+      segments: PlaylistFiles.splitPath(candidate.path)
+    }));
+
+    return playlist.entries.map((entry) => {
+      if (PlaylistFiles.isRemote(entry.location)) return { entry, track: null };
+
+      const segments = PlaylistFiles.splitPath(entry.location, base);
+      let best = null;
+      let bestScore = 0;
+
+      prepared.forEach((candidate) => {
+        let score = 0;
+        while (
+          score < segments.length &&
+          score < candidate.segments.length &&
+          segments[segments.length - 1 - score] === candidate.segments[candidate.segments.length - 1 - score]
+        ) {
+          score++;
+        }
+
+        if (score > bestScore || (score === bestScore && score > 0 && candidate.preferred && !best.preferred)) {
+          best = candidate;
+          bestScore = score;
+        }
+      });
+
+      return { entry, track: best ? best.track : null };
+    });
+  }
+
+  // ==========================================
+  // WRITING
+  // ==========================================
+
+  // entries: [{ path, title, artist, album, trackNumber, duration }]
+  static serialize(format, name, entries) {
+    if (format === 'pls') return PlaylistFiles.writePls(entries);
+    if (format === 'xspf') return PlaylistFiles.writeXspf(name, entries);
+    return PlaylistFiles.writeM3u(name, entries);
+  }
+
+  static displayTitle(entry) {
+    return entry.artist ? `${entry.artist} - ${entry.title}` : entry.title;
+  }
+
+  static writeM3u(name, entries) {
+    const lines = ['#EXTM3U', `#PLAYLIST:${name}`];
+    entries.forEach((entry) => {
+      const seconds = entry.duration ? Math.round(entry.duration) : -1;
+      lines.push(`#EXTINF:${seconds},${PlaylistFiles.displayTitle(entry)}`, entry.path);
+    });
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  static writePls(entries) {
+    const lines = ['[playlist]'];
+    entries.forEach((entry, i) => {
+      const n = i + 1;
+      lines.push(
+        `File${n}=${entry.path}`,
+        `Title${n}=${PlaylistFiles.displayTitle(entry)}`,
+        `Length${n}=${entry.duration ? Math.round(entry.duration) : -1}`
+      );
+    });
+    lines.push(`NumberOfEntries=${entries.length}`, 'Version=2');
+    return `${lines.join('\r\n')}\r\n`;
+  }
+
+  static writeXspf(name, entries) {
+    const escape = text => String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+    const element = (tag, value) => (value == null || value === '' ? '' : `      <${tag}>${escape(value)}</${tag}>\n`);
+
+    const tracks = entries.map(entry => [
+      '    <track>\n',
+      element('location', entry.path.split('/').map(encodeURIComponent).join('/')),
+      element('title', entry.title),
+      element('creator', entry.artist),
+      element('album', entry.album),
+      element('trackNum', entry.trackNumber),
+      element('duration', entry.duration ? Math.round(entry.duration * 1000) : null),
+      '    </track>\n'
+    ].join('')).join('');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+      `  <title>${escape(name)}</title>\n` +
+      `  <trackList>\n${tracks}  </trackList>\n` +
+      '</playlist>\n';
+  }
+}
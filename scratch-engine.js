@@ -0,0 +1,99 @@
+// ==========================================
+// SCRATCH ENGINE - DECODED BUFFER PLAYBACK
+// ==========================================
+
+// Main-thread side of scratch-processor.js. The owner feeds it the decoded
+// track and the hand's speed; it plays the record at that signed rate and
+// reports where the needle ended up when the record is released.
+class ScratchEngine {
+  constructor(audioContext, destination) {
+    this.audioContext = audioContext;
+    this.destination = destination;
+    this.node = null;
+    this.loadedId = null;
+    this.position = 0;
+    this.pendingStop = null;
+  }
+
+  async init() {
+    if (this.node) return;
+
+    await ScratchEngine.loadModule(this.audioContext);
+
+    this.node = new AudioWorkletNode(this.audioContext, 'scratch', {
+      numberOfInputs: 0,
+      outputChannelCount: [2]
+    });
+    this.node.connect(this.destination);
+
+    this.node.port.onmessage = (event) => {
+      const message = event.data;
+      this.position = message.position;
+
+      if (message.type === 'stopped' && this.pendingStop) {
+        this.pendingStop(message.position);
+        this.pendingStop = null;
+      }
+    };
+  }
+
+  // The processor can only be registered once per context, however many
+  // engines (player and DJ decks) share it
+  static loadModule(audioContext) {
+    if (!ScratchEngine.modules.has(audioContext)) {
+      ScratchEngine.modules.set(audioContext, audioContext.audioWorklet.addModule('scratch-processor.js'));
+    }
+    return ScratchEngine.modules.get(audioContext);
+  }
+
+  isLoaded(id) {
+    return !!this.node && this.loadedId === id;
+  }
+
+  load(id, audioBuffer) {
+    if (!this.node) return;
+
+    // Copies are transferred so the caller's AudioBuffer stays usable
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) {
+      channels.push(audioBuffer.getChannelData(c).slice());
+    }
+
+    this.node.port.postMessage({ type: 'load', channels }, channels.map(data => data.buffer));
+    this.loadedId = id;
+  }
+
+  unload() {
+    if (!this.node) return;
+    this.node.port.postMessage({ type: 'unload' });
+    this.loadedId = null;
+  }
+
+  start(position) {
+    this.position = position;
+    this.setRate(0, 0);
+    this.node.port.postMessage({ type: 'start', position });
+  }
+
+  // Rate in seconds of audio per second; negative plays backwards
+  setRate(rate, smoothing = 0.015) {
+    const param = this.node.parameters.get('rate');
+    const now = this.audioContext.currentTime;
+
+    param.cancelScheduledValues(now);
+    if (smoothing > 0) {
+      param.setTargetAtTime(rate, now, smoothing);
+    } else {
+      param.setValueAtTime(rate, now);
+    }
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      this.pendingStop = resolve;
+      this.node.port.postMessage({ type: 'stop' });
+    });
+  }
+}
+
+ScratchEngine.modules = new WeakMap();
@@ -0,0 +1,100 @@
+// ==========================================
+// SCRATCH - AUDIO WORKLET PROCESSOR
+// ==========================================
+
+// Plays a decoded track from memory at a variable, signed rate so the record
+// can be dragged forwards and backwards at the speed of the hand.
+
+const POSITION_REPORT_BLOCKS = 8;
+
+class ScratchProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [{
+      name: 'rate',
+      defaultValue: 0,
+      minValue: -64,
+      maxValue: 64,
+      automationRate: 'a-rate'
+    }];
+  }
+
+  constructor() {
+    super();
+
+    this.channels = [];
+    this.length = 0;
+    this.position = 0;
+    this.active = false;
+    this.level = 0;
+    this.blockCount = 0;
+
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'load':
+        this.channels = message.channels;
+        this.length = this.channels.length > 0 ? this.channels[0].length : 0;
+        this.active = false;
+        break;
+
+      case 'start':
+        this.position = Math.min(Math.max(message.position * sampleRate, 0), this.length - 1);
+        this.active = this.length > 0;
+        break;
+
+      case 'stop':
+        this.active = false;
+        this.port.postMessage({ type: 'stopped', position: this.position / sampleRate });
+        break;
+
+      case 'unload':
+        this.channels = [];
+        this.length = 0;
+        this.active = false;
+        break;
+    }
+  }
+
+  process(inputs, outputs, parameters) {
+    const output = outputs[0];
+    const rates = parameters.rate;
+
+    if (this.length === 0 || (!this.active && this.level < 1e-4)) {
+      this.level = 0;
+      output.forEach(channel => channel.fill(0));
+      return true;
+    }
+
+    const channelCount = this.channels.length;
+    const last = this.length - 1;
+
+    for (let i = 0; i < output[0].length; i++) {
+      // Short fade in/out so grabbing and releasing the record does not click
+      this.level += ((this.active ? 1 : 0) - this.level) * 0.01;
+
+      const index = Math.floor(this.position);
+      const frac = this.position - index;
+      const next = Math.min(index + 1, last);
+
+      for (let c = 0; c < output.length; c++) {
+        const data = this.channels[Math.min(c, channelCount - 1)];
+        output[c][i] = (data[index] * (1 - frac) + data[next] * frac) * this.level;
+      }
+
+      if (this.active) {
+        const rate = rates.length > 1 ? rates[i] : rates[0];
+        this.position = Math.min(Math.max(this.position + rate, 0), last);
+      }
+    }
+
+    if (this.active && ++this.blockCount % POSITION_REPORT_BLOCKS === 0) {
+      this.port.postMessage({ type: 'position', position: this.position / sampleRate });
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('scratch', ScratchProcessor);
@@ -2,34 +2,241 @@
 // LIQUID GLASS MUSIC PLAYER - JAVASCRIPT
 // ==========================================
 
+// Hot cue slots per track and their marker colours (pads, timeline, vinyl)
+const CUE_COUNT = 8;
+const CUE_COLORS = ['#FF0000', '#FF9900', '#FFFF00', '#00CC00', '#00CCCC', '#0066FF', '#9933FF', '#FF00FF'];
+
+// A-B loop: shortest loop, and the seam's crossfade and head start (seconds)
+const MIN_LOOP = 0.1;
+const LOOP_FADE = 0.01;
+const LOOP_LEAD = 0.03;
+
+// Gapless bridge: how close (seconds) the silent element has to get to the
+// decoded start before it takes over, the handover crossfade, and how long
+// it may take at most
+const BRIDGE_TOLERANCE = 0.005;
+const BRIDGE_FADE = 0.03;
+const BRIDGE_TIMEOUT = 5;
+
+// Tracks nobody has looked at yet are analysed one at a time, this many
+// seconds apart and only when the page is idle
+const ANALYSIS_BACKLOG_DELAY = 5;
+
+// Delay of pitch-shifter-processor.js (FFT size minus hop), in samples
+const PITCH_SHIFTER_LATENCY = 1536;
+
+// Listening statistics periods; days: 0 is all time
+const STATS_PERIODS = [
+  { id: '7', label: 'За 7 дней', days: 7 },
+  { id: '30', label: 'За 30 дней', days: 30 },
+  { id: '365', label: 'За год', days: 365 },
+  { id: 'all', label: 'За всё время', days: 0 }
+];
+const RECENT_SHELF_SIZE = 12;
+
+// Keyboard actions in help-overlay order. Bindings are KeyboardEvent.code
+// values (layout independent, so they also work with a Russian layout),
+// optionally prefixed with "Shift+".
+const KEYBOARD_ACTIONS = [
+  { id: 'togglePlay', label: 'Play / Pause', key: 'Space' },
+  { id: 'seekBackward', label: 'Назад на 5 секунд', key: 'ArrowLeft' },
+  { id: 'seekForward', label: 'Вперёд на 5 секунд', key: 'ArrowRight' },
+  { id: 'seekBackwardLong', label: 'Назад на 30 секунд', key: 'Shift+ArrowLeft' },
+  { id: 'seekForwardLong', label: 'Вперёд на 30 секунд', key: 'Shift+ArrowRight' },
+  { id: 'previousTrack', label: 'Предыдущий трек', key: 'KeyP' },
+  { id: 'nextTrack', label: 'Следующий трек', key: 'KeyN' },
+  { id: 'speedDown', label: 'Скорость −0.1x', key: 'BracketLeft' },
+  { id: 'speedUp', label: 'Скорость +0.1x', key: 'BracketRight' },
+  { id: 'pitchDown', label: 'Pitch −1 полутон', key: 'Minus' },
+  { id: 'pitchUp', label: 'Pitch +1 полутон', key: 'Equal' },
+  { id: 'resetEffects', label: 'Сбросить эффекты', key: 'KeyR' },
+  { id: 'loopStart', label: 'Точка A лупа', key: 'KeyA' },
+  { id: 'loopEnd', label: 'Точка B лупа', key: 'KeyB' },
+  { id: 'toggleLoop', label: 'Включить / выключить луп', key: 'KeyL' },
+  { id: 'clearLoop', label: 'Сбросить луп', key: 'Shift+KeyL' },
+  ...Array.from({ length: CUE_COUNT }, (_, i) => (
+    { id: `hotCue${i + 1}`, label: `Хот-кью ${i + 1}: перейти (пустой - поставить)`, key: `Digit${i + 1}` }
+  )),
+  ...Array.from({ length: CUE_COUNT }, (_, i) => (
+    { id: `deleteCue${i + 1}`, label: `Удалить хот-кью ${i + 1}`, key: `Shift+Digit${i + 1}` }
+  )),
+  { id: 'volumeDown', label: 'Тише', key: 'ArrowDown' },
+  { id: 'volumeUp', label: 'Громче', key: 'ArrowUp' },
+  { id: 'toggleMute', label: 'Выключить / включить звук', key: 'KeyM' },
+  { id: 'togglePlayer', label: 'Открыть / закрыть плеер', key: 'KeyO' },
+  { id: 'focusSearch', label: 'Поиск по библиотеке', key: 'Slash' },
+  { id: 'showShortcuts', label: 'Список клавиш', key: 'Shift+Slash' }
+];
+
 class VinylMusicPlayer {
   constructor() {
     // Elements
     this.library = document.getElementById('library');
     this.player = document.getElementById('player');
     this.audio = document.getElementById('audioPlayer');
+    this.audioElements = [this.audio, document.getElementById('audioPlayerAlt')].filter(Boolean);
     this.canvas = document.getElementById('vinylCanvas');
     this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
+    this.seekBar = document.getElementById('seekBar');
+    this.seekCanvas = document.getElementById('waveformCanvas');
+    this.seekCtx = this.seekCanvas ? this.seekCanvas.getContext('2d') : null;
 
     // Audio Context for pitch control
     this.audioContext = null;
-    this.sourceNode = null;
+    this.inputBus = null;
+    this.elementChains = new Map();
     this.gainNode = null;
     this.analyser = null;
+    this.elementGain = null;
+    this.scratchLevel = null;
     this.audioInitialized = false;
+    // Until it has loaded or failed, the pitch shifter is counted on
+    this.pitchShifterPending = typeof AudioWorkletNode !== 'undefined';
+
+    // Scratching plays the decoded track from memory
+    this.scratchEngine = null;
+    this.decodedTrack = null;
+    this.isScratching = false;
+    this.lastDragTime = 0;
+    this.scratchIdle = true;
+    this.secondsPerRevolution = parseFloat(localStorage.getItem('vinylPlayer.secondsPerRevolution')) || 1.8;
+
+    // Gapless playback: the standby element preloads the next track
+    this.preloaded = null;
+    this.upcoming = null;
+    this.bridge = null;
+    this.transition = null;
+    this.transitionTimer = null;
+    this.crossfadeDuration = parseInt(localStorage.getItem('vinylPlayer.crossfade')) || 0;
+
+    // Playback order: repeat 'all' | 'one' | 'off' (stop at end), shuffle
+    this.repeatMode = localStorage.getItem('vinylPlayer.repeatMode') || 'all';
+    this.shuffle = localStorage.getItem('vinylPlayer.shuffle') === 'true';
+    this.shuffleOrder = [];
+    this.shufflePosition = 0;
+
+    // Playlists and the "Up Next" queue reference tracks by ID
+    this.playlists = [];
+    this.queue = this.loadQueue();
+    this.playContext = { type: 'library' };
+    this.contextPosition = 0;
+    this.playingFromQueue = false;
+    this.libraryView = 'tracks';
+    this.openPlaylistId = null;
+
+    // Library browsing: search is per session, sort and grouping persist
+    this.librarySearch = '';
+    this.librarySort = localStorage.getItem('vinylPlayer.librarySort') || 'added';
+    this.libraryGrouping = localStorage.getItem('vinylPlayer.libraryGrouping') || 'none';
 
     // State
     this.tracks = [];
     this.currentTrackIndex = 0;
     this.isPlaying = false;
     this.isDragging = false;
+    this.isSeeking = false;
+    this.seekPreviewTime = 0;
     this.rotation = 0;
     this.rotationSpeed = 0;
     this.lastAngle = 0;
 
+    // Persistent library (IndexedDB)
+    this.store = new LibraryStore();
+    this.tagReader = typeof TagReader !== 'undefined' ? new TagReader() : null;
+    this.tagEditorTrackId = null;
+    this.tagEditorCover = null;
+
+    // Imports run one at a time. Dropped folders keep their paths here, as
+    // File.webkitRelativePath is only filled in by the folder picker.
+    this.importJob = null;
+    this.duplicatePrompt = null;
+    this.droppedPaths = new WeakMap();
+
+    // Listening history: the play in progress, and submission of counted
+    // listens to a ListenBrainz-compatible server (off unless set up)
+    this.listens = [];
+    this.currentListen = null;
+    this.statsPeriod = localStorage.getItem('vinylPlayer.statsPeriod') || '30';
+    this.submitSettings = this.loadSubmitSettings();
+    this.submitQueue = this.loadJSON('vinylPlayer.submitQueue', []);
+    this.submitStatus = '';
+    this.submitBusy = false;
+    this.submitTimer = null;
+    this.submitRetryDelay = 0;
+
+    // Offline render of the current track with speed, pitch and effects
+    this.audioEncoder = typeof WavFlacEncoder !== 'undefined' ? new WavFlacEncoder() : null;
+    this.renderFormat = localStorage.getItem('vinylPlayer.renderFormat') === 'flac' ? 'flac' : 'wav';
+    this.renderJob = null;
+
+    // Lyrics panel: line shown as current, and when the user last scrolled
+    // the panel by hand (following pauses for a moment after that)
+    this.showLyrics = localStorage.getItem('vinylPlayer.showLyrics') !== 'false';
+    this.lyricsLine = -1;
+    this.lyricsScrolledAt = 0;
+
     // Controls
     this.playbackRate = 1.0;
     this.pitchValue = 0;
+    this.pitchCents = 0;
+
+    // Effects chain (EQ, tone, width, dynamics). A track with its own
+    // settings uses them; every other track shares the global ones.
+    this.effects = null;
+    this.effectSettings = this.loadJSON('vinylPlayer.effects', null);
+    this.effectPresets = this.loadJSON('vinylPlayer.effectPresets', {});
+
+    // Volume in percent, separate from the effects and presets
+    const savedVolume = parseFloat(localStorage.getItem('vinylPlayer.volume'));
+    this.volume = isFinite(savedVolume) ? savedVolume : 100;
+    this.muted = localStorage.getItem('vinylPlayer.muted') === 'true';
+
+    // Loudness normalization: ReplayGain/R128 tags, else our own R128
+    // measurement. mode is 'off', 'track' or 'album'.
+    this.normalization = Object.assign(
+      { mode: 'off', preamp: 0, preventClipping: true },
+      this.loadJSON('vinylPlayer.normalization', {})
+    );
+    this.normalizationGain = 1;
+    this.loudnessMeter = typeof LoudnessMeter !== 'undefined' ? new LoudnessMeter() : null;
+    this.musicAnalyzer = typeof MusicAnalyzer !== 'undefined' ? new MusicAnalyzer() : null;
+
+    // Background analysis, one decode per track: tempo and key for every
+    // track, loudness only for the ids in loudnessRequests. The backlog waits
+    // for idle time; visible cards move their tracks to the queue.
+    this.analysisQueue = [];
+    this.analysisBusy = false;
+    this.loudnessRequests = new Set();
+    this.analysisBacklog = [];
+    this.backlogTimer = null;
+    this.cardObserver = null;
+
+    // Two-deck DJ mode, created on first use; the single player stays the
+    // default view. Crossfader position 0 is deck A only, 1 deck B only.
+    this.djDecks = null;
+    this.djDeckRoots = [];
+    this.djDrags = [null, null];
+    this.djSettings = Object.assign(
+      { curve: 'smooth', crossfader: 0.5 },
+      this.loadJSON('vinylPlayer.dj', {})
+    );
+
+    // Visualizer around the disc: 'off', 'bars', 'scope' or 'vu'.
+    // Never drawn while the system asks for reduced motion.
+    this.visualizerMode = localStorage.getItem('vinylPlayer.visualizer') || 'bars';
+    this.reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+    this.meterLevels = [
+      { rms: 0, peak: 0 },
+      { rms: 0, peak: 0 }
+    ];
+
+    // Keyboard bindings: defaults overridden by the user's remapping
+    this.keymap = this.loadKeymap();
+    this.remappingAction = null;
+
+    // Speed mode: 'vinyl' couples pitch to speed, 'tempo' keeps the key.
+    // Survives resetEffects() and track changes.
+    this.speedMode = localStorage.getItem('vinylPlayer.speedMode') === 'tempo' ? 'tempo' : 'vinyl';
 
     // Vinyl texture
     this.vinylTexture = new Image();
@@ -48,8 +255,9 @@ class VinylMusicPlayer {
 
   init() {
     this.setupEventListeners();
+    this.setupMediaSession();
     this.initializeAudioContext();
-    this.loadSampleTracks();
+    this.loadLibrary();
 
     if (this.canvas) {
       this.drawVinyl();
@@ -69,6 +277,40 @@ class VinylMusicPlayer {
       fileInput.addEventListener('change', (e) => this.handleFileUpload(e));
     }
 
+    const clearLibraryBtn = document.getElementById('clearLibraryBtn');
+    if (clearLibraryBtn) {
+      clearLibraryBtn.addEventListener('click', () => this.clearLibrary());
+    }
+
+    // Library views: tracks, playlists, queue
+    document.querySelectorAll('[data-library-view]').forEach((tab) => {
+      tab.addEventListener('click', () => this.setLibraryView(tab.dataset.libraryView));
+    });
+
+    // Library search, sort and grouping
+    const librarySearch = document.getElementById('librarySearch');
+    if (librarySearch) {
+      librarySearch.addEventListener('input', () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.setLibrarySearch(librarySearch.value), 150);
+      });
+    }
+
+    const librarySort = document.getElementById('librarySort');
+    if (librarySort) {
+      librarySort.value = this.librarySort;
+      librarySort.addEventListener('change', () => this.setLibrarySort(librarySort.value));
+    }
+
+    const libraryGroup = document.getElementById('libraryGroup');
+    if (libraryGroup) {
+      libraryGroup.value = this.libraryGrouping;
+      libraryGroup.addEventListener('change', () => this.setLibraryGrouping(libraryGroup.value));
+    }
+
+    // Context menu closes on any outside click (Escape: handleEscape)
+    document.addEventListener('click', () => this.hideContextMenu());
+
     // iOS fix: Also handle click on label
     const addBtn = document.querySelector('.btn-add');
     if (addBtn && fileInput) {
@@ -97,9 +339,26 @@ class VinylMusicPlayer {
       miniNextBtn.addEventListener('click', () => this.nextTrack());
     }
 
+    // Shuffle and repeat (full player and mini player)
+    ['shuffleBtn', 'miniShuffleBtn'].forEach((id) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', () => this.toggleShuffle());
+      }
+    });
+
+    ['repeatBtn', 'miniRepeatBtn'].forEach((id) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', () => this.cycleRepeatMode());
+      }
+    });
+
+    this.updateOrderModeUI();
+
     const miniOpenPlayerBtn = document.getElementById('miniOpenPlayerBtn');
     if (miniOpenPlayerBtn) {
-      miniOpenPlayerBtn.addEventListener('click', () => this.openPlayer(this.currentTrackIndex));
+      miniOpenPlayerBtn.addEventListener('click', () => this.showPlayer());
     }
 
     // Player controls
@@ -135,19 +394,134 @@ class VinylMusicPlayer {
       pitchControl.addEventListener('input', (e) => this.changePitch(e.target.value));
     }
 
+    // Speed mode switch
+    document.querySelectorAll('[data-speed-mode]').forEach((button) => {
+      button.addEventListener('click', () => this.setSpeedMode(button.dataset.speedMode));
+    });
+    this.updateSpeedModeUI();
+
+    const pitchFineControl = document.getElementById('pitchFineControl');
+    if (pitchFineControl) {
+      pitchFineControl.addEventListener('input', (e) => this.changePitchFine(e.target.value));
+    }
+
+    // Visualizer mode
+    const visualizerMode = document.getElementById('visualizerMode');
+    if (visualizerMode) {
+      visualizerMode.value = this.visualizerMode;
+      visualizerMode.addEventListener('change', (e) => this.setVisualizerMode(e.target.value));
+    }
+    if (this.reducedMotion) {
+      const update = () => this.updateVisualizerUI();
+      if (this.reducedMotion.addEventListener) {
+        this.reducedMotion.addEventListener('change', update);
+      } else {
+        this.reducedMotion.addListener(update);
+      }
+    }
+    this.updateVisualizerUI();
+
+    // Scratch sensitivity (seconds of audio per disc revolution)
+    const scratchSensitivity = document.getElementById('scratchSensitivity');
+    if (scratchSensitivity) {
+      scratchSensitivity.value = String(this.secondsPerRevolution);
+      scratchSensitivity.addEventListener('change', (e) => this.setScratchSensitivity(e.target.value));
+    }
+
+    // Crossfade between tracks (0 = gapless)
+    const crossfadeControl = document.getElementById('crossfadeControl');
+    if (crossfadeControl) {
+      crossfadeControl.value = this.crossfadeDuration;
+      crossfadeControl.addEventListener('input', (e) => this.setCrossfade(e.target.value));
+      this.updateCrossfadeUI();
+    }
+
+    // Volume and mute
+    const volumeControl = document.getElementById('volumeControl');
+    if (volumeControl) {
+      volumeControl.addEventListener('input', (e) => this.setVolume(e.target.value));
+    }
+
+    const muteBtn = document.getElementById('muteBtn');
+    if (muteBtn) {
+      muteBtn.addEventListener('click', () => this.toggleMute());
+    }
+    this.updateVolume();
+
+    this.setupNormalizationControls();
+    this.setupEffectsControls();
+    this.setupLoopControls();
+    this.setupDjMode();
+
     // Reset button
     const resetBtn = document.getElementById('resetBtn');
     if (resetBtn) {
       resetBtn.addEventListener('click', () => this.resetEffects());
     }
 
-    // Audio events
-    if (this.audio) {
-      this.audio.addEventListener('timeupdate', () => this.updateTime());
-      this.audio.addEventListener('ended', () => this.nextTrack());
-      this.audio.addEventListener('loadedmetadata', () => this.updateDuration());
+    // Audio events (only the active element drives the UI)
+    this.audioElements.forEach((element) => {
+      element.addEventListener('timeupdate', () => {
+        if (element !== this.audio) return;
+        this.updateTime();
+        this.trackListen();
+        this.scheduleTransition();
+        this.scheduleLoop();
+      });
+      element.addEventListener('ended', () => {
+        if (element !== this.audio) return;
+
+        // Muted under a looping buffer: syncBridge brings it back
+        if (this.bridge && this.bridge.loop && this.bridge.element === element) return;
+
+        // Ended a little ahead of a scheduled seam
+        if (this.transition && !this.transition.entered) {
+          this.enterTransition();
+        } else {
+          this.handleTrackEnded();
+        }
+      });
+      element.addEventListener('seeking', () => {
+        if (element !== this.audio) return;
+
+        // A seek moves away from a scheduled seam, and from a bridge (but not
+        // the bridge keeping the muted element near its loop)
+        if (this.transition && !this.transition.entered) this.finishTransition();
+        if (this.bridge && this.bridge.element === element) {
+          if (this.bridge.ownSeeks > 0) {
+            this.bridge.ownSeeks--;
+          } else {
+            this.endBridge();
+          }
+        }
+      });
+      element.addEventListener('loadedmetadata', () => {
+        if (element === this.audio) {
+          this.updateDuration();
+          this.rememberDuration(this.tracks[this.currentTrackIndex], element.duration);
+        }
+      });
+
+      // Keep the lock screen's progress bar in step
+      ['durationchange', 'seeked', 'ratechange', 'play', 'pause'].forEach((type) => {
+        element.addEventListener(type, () => {
+          if (element === this.audio) this.updatePositionState();
+        });
+      });
+    });
+
+    // Seek bar: mouse, touch (pointer events) and keyboard
+    if (this.seekBar) {
+      this.seekBar.addEventListener('pointerdown', (e) => this.startSeek(e));
+      this.seekBar.addEventListener('pointermove', (e) => this.moveSeek(e));
+      this.seekBar.addEventListener('pointerup', (e) => this.endSeek(e));
+      this.seekBar.addEventListener('pointercancel', (e) => this.endSeek(e));
+      this.seekBar.addEventListener('keydown', (e) => this.handleSeekKey(e));
     }
 
+    // Save playback position when the page goes away
+    window.addEventListener('pagehide', () => this.saveCurrentPosition());
+
     // Vinyl interaction
     if (this.canvas) {
       this.canvas.addEventListener('mousedown', (e) => this.startDrag(e));
@@ -165,494 +539,5898 @@ class VinylMusicPlayer {
     }
 
     // Keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-      if (e.code === 'Space' && !this.library.classList.contains('hidden')) {
-        e.preventDefault();
-        this.togglePlay();
-      }
-    });
+    document.addEventListener('keydown', (e) => this.handleShortcut(e));
+    this.setupShortcutsOverlay();
+    this.setupTagEditor();
+    this.setupImport();
+    this.setupHistory();
+    this.setupRenderExport();
+    this.setupLyrics();
+    this.setupPlaylistFiles();
   }
 
-  initializeAudioContext() {
-    try {
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    } catch (error) {
-      console.warn('Web Audio API not supported:', error);
-    }
+  // ==========================================
+  // KEYBOARD SHORTCUTS
+  // ==========================================
+
+  loadKeymap() {
+    const saved = this.loadJSON('vinylPlayer.keymap', {});
+    const keymap = {};
+    KEYBOARD_ACTIONS.forEach((action) => {
+      keymap[action.id] = typeof saved[action.id] === 'string' ? saved[action.id] : action.key;
+    });
+    return keymap;
   }
 
-  setupAudioNodes() {
-    if (!this.audioContext || this.audioInitialized) return;
+  saveKeymap() {
+    localStorage.setItem('vinylPlayer.keymap', JSON.stringify(this.keymap));
+  }
 
-    try {
-      // Create media element source
-      this.sourceNode = this.audioContext.createMediaElementSource(this.audio);
+  getKeyCombo(event) {
+    return event.shiftKey ? `Shift+${event.code}` : event.code;
+  }
 
-      // Create gain node for volume control
-      this.gainNode = this.audioContext.createGain();
+  formatKeyCombo(combo) {
+    if (!combo) return '—';
+    if (combo === 'Shift+Slash') return '?';
+
+    const names = {
+      Space: 'Пробел',
+      ArrowLeft: '←',
+      ArrowRight: '→',
+      ArrowUp: '↑',
+      ArrowDown: '↓',
+      BracketLeft: '[',
+      BracketRight: ']',
+      Minus: '-',
+      Equal: '=',
+      Slash: '/',
+      Backslash: '\\',
+      Comma: ',',
+      Period: '.',
+      Semicolon: ';',
+      Quote: "'",
+      Backquote: '`',
+      Enter: 'Enter',
+      Backspace: 'Backspace'
+    };
 
-      // Create analyser (optional, for future visualizations)
-      this.analyser = this.audioContext.createAnalyser();
+    return combo.split('+').map((part) => {
+      if (names[part]) return names[part];
+      if (/^Key[A-Z]$/.test(part) || /^Digit\d$/.test(part)) return part.slice(-1);
+      return part.replace(/^Numpad/, 'Num ');
+    }).join(' + ');
+  }
 
-      // Connect nodes: source -> gain -> destination
-      this.sourceNode.connect(this.gainNode);
-      this.gainNode.connect(this.analyser);
-      this.analyser.connect(this.audioContext.destination);
+  runShortcutAction(id) {
+    const actions = {
+      togglePlay: () => this.togglePlay(),
+      seekBackward: () => this.seekBy(-5),
+      seekForward: () => this.seekBy(5),
+      seekBackwardLong: () => this.seekBy(-30),
+      seekForwardLong: () => this.seekBy(30),
+      previousTrack: () => this.previousTrack(),
+      nextTrack: () => this.nextTrack(),
+      speedDown: () => this.stepSpeed(-0.1),
+      speedUp: () => this.stepSpeed(0.1),
+      pitchDown: () => this.stepPitch(-1),
+      pitchUp: () => this.stepPitch(1),
+      resetEffects: () => this.resetEffects(),
+      loopStart: () => this.setLoopPoint('start'),
+      loopEnd: () => this.setLoopPoint('end'),
+      toggleLoop: () => this.toggleLoop(),
+      clearLoop: () => this.clearLoop(),
+      volumeDown: () => this.setVolume(this.volume - 5),
+      volumeUp: () => this.setVolume(this.volume + 5),
+      toggleMute: () => this.toggleMute(),
+      togglePlayer: () => this.togglePlayerView(),
+      focusSearch: () => this.focusSearch(),
+      showShortcuts: () => this.showShortcuts()
+    };
 
-      this.audioInitialized = true;
-    } catch (error) {
-      console.warn('Failed to setup audio nodes:', error);
+    for (let slot = 0; slot < CUE_COUNT; slot++) {
+      actions[`hotCue${slot + 1}`] = () => this.triggerCue(slot);
+      actions[`deleteCue${slot + 1}`] = () => this.deleteCue(slot);
     }
-  }
 
-  loadSampleTracks() {
-    // Start with empty library - users will add their tracks
-    this.tracks = [];
+    actions[id]();
   }
 
-  async handleFileUpload(event) {
-    const files = Array.from(event.target.files);
-
-    for (let i = 0; i < files.length; i++) {
-      const file = files[i];
+  handleShortcut(event) {
+    if (this.remappingAction) {
+      this.captureRemap(event);
+      return;
+    }
 
-      if (file.type.startsWith('audio/') || this.isSupportedAudioFile(file.name)) {
-        const url = URL.createObjectURL(file);
-        const trackName = file.name.replace(/\.[^/.]+$/, '');
+    if (event.key === 'Escape') {
+      this.handleEscape(event);
+      return;
+    }
 
-        // Extract metadata
-        const metadata = await this.extractMetadata(file);
+    // Leave browser and OS shortcuts alone
+    if (event.ctrlKey || event.metaKey || event.altKey || event.defaultPrevented) return;
 
-        const track = {
-          title: metadata.title || trackName,
-          artist: metadata.artist || 'Unknown Artist',
-          album: metadata.album || '',
-          url: url,
-          coverArt: metadata.coverArt || null,
-          colors: metadata.colors || this.getDefaultColors(),
-          file: file
-        };
+    // Typing, and keys that already drive the focused control
+    const target = event.target;
+    if (target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if ((event.code === 'Space' || event.code === 'Enter') && target.closest && target.closest('button, a, [role="slider"], [tabindex]')) return;
 
-        // Always add new tracks (don't replace)
-        this.tracks.push(track);
-      }
-    }
+    const combo = this.getKeyCombo(event);
+    const action = KEYBOARD_ACTIONS.find(item => this.keymap[item.id] === combo);
+    if (!action) return;
 
-    // Update UI
-    this.updateLibraryUI();
-  }
+    // Everything except the overlay itself waits while it is open
+    if (this.isShortcutsOpen() && action.id !== 'showShortcuts') return;
+    if (this.isDuplicatePromptOpen() || this.isTagEditorOpen() || this.isRenderDialogOpen()) return;
+    if (this.isPlaylistReportOpen() || this.isDjModeOpen()) return;
 
-  isSupportedAudioFile(filename) {
-    const supportedFormats = [
-      '.mp3', '.wav', '.flac', '.m4a', '.aac',
-      '.ogg', '.opus', '.weba', '.oga', '.alac'
-    ];
-    return supportedFormats.some(format => filename.toLowerCase().endsWith(format));
+    event.preventDefault();
+    this.runShortcutAction(action.id);
   }
 
-  extractMetadata(file) {
-    return new Promise((resolve) => {
-      if (!window.jsmediatags) {
-        resolve({});
-        return;
+  // Escape closes the topmost thing: menu, dialogs, then the player
+  handleEscape(event) {
+    const menu = document.getElementById('contextMenu');
+    if (menu && !menu.classList.contains('hidden')) {
+      this.hideContextMenu();
+    } else if (this.isDuplicatePromptOpen()) {
+      this.answerDuplicate('skip');
+    } else if (this.isTagEditorOpen()) {
+      this.closeTagEditor();
+    } else if (this.isRenderDialogOpen()) {
+      if (this.renderJob) {
+        this.cancelRender();
+      } else {
+        this.closeRenderDialog();
       }
+    } else if (this.isPlaylistReportOpen()) {
+      this.closePlaylistReport();
+    } else if (this.isShortcutsOpen()) {
+      this.hideShortcuts();
+    } else if (this.isDjModeOpen()) {
+      this.closeDjMode();
+    } else if (!this.player.classList.contains('hidden')) {
+      this.closePlayer();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  }
 
-      jsmediatags.read(file, {
-        onSuccess: async (tag) => {
-          const tags = tag.tags;
-          let coverArt = null;
-          let colors = null;
+  stepSpeed(delta) {
+    const value = Math.max(0.5, Math.min(2, Math.round((this.playbackRate + delta) * 10) / 10));
+    document.getElementById('speedControl').value = value;
+    this.changeSpeed(value.toFixed(1));
+  }
 
-          // Extract cover art
-          if (tags.picture) {
-            const { data, format } = tags.picture;
-            let base64String = '';
-            for (let i = 0; i < data.length; i++) {
-              base64String += String.fromCharCode(data[i]);
-            }
-            coverArt = `data:${format};base64,${window.btoa(base64String)}`;
+  stepPitch(delta) {
+    if (!this.isPitchAvailable()) return;
 
-            // Extract colors from cover art
-            colors = await this.extractColorsFromImage(coverArt);
-          }
+    const value = Math.max(-12, Math.min(12, this.pitchValue + delta));
+    document.getElementById('pitchControl').value = value;
+    this.changePitch(value);
+  }
 
-          resolve({
-            title: tags.title,
-            artist: tags.artist,
-            album: tags.album,
-            coverArt: coverArt,
-            colors: colors || this.getDefaultColors()
-          });
-        },
-        onError: (error) => {
-          console.warn('Metadata extraction failed:', error);
-          resolve({});
-        }
-      });
-    });
+  togglePlayerView() {
+    if (this.player.classList.contains('hidden')) {
+      this.showPlayer();
+    } else {
+      this.closePlayer();
+    }
   }
 
-  async extractColorsFromImage(imageUrl) {
-    return new Promise((resolve) => {
-      const img = new Image();
-      img.crossOrigin = 'Anonymous';
+  focusSearch() {
+    const search = document.getElementById('librarySearch');
+    if (!search) return;
 
-      img.onload = () => {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        canvas.width = img.width;
-        canvas.height = img.height;
-        ctx.drawImage(img, 0, 0);
+    if (!this.player.classList.contains('hidden')) {
+      this.closePlayer();
+    }
+    if (this.libraryView !== 'tracks') {
+      this.setLibraryView('tracks');
+    }
 
-        try {
-          const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-          const colors = this.getDominantColors(imageData);
-          resolve(colors);
-        } catch (error) {
-          console.warn('Color extraction failed:', error);
-          resolve(this.getDefaultColors());
-        }
-      };
+    search.focus();
+    search.select();
+  }
 
-      img.onerror = () => {
-        resolve(this.getDefaultColors());
-      };
+  setupShortcutsOverlay() {
+    const overlay = document.getElementById('shortcutsOverlay');
+    if (!overlay) return;
 
-      img.src = imageUrl;
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.hideShortcuts();
     });
-  }
 
-  getDominantColors(imageData) {
-    const data = imageData.data;
-    const colorMap = {};
-    const sampleRate = 10; // Sample every 10th pixel for performance
+    const closeBtn = document.getElementById('closeShortcutsBtn');
+    if (closeBtn) {
+      closeBtn.addEventListener('click', () => this.hideShortcuts());
+    }
 
-    for (let i = 0; i < data.length; i += 4 * sampleRate) {
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-      const a = data[i + 3];
+    const resetBtn = document.getElementById('resetShortcutsBtn');
+    if (resetBtn) {
+      resetBtn.addEventListener('click', () => {
+        this.keymap = {};
+        KEYBOARD_ACTIONS.forEach((action) => {
+          this.keymap[action.id] = action.key;
+        });
+        this.saveKeymap();
+        this.renderShortcuts();
+      });
+    }
 
-      if (a < 125) continue; // Skip transparent pixels
+    const helpBtn = document.getElementById('shortcutsBtn');
+    if (helpBtn) {
+      helpBtn.addEventListener('click', () => this.showShortcuts());
+    }
+  }
 
-      // Quantize colors
-      const qr = Math.round(r / 51) * 51;
-      const qg = Math.round(g / 51) * 51;
-      const qb = Math.round(b / 51) * 51;
+  isShortcutsOpen() {
+    const overlay = document.getElementById('shortcutsOverlay');
+    return !!overlay && !overlay.classList.contains('hidden');
+  }
 
-      const key = `${qr},${qg},${qb}`;
-      colorMap[key] = (colorMap[key] || 0) + 1;
+  showShortcuts() {
+    const overlay = document.getElementById('shortcutsOverlay');
+    if (!overlay) return;
+
+    if (this.isShortcutsOpen()) {
+      this.hideShortcuts();
+      return;
     }
 
-    // Sort by frequency
-    const sortedColors = Object.entries(colorMap)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 3);
+    this.shortcutsReturnFocus = document.activeElement;
+    this.renderShortcuts();
+    overlay.classList.remove('hidden');
 
-    if (sortedColors.length === 0) {
-      return this.getDefaultColors();
-    }
+    const closeBtn = document.getElementById('closeShortcutsBtn');
+    if (closeBtn) closeBtn.focus();
+  }
 
-    const [r, g, b] = sortedColors[0][0].split(',').map(Number);
-    const primary = `rgb(${r}, ${g}, ${b})`;
+  hideShortcuts() {
+    const overlay = document.getElementById('shortcutsOverlay');
+    if (!overlay) return;
 
-    // Create lighter and darker variants
-    const lighter = `rgb(${Math.min(r + 40, 255)}, ${Math.min(g + 40, 255)}, ${Math.min(b + 40, 255)})`;
-    const darker = `rgb(${Math.max(r - 40, 0)}, ${Math.max(g - 40, 0)}, ${Math.max(b - 40, 0)})`;
+    this.remappingAction = null;
+    overlay.classList.add('hidden');
 
-    return { primary, lighter, darker };
+    if (this.shortcutsReturnFocus && this.shortcutsReturnFocus.focus) {
+      this.shortcutsReturnFocus.focus();
+    }
   }
 
-  getDefaultColors() {
-    return {
-      primary: 'rgb(42, 42, 42)',
-      lighter: 'rgb(82, 82, 82)',
-      darker: 'rgb(26, 26, 26)'
-    };
+  renderShortcuts() {
+    const list = document.getElementById('shortcutsList');
+    if (!list) return;
+
+    list.innerHTML = KEYBOARD_ACTIONS.map(action => `
+      <tr>
+        <td>${this.escapeHtml(action.label)}</td>
+        <td>
+          <button class="btn-key${this.remappingAction === action.id ? ' listening' : ''}" data-remap="${action.id}"
+                  title="Нажмите, чтобы назначить другую клавишу">
+            ${this.remappingAction === action.id ? 'Нажмите клавишу…' : this.escapeHtml(this.formatKeyCombo(this.keymap[action.id]))}
+          </button>
+        </td>
+      </tr>
+    `).join('');
+
+    list.querySelectorAll('[data-remap]').forEach((button) => {
+      button.addEventListener('click', () => {
+        this.remappingAction = button.dataset.remap;
+        this.renderShortcuts();
+        list.querySelector(`[data-remap="${this.remappingAction}"]`).focus();
+      });
+    });
   }
 
-  updateLibraryUI() {
-    const grid = document.querySelector('.library-grid');
-    if (!grid) return;
-
-    grid.innerHTML = '';
+  // The next key pressed becomes the binding; Escape cancels. A key that
+  // was bound elsewhere moves over and the other action gets the old key.
+  captureRemap(event) {
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key)) return;
 
-    if (this.tracks.length === 0) {
-      // Show empty state
-      const emptyState = document.createElement('div');
-      emptyState.className = 'empty-state';
-      emptyState.innerHTML = `
-        <div class="empty-icon">🎵</div>
-        <p class="empty-text">Нажмите "+ Добавить трек" чтобы начать</p>
-      `;
-      grid.appendChild(emptyState);
-      return;
-    }
+    event.preventDefault();
+    event.stopPropagation();
 
-    this.tracks.forEach((track, index) => {
-      const card = document.createElement('div');
-      card.className = 'vinyl-card glass';
-      card.dataset.track = index;
+    const id = this.remappingAction;
+    this.remappingAction = null;
 
-      // Create canvas for vinyl
-      const canvasId = `vinyl-card-canvas-${index}`;
+    if (event.key !== 'Escape' && !event.ctrlKey && !event.metaKey && !event.altKey) {
+      const combo = this.getKeyCombo(event);
+      const previous = this.keymap[id];
+      const other = KEYBOARD_ACTIONS.find(action => action.id !== id && this.keymap[action.id] === combo);
 
-      card.innerHTML = `
-        <div class="vinyl-disc-wrapper">
-          <canvas class="vinyl-card-canvas" id="${canvasId}" width="300" height="300"></canvas>
-        </div>
-        <div class="track-info">
-          <h3 class="track-title">${track.title}</h3>
-          <p class="track-artist">${track.artist}</p>
-        </div>
-      `;
+      if (other) {
+        this.keymap[other.id] = previous;
+        this.showToast(`"${other.label}" теперь на клавише ${this.formatKeyCombo(previous)}`);
+      }
 
-      card.addEventListener('click', () => this.openPlayer(index));
-      grid.appendChild(card);
+      this.keymap[id] = combo;
+      this.saveKeymap();
+    }
 
-      // Draw vinyl on card after it's added to DOM
-      setTimeout(() => this.drawLibraryVinyl(canvasId, track), 0);
-    });
+    this.renderShortcuts();
+    const button = document.querySelector(`[data-remap="${id}"]`);
+    if (button) button.focus();
   }
 
-  hexToRgba(color, alpha) {
-    // Convert rgb(r, g, b) to rgba(r, g, b, alpha)
-    if (color.startsWith('rgb(')) {
-      return color.replace('rgb(', 'rgba(').replace(')', `, ${alpha})`);
+  initializeAudioContext() {
+    try {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    } catch (error) {
+      console.warn('Web Audio API not supported:', error);
     }
-    return color;
   }
 
-  openPlayer(index) {
-    const track = this.tracks[index];
-
+  setupAudioNodes() {
+    if (!this.audioContext || this.audioInitialized) return;
+
+    try {
+      // Both <audio> elements feed one bus through a chain of their own:
+      //   source -> input -> level -> (pitch shifter) -> crossfade -> bus
+      // so a track fading out keeps its own level and pitch. The input gain
+      // mutes the element while a decoded bridge plays for it.
+      this.inputBus = this.audioContext.createGain();
+
+      this.audioElements.forEach((element) => {
+        const chain = {
+          input: this.audioContext.createGain(),
+          level: this.audioContext.createGain(),
+          shifter: null,
+          fade: this.audioContext.createGain()
+        };
+        chain.fade.gain.value = element === this.audio ? 1 : 0;
+
+        this.audioContext.createMediaElementSource(element).connect(chain.input);
+        chain.input.connect(chain.level);
+        chain.level.connect(chain.fade);
+        chain.fade.connect(this.inputBus);
+        this.elementChains.set(element, chain);
+      });
+
+      // Element gain mutes the <audio> path while the record is scratched
+      this.elementGain = this.audioContext.createGain();
+
+      // Master bus: the <audio> path and the scratch engine meet here
+      this.masterBus = this.audioContext.createGain();
+
+      // The scratch engine plays the current track, at its level
+      this.scratchLevel = this.audioContext.createGain();
+      this.scratchLevel.connect(this.masterBus);
+
+      // Create gain node for volume control
+      this.gainNode = this.audioContext.createGain();
+
+      // Analyser for the visualizer; the VU meter reads each channel
+      this.analyser = this.audioContext.createAnalyser();
+      this.analyser.fftSize = 2048;
+      this.analyser.smoothingTimeConstant = 0.75;
+      this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
+      this.waveformData = new Float32Array(this.analyser.fftSize);
+
+      const meterSplitter = this.audioContext.createChannelSplitter(2);
+      this.meterAnalysers = [0, 1].map((channel) => {
+        const meter = this.audioContext.createAnalyser();
+        meter.fftSize = 1024;
+        meterSplitter.connect(meter, channel);
+        return meter;
+      });
+      this.meterData = new Float32Array(1024);
+
+      // Connect nodes: element chains -> bus -> element gain -> master bus
+      //   -> effects -> analyser -> volume -> destination
+      this.inputBus.connect(this.elementGain);
+      this.elementGain.connect(this.masterBus);
+
+      if (typeof EffectsChain !== 'undefined') {
+        this.effects = new EffectsChain(this.audioContext);
+        this.masterBus.connect(this.effects.input);
+        this.effects.output.connect(this.analyser);
+        this.effects.apply(this.getActiveEffects(), 0);
+      } else {
+        this.masterBus.connect(this.analyser);
+      }
+
+      this.analyser.connect(this.gainNode);
+      this.analyser.connect(meterSplitter);
+      this.gainNode.connect(this.audioContext.destination);
+
+      this.audioInitialized = true;
+      this.updateVolume();
+
+      // Insert the pitch shifters into the element chains once they have loaded
+      this.loadPitchShifter();
+      this.loadScratchEngine();
+    } catch (error) {
+      console.warn('Failed to setup audio nodes:', error);
+      this.pitchShifterPending = false;
+      this.updatePitchControls();
+    }
+  }
+
+  async loadPitchShifter() {
+    if (!this.audioContext.audioWorklet) {
+      console.warn('AudioWorklet not supported, pitch will follow speed');
+      this.pitchShifterPending = false;
+      this.updatePitchControls();
+      return;
+    }
+
+    try {
+      // Kept so the DJ decks can create their own shifters from the module
+      this.pitchShifterModule = this.audioContext.audioWorklet.addModule('pitch-shifter-processor.js');
+      await this.pitchShifterModule;
+
+      const shifters = this.audioElements.map(() => new AudioWorkletNode(this.audioContext, 'pitch-shifter', {
+        outputChannelCount: [2]
+      }));
+
+      // Connect nodes: level -> pitch shifter -> crossfade, per element
+      this.audioElements.forEach((element, index) => {
+        const chain = this.elementChains.get(element);
+        chain.shifter = shifters[index];
+        chain.level.disconnect();
+        chain.level.connect(chain.shifter);
+        chain.shifter.connect(chain.fade);
+        this.applyPlaybackRate(element);
+      });
+
+      this.pitchShifterPending = false;
+      this.updatePlaybackRate();
+    } catch (error) {
+      console.warn('Failed to load pitch shifter:', error);
+      this.pitchShifterPending = false;
+      this.updatePitchControls();
+    }
+  }
+
+  async loadScratchEngine() {
+    if (!this.audioContext.audioWorklet) return;
+
+    try {
+      // Scratch audio skips the pitch shifter: the hand sets the pitch
+      this.scratchEngine = new ScratchEngine(this.audioContext, this.scratchLevel);
+      await this.scratchEngine.init();
+
+      this.prepareScratch(this.tracks[this.currentTrackIndex]);
+    } catch (error) {
+      console.warn('Failed to load scratch engine:', error);
+      this.scratchEngine = null;
+    }
+  }
+
+  // Decode a track into an AudioBuffer; only the latest track is kept,
+  // besides the next one decoded ahead for a gapless start
+  decodeTrack(track) {
+    if (this.decodedTrack && this.decodedTrack.id === track.id) {
+      return this.decodedTrack.promise;
+    }
+
+    const promise = this.upcoming && this.upcoming.id === track.id
+      ? this.upcoming.promise
+      : this.decodeFile(track.file);
+
+    this.decodedTrack = { id: track.id, promise, buffer: null };
+
+    promise.then((buffer) => {
+      if (this.decodedTrack && this.decodedTrack.promise === promise) {
+        this.decodedTrack.buffer = buffer;
+      }
+    }, () => {});
+
+    promise.catch(() => {
+      if (this.decodedTrack && this.decodedTrack.promise === promise) {
+        this.decodedTrack = null;
+      }
+    });
+
+    return promise;
+  }
+
+  decodeFile(file) {
+    return file.arrayBuffer()
+      .then(data => new Promise((resolve, reject) => {
+        // Callback form for older Safari
+        this.audioContext.decodeAudioData(data, resolve, reject);
+      }));
+  }
+
+  async prepareScratch(track) {
+    if (!this.scratchEngine || !track || !track.file) return;
+    if (this.scratchEngine.isLoaded(track.id)) return;
+
+    this.scratchEngine.unload();
+
+    try {
+      const buffer = await this.decodeTrack(track);
+
+      // Another track may have been loaded while decoding
+      if (this.tracks[this.currentTrackIndex] === track) {
+        this.scratchEngine.load(track.id, buffer);
+      }
+    } catch (error) {
+      console.warn('Failed to decode track for scratching:', error);
+    }
+  }
+
+  setScratchSensitivity(value) {
+    this.secondsPerRevolution = parseFloat(value) || 1.8;
+    localStorage.setItem('vinylPlayer.secondsPerRevolution', this.secondsPerRevolution);
+  }
+
+  // ==========================================
+  // LIBRARY PERSISTENCE
+  // ==========================================
+
+  async loadLibrary() {
+    this.tracks = [];
+
+    try {
+      const records = await this.store.getAllTracks();
+
+      for (const record of records) {
+        const file = await this.store.getFile(record.id);
+        if (!file) continue;
+
+        this.tracks.push({
+          ...record,
+          url: URL.createObjectURL(file),
+          file: file
+        });
+      }
+
+      this.playlists = await this.store.getAllPlaylists();
+      this.playlists.sort((a, b) => a.createdAt - b.createdAt);
+
+      // Drop queue entries whose tracks are gone
+      this.queue = this.queue.filter(entry => this.getTrackIndex(entry.trackId) >= 0);
+      this.saveQueue();
+
+      // Ask the browser not to evict the library under storage pressure
+      if (navigator.storage && navigator.storage.persist) {
+        navigator.storage.persist().catch(() => {});
+      }
+    } catch (error) {
+      console.warn('Failed to load library:', error);
+    }
+
+    try {
+      this.listens = await this.store.getAllListens();
+    } catch (error) {
+      console.warn('Failed to load listening history:', error);
+    }
+    this.restoreListening();
+
+    this.updateLibraryUI();
+    this.backfillTrackInfo().then(() => this.queueAnalysis(this.tracks, { background: true }));
+  }
+
+  generateId() {
+    if (window.crypto && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return Date.now().toString(36) + Math.random().toString(36).slice(2);
+  }
+
+  toTrackRecord(track) {
+    // Blob URL and file are runtime-only; the file is kept in its own store
+    const { url, file, ...record } = track;
+    return record;
+  }
+
+  saveTrack(track) {
+    if (!track || !track.id) return Promise.resolve();
+
+    return this.store.putTrack(this.toTrackRecord(track)).catch((error) => {
+      console.warn('Failed to save track:', error);
+    });
+  }
+
+  saveCurrentPosition() {
+    const track = this.tracks[this.currentTrackIndex];
+    if (!track || !this.audio.src) return;
+
+    track.lastPosition = this.audio.currentTime || 0;
+    this.saveTrack(track);
+  }
+
+  async removeTrack(index) {
+    const track = this.tracks[index];
+    if (!track) return;
+
+    if (!confirm(`Удалить "${track.title}" из библиотеки?`)) return;
+
+    if (index === this.currentTrackIndex) {
+      this.stopPlayback();
+    }
+
+    this.tracks.splice(index, 1);
+    if (index < this.currentTrackIndex) {
+      this.currentTrackIndex--;
+    }
+    if (this.currentTrackIndex >= this.tracks.length) {
+      this.currentTrackIndex = 0;
+    }
+
+    URL.revokeObjectURL(track.url);
+
+    try {
+      await this.store.deleteTrack(track.id);
+    } catch (error) {
+      console.warn('Failed to delete track:', error);
+    }
+
+    this.forgetTrackReferences([track.id]);
+
+    // The next track may have changed
+    if (this.audio.src) {
+      this.preloadNextTrack();
+    }
+
+    this.updateLibraryUI();
+    this.updateMiniPlayer();
+  }
+
+  async clearLibrary() {
+    if (this.tracks.length === 0) return;
+    if (!confirm('Удалить все треки из библиотеки?')) return;
+
+    this.stopPlayback();
+    this.tracks.forEach(track => URL.revokeObjectURL(track.url));
+    const ids = this.tracks.map(track => track.id);
+    this.tracks = [];
+    this.currentTrackIndex = 0;
+
+    try {
+      await this.store.clear();
+    } catch (error) {
+      console.warn('Failed to clear library:', error);
+    }
+
+    this.forgetTrackReferences(ids);
+
+    this.updateLibraryUI();
+    this.updateMiniPlayer();
+  }
+
+  async handleFileUpload(event) {
+    const files = Array.from(event.target.files);
+
+    // Allow picking the same files again
+    event.target.value = '';
+
+    await this.importFiles(files);
+  }
+
+  // Audio, .lrc and playlist files from the pickers or a drop. Audio goes in
+  // path order, so a folder arrives album by album.
+  async importFiles(files) {
+    if (this.importJob) {
+      this.showToast('Дождитесь окончания текущего импорта');
+      return;
+    }
+
+    // Playlists are served as audio/x-mpegurl or audio/x-scpls, so they are
+    // sorted out by name before the MIME type is looked at
+    const lyricsFiles = files.filter(file => /\.lrc$/i.test(file.name));
+    const playlistFiles = typeof PlaylistFiles !== 'undefined'
+      ? files.filter(file => PlaylistFiles.isPlaylistFile(file.name))
+      : [];
+    const audioFiles = files
+      .filter(file => !lyricsFiles.includes(file) && !playlistFiles.includes(file))
+      .filter(file => file.type.startsWith('audio/') || this.isSupportedAudioFile(file.name))
+      .sort((a, b) => this.compareText(this.getRelativePath(a) || a.name, this.getRelativePath(b) || b.name));
+    const added = [];
+    const job = { cancelled: false, duplicateChoice: null, replaced: 0, skipped: 0 };
+    this.importJob = job;
+
+    try {
+      for (let i = 0; i < audioFiles.length && !job.cancelled; i++) {
+        this.setImportProgress(i, audioFiles.length, `${i + 1} из ${audioFiles.length}: ${audioFiles[i].name}`);
+
+        const track = await this.importAudioFile(audioFiles[i], job);
+        if (track) added.push(track);
+      }
+
+      this.setImportProgress(audioFiles.length, audioFiles.length, 'Тексты и плейлисты…');
+      await this.attachLyricsFiles(lyricsFiles, added);
+      await this.importPlaylistFiles(playlistFiles, added);
+    } finally {
+      this.importJob = null;
+      this.setImportProgress(null);
+    }
+
+    if (job.cancelled || job.replaced > 0 || job.skipped > 0) {
+      const counts = [
+        `добавлено: ${added.length - job.replaced}`,
+        job.replaced > 0 ? `заменено: ${job.replaced}` : '',
+        job.skipped > 0 ? `пропущено дубликатов: ${job.skipped}` : ''
+      ].filter(Boolean).join(', ');
+      this.showToast(`${job.cancelled ? 'Импорт прерван' : 'Импорт завершён'}; ${counts}`);
+    }
+
+    if (this.audio.src) {
+      this.preloadNextTrack();
+    }
+
+    // Update UI
+    this.updateLibraryUI();
+    this.queueAnalysis(added);
+  }
+
+  // Resolves with the library track the file became, or null when it was
+  // skipped as a duplicate
+  async importAudioFile(file, job) {
+    const url = URL.createObjectURL(file);
+    const trackName = file.name.replace(/\.[^/.]+$/, '');
+
+    // Extract metadata
+    const metadata = await this.extractMetadata(file);
+    const duration = metadata.duration || await this.probeDuration(url);
+
+    const track = {
+      id: this.generateId(),
+      title: metadata.title || trackName,
+      artist: metadata.artist || 'Unknown Artist',
+      album: metadata.album || '',
+      trackNumber: metadata.trackNumber || null,
+      discNumber: metadata.discNumber || null,
+      year: metadata.year || null,
+      genre: metadata.genre || null,
+      composer: metadata.composer || null,
+      lyrics: metadata.lyrics || null,
+      duration: duration,
+      bitrate: metadata.bitrate || null,
+      sampleRate: metadata.sampleRate || null,
+      format: metadata.format || null,
+      replayGain: metadata.replayGain || null,
+      url: url,
+      coverArt: metadata.coverArt || null,
+      colors: metadata.colors || this.getDefaultColors(),
+      fileName: file.name,
+      relativePath: this.getRelativePath(file) || null,
+      addedAt: Date.now(),
+      lastPosition: 0,
+      file: file
+    };
+
+    const duplicate = await this.findDuplicate(track);
+    const choice = duplicate ? await this.resolveDuplicate(duplicate, track, job) : 'keep';
+
+    if (choice === 'skip') {
+      URL.revokeObjectURL(url);
+      job.skipped++;
+      return null;
+    }
+    if (choice === 'replace') {
+      job.replaced++;
+      return this.replaceTrack(duplicate.track, track);
+    }
+
+    this.tracks.push(track);
+
+    try {
+      await this.store.addTrack(this.toTrackRecord(track), file);
+    } catch (error) {
+      console.warn('Failed to store track:', error);
+    }
+    return track;
+  }
+
+  isSupportedAudioFile(filename) {
+    const supportedFormats = [
+      '.mp3', '.wav', '.flac', '.m4a', '.aac',
+      '.ogg', '.opus', '.weba', '.oga', '.alac'
+    ];
+    return supportedFormats.some(format => filename.toLowerCase().endsWith(format));
+  }
+
+  // Tags come from the built-in parser in tag-worker.js; jsmediatags is only
+  // used when the worker cannot run (e.g. the page was opened from file://)
+  async extractMetadata(file) {
+    if (this.tagReader && this.tagReader.available) {
+      try {
+        const tags = await this.tagReader.read(file);
+        return tags ? this.tagsToMetadata(tags) : {};
+      } catch (error) {
+        console.warn('Tag worker failed, falling back to jsmediatags:', error);
+      }
+    }
+
+    return this.extractMetadataWithJsmediatags(file);
+  }
+
+  async tagsToMetadata(tags) {
+    let coverArt = null;
+    let colors = null;
+
+    if (tags.picture) {
+      coverArt = await this.blobToDataUrl(new Blob([tags.picture.data], { type: tags.picture.format }));
+      colors = await this.extractColorsFromImage(coverArt);
+    }
+
+    return {
+      title: tags.title,
+      artist: tags.artist,
+      album: tags.album,
+      trackNumber: tags.trackNumber || null,
+      discNumber: tags.discNumber || null,
+      year: tags.year || null,
+      genre: tags.genre || null,
+      composer: tags.composer || null,
+      duration: tags.duration || null,
+      bitrate: tags.bitrate || null,
+      sampleRate: tags.sampleRate || null,
+      format: tags.format || null,
+      replayGain: tags.replayGain || null,
+      lyrics: typeof Lyrics !== 'undefined' ? Lyrics.fromTags(tags) : null,
+      coverArt: coverArt,
+      colors: colors || this.getDefaultColors()
+    };
+  }
+
+  blobToDataUrl(blob) {
+    return new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => resolve(null);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  extractMetadataWithJsmediatags(file) {
+    return new Promise((resolve) => {
+      if (!window.jsmediatags) {
+        resolve({});
+        return;
+      }
+
+      jsmediatags.read(file, {
+        onSuccess: async (tag) => {
+          const tags = tag.tags;
+          let coverArt = null;
+          let colors = null;
+
+          // Extract cover art
+          if (tags.picture) {
+            const { data, format } = tags.picture;
+            let base64String = '';
+            for (let i = 0; i < data.length; i++) {
+              base64String += String.fromCharCode(data[i]);
+            }
+            coverArt = `data:${format};base64,${window.btoa(base64String)}`;
+
+            // Extract colors from cover art
+            colors = await this.extractColorsFromImage(coverArt);
+          }
+
+          resolve({
+            title: tags.title,
+            artist: tags.artist,
+            album: tags.album,
+            trackNumber: this.parseTagNumber(tags.track),
+            discNumber: this.parseTagNumber(this.getDiscTag(tags)),
+            year: this.parseTagNumber(tags.year),
+            genre: typeof tags.genre === 'string' ? tags.genre : null,
+            lyrics: tags.lyrics && typeof Lyrics !== 'undefined' ? Lyrics.parse(tags.lyrics.lyrics || tags.lyrics) : null,
+            coverArt: coverArt,
+            colors: colors || this.getDefaultColors()
+          });
+        },
+        onError: (error) => {
+          console.warn('Metadata extraction failed:', error);
+          resolve({});
+        }
+      });
+    });
+  }
+
+  // ID3v2.3/2.4 TPOS, ID3v2.2 TPA, MP4 disk, Vorbis DISCNUMBER
+  getDiscTag(tags) {
+    const frame = tags.TPOS || tags.TPA || tags.disk || tags.DISCNUMBER;
+    return frame && frame.data !== undefined ? frame.data : frame;
+  }
+
+  // "3", "3/12", 3 or MP4's { track: 3, total: 12 } -> 3
+  parseTagNumber(value) {
+    if (value && typeof value === 'object') {
+      value = value.track !== undefined ? value.track : value.disk;
+    }
+
+    const number = parseInt(value, 10);
+    return number > 0 ? number : null;
+  }
+
+  // "Album · 2001 · Rock · Composer"
+  formatTrackDetails(track) {
+    const composer = track.composer && track.composer !== track.artist ? `муз. ${track.composer}` : '';
+    return [track.album, track.year, track.genre, composer].filter(Boolean).join(' · ');
+  }
+
+  // "FLAC · 44.1 кГц · 912 кбит/с"
+  formatStreamInfo(track) {
+    const parts = [];
+    if (track.format) parts.push(track.format);
+    if (track.sampleRate) parts.push(`${+(track.sampleRate / 1000).toFixed(1)} кГц`);
+    if (track.bitrate) parts.push(`${track.bitrate} кбит/с`);
+    return parts.join(' · ');
+  }
+
+  // Read the duration from the file header without decoding it
+  probeDuration(url) {
+    return new Promise((resolve) => {
+      const probe = new Audio();
+      let timer = null;
+
+      const finish = (duration) => {
+        clearTimeout(timer);
+        probe.removeAttribute('src');
+        probe.load();
+        resolve(isFinite(duration) && duration > 0 ? duration : null);
+      };
+
+      probe.preload = 'metadata';
+      probe.addEventListener('loadedmetadata', () => finish(probe.duration), { once: true });
+      probe.addEventListener('error', () => finish(null), { once: true });
+      timer = setTimeout(() => finish(null), 10000);
+      probe.src = url;
+    });
+  }
+
+  // Tracks added before the tag parser (or before durations were stored)
+  // get the missing stream info and tags in the background
+  async backfillTrackInfo() {
+    const fields = ['trackNumber', 'discNumber', 'year', 'genre', 'composer', 'bitrate', 'sampleRate'];
+    let changed = false;
+
+    for (const track of this.tracks.slice()) {
+      let metadata = {};
+      let parsed = false;
+
+      const missing = track.format === undefined || track.lyrics === undefined;
+      if (missing && track.file && this.tagReader && this.tagReader.available) {
+        try {
+          const tags = await this.tagReader.read(track.file);
+          metadata = tags ? await this.tagsToMetadata({ ...tags, picture: null }) : {};
+
+          fields.forEach((field) => {
+            if (track[field] == null && metadata[field]) track[field] = metadata[field];
+          });
+          track.format = metadata.format || null;
+          if (track.lyrics === undefined) track.lyrics = metadata.lyrics || null;
+          parsed = true;
+          changed = true;
+        } catch (error) {
+          console.warn('Tag backfill failed:', error);
+        }
+      }
+
+      if (this.getTrackIndex(track.id) < 0) continue;
+
+      const duration = track.duration ? null : metadata.duration || (track.url && await this.probeDuration(track.url));
+      if (duration) {
+        this.rememberDuration(track, duration);
+      } else if (parsed) {
+        this.saveTrack(track);
+      }
+    }
+
+    if (changed) {
+      this.updateLibraryUI();
+    }
+  }
+
+  rememberDuration(track, duration) {
+    if (!track || !isFinite(duration) || duration <= 0) return;
+    if (track.duration && Math.abs(track.duration - duration) < 0.5) return;
+
+    track.duration = duration;
+    this.saveTrack(track);
+
+    if (this.librarySort === 'duration' && this.libraryView === 'tracks') {
+      this.updateLibraryUI();
+    }
+  }
+
+  async extractColorsFromImage(imageUrl) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.crossOrigin = 'Anonymous';
+
+      img.onload = () => {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        ctx.drawImage(img, 0, 0);
+
+        try {
+          const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+          const colors = this.getDominantColors(imageData);
+          resolve(colors);
+        } catch (error) {
+          console.warn('Color extraction failed:', error);
+          resolve(this.getDefaultColors());
+        }
+      };
+
+      img.onerror = () => {
+        resolve(this.getDefaultColors());
+      };
+
+      img.src = imageUrl;
+    });
+  }
+
+  getDominantColors(imageData) {
+    const data = imageData.data;
+    const colorMap = {};
+    const sampleRate = 10; // Sample every 10th pixel for performance
+
+    for (let i = 0; i < data.length; i += 4 * sampleRate) {
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      const a = data[i + 3];
+
+      if (a < 125) continue; // Skip transparent pixels
+
+      // Quantize colors
+      const qr = Math.round(r / 51) * 51;
+      const qg = Math.round(g / 51) * 51;
+      const qb = Math.round(b / 51) * 51;
+
+      const key = `${qr},${qg},${qb}`;
+      colorMap[key] = (colorMap[key] || 0) + 1;
+    }
+
+    // Sort by frequency
+    const sortedColors = Object.entries(colorMap)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3);
+
+    if (sortedColors.length === 0) {
+      return this.getDefaultColors();
+    }
+
+    const [r, g, b] = sortedColors[0][0].split(',').map(Number);
+    const primary = `rgb(${r}, ${g}, ${b})`;
+
+    // Create lighter and darker variants
+    const lighter = `rgb(${Math.min(r + 40, 255)}, ${Math.min(g + 40, 255)}, ${Math.min(b + 40, 255)})`;
+    const darker = `rgb(${Math.max(r - 40, 0)}, ${Math.max(g - 40, 0)}, ${Math.max(b - 40, 0)})`;
+
+    return { primary, lighter, darker };
+  }
+
+  getDefaultColors() {
+    return {
+      primary: 'rgb(42, 42, 42)',
+      lighter: 'rgb(82, 82, 82)',
+      darker: 'rgb(26, 26, 26)'
+    };
+  }
+
+  updateLibraryUI() {
+    const grid = document.querySelector('.library-grid');
+    const panel = document.getElementById('libraryPanel');
+    if (!grid) return;
+
+    document.querySelectorAll('[data-library-view]').forEach((tab) => {
+      const active = tab.dataset.libraryView === this.libraryView;
+      tab.classList.toggle('active', active);
+      tab.setAttribute('aria-selected', active);
+    });
+    this.renderRecentShelf();
+
+    if (panel && this.libraryView !== 'tracks') {
+      grid.classList.add('hidden');
+      panel.classList.remove('hidden');
+
+      if (this.libraryView === 'playlists') {
+        this.renderPlaylistsView(panel);
+      } else if (this.libraryView === 'stats') {
+        this.renderStatsView(panel);
+      } else {
+        this.renderQueueView(panel);
+      }
+      return;
+    }
+
+    if (panel) {
+      panel.classList.add('hidden');
+    }
+    grid.classList.remove('hidden');
+    grid.innerHTML = '';
+    if (this.cardObserver) this.cardObserver.disconnect();
+
+    const filters = document.querySelector('.library-filters');
+    if (filters) {
+      filters.classList.toggle('hidden', this.libraryView !== 'tracks');
+    }
+    const librarySort = document.getElementById('librarySort');
+    if (librarySort) {
+      // Groups have their own order
+      librarySort.disabled = this.libraryGrouping !== 'none';
+    }
+
+    if (this.tracks.length === 0) {
+      // Show empty state
+      const emptyState = document.createElement('div');
+      emptyState.className = 'empty-state';
+      emptyState.innerHTML = `
+        <div class="empty-icon">🎵</div>
+        <p class="empty-text">Нажмите "+ Добавить трек" чтобы начать</p>
+      `;
+      grid.appendChild(emptyState);
+      return;
+    }
+
+    const groups = this.getLibraryGroups();
+
+    if (groups.length === 0) {
+      const noResults = document.createElement('div');
+      noResults.className = 'empty-state';
+      noResults.innerHTML = `
+        <p class="empty-text">Ничего не найдено по запросу "${this.escapeHtml(this.librarySearch)}"</p>
+      `;
+      grid.appendChild(noResults);
+      return;
+    }
+
+    groups.forEach((group) => {
+      if (group.title !== undefined) {
+        const header = document.createElement('div');
+        header.className = 'library-group-header';
+        header.innerHTML = `
+          <h2>${this.escapeHtml(group.title)}</h2>
+          <span>${this.escapeHtml(group.subtitle)}</span>
+        `;
+        grid.appendChild(header);
+      }
+
+      group.tracks.forEach(track => grid.appendChild(this.createTrackCard(track)));
+    });
+  }
+
+  createTrackCard(track) {
+    const index = this.getTrackIndex(track.id);
+    const card = document.createElement('div');
+    card.className = 'vinyl-card glass';
+    card.dataset.track = index;
+    card.dataset.trackId = track.id;
+
+    // Create canvas for vinyl
+    const canvasId = `vinyl-card-canvas-${index}`;
+
+    card.innerHTML = `
+      <button class="btn-card-menu" title="Действия" aria-label="Действия" aria-haspopup="menu">&#8942;</button>
+      <button class="btn-remove-track" title="Удалить трек" aria-label="Удалить трек">&times;</button>
+      <div class="vinyl-disc-wrapper">
+        <canvas class="vinyl-card-canvas" id="${canvasId}" width="300" height="300"></canvas>
+      </div>
+      <div class="track-info">
+        <h3 class="track-title">${this.escapeHtml(track.title)}</h3>
+        <p class="track-artist">${this.escapeHtml(track.artist)}</p>
+        ${track.album || track.year ? `<p class="track-album">${this.escapeHtml([track.album, track.year].filter(Boolean).join(' · '))}</p>` : ''}
+        <p class="track-tempo">${this.escapeHtml(this.formatTempoKey(track))}</p>
+      </div>
+    `;
+
+    card.querySelector('.btn-remove-track').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.removeTrack(index);
+    });
+
+    card.querySelector('.btn-card-menu').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.showTrackMenu(e.currentTarget, track);
+    });
+
+    card.addEventListener('click', () => this.openPlayer(index));
+
+    // Draw vinyl on card after it's added to DOM
+    setTimeout(() => this.drawLibraryVinyl(canvasId, track), 0);
+    this.observeCardAnalysis(card, track);
+
+    return card;
+  }
+
+  // ==========================================
+  // IMPORT (FOLDERS, DRAG & DROP, DUPLICATES)
+  // ==========================================
+
+  setupImport() {
+    const folderInput = document.getElementById('folderInput');
+    if (folderInput) {
+      if ('webkitdirectory' in folderInput) {
+        folderInput.addEventListener('change', (e) => this.handleFileUpload(e));
+      } else {
+        document.querySelector('.btn-add-folder').classList.add('hidden');
+      }
+    }
+
+    const cancelBtn = document.getElementById('importCancelBtn');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', () => this.cancelImport());
+    }
+
+    const duplicateOverlay = document.getElementById('duplicateOverlay');
+    if (duplicateOverlay) {
+      document.getElementById('duplicateSkipBtn').addEventListener('click', () => this.answerDuplicate('skip'));
+      document.getElementById('duplicateReplaceBtn').addEventListener('click', () => this.answerDuplicate('replace'));
+      document.getElementById('duplicateKeepBtn').addEventListener('click', () => this.answerDuplicate('keep'));
+      document.getElementById('closeDuplicateBtn').addEventListener('click', () => this.answerDuplicate('skip'));
+    }
+
+    // Files and folders dragged from the desktop onto the library. Reordering
+    // lists uses pointer events, so any HTML drag here comes from outside.
+    const hasFiles = e => Array.from(e.dataTransfer.types).includes('Files');
+    this.library.addEventListener('dragover', (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      this.library.classList.add('drop-target');
+    });
+    this.library.addEventListener('dragleave', (e) => {
+      if (!this.library.contains(e.relatedTarget)) {
+        this.library.classList.remove('drop-target');
+      }
+    });
+    this.library.addEventListener('drop', async (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      this.library.classList.remove('drop-target');
+
+      if (this.importJob) {
+        this.showToast('Дождитесь окончания текущего импорта');
+        return;
+      }
+
+      this.setImportProgress(0, 0, 'Чтение папок…');
+      let files;
+      try {
+        files = await this.collectDroppedFiles(e.dataTransfer);
+      } finally {
+        this.setImportProgress(null);
+      }
+      this.importFiles(files);
+    });
+  }
+
+  // Path inside the picked or dropped folder ("Album/01 Song.mp3"), or ''
+  // for a loose file
+  getRelativePath(file) {
+    return this.droppedPaths.get(file) || file.webkitRelativePath || '';
+  }
+
+  // Dropped folders are walked recursively. Entries have to be taken before
+  // the first await: the DataTransfer is emptied once the event is over.
+  async collectDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [])
+      .filter(item => item.kind === 'file')
+      .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+    if (entries.length === 0 || entries.some(entry => !entry)) {
+      return Array.from(dataTransfer.files);
+    }
+
+    const files = [];
+    const walk = async (entry) => {
+      if (entry.isFile) {
+        try {
+          const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+          const path = entry.fullPath.replace(/^\//, '');
+          if (path.includes('/')) this.droppedPaths.set(file, path);
+          files.push(file);
+        } catch (error) {
+          console.warn('Failed to read dropped file:', entry.fullPath, error);
+        }
+        return;
+      }
+
+      // readEntries hands out a directory in batches, then an empty one
+      const reader = entry.createReader();
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+          await walk(child);
+        }
+      } while (batch.length > 0);
+    };
+
+    for (const entry of entries) {
+      try {
+        await walk(entry);
+      } catch (error) {
+        console.warn('Failed to read dropped folder:', entry.fullPath, error);
+      }
+    }
+    return files;
+  }
+
+  // done === null hides the bar; total 0 shows it busy without a value
+  setImportProgress(done, total = 0, status = '') {
+    const box = document.getElementById('importProgress');
+    if (!box) return;
+
+    box.classList.toggle('hidden', done === null);
+    if (done === null) return;
+
+    const bar = document.getElementById('importProgressBar');
+    if (total > 0) {
+      bar.max = total;
+      bar.value = done;
+    } else {
+      bar.removeAttribute('value');
+    }
+    document.getElementById('importStatus').textContent = status;
+  }
+
+  // The file being read is finished; the rest of the batch is dropped
+  cancelImport() {
+    if (!this.importJob) return;
+
+    this.importJob.cancelled = true;
+    this.answerDuplicate('skip');
+  }
+
+  // The same bytes (SHA-256, only worked out when the sizes are equal), or
+  // the same artist and title at about the same length, which also catches
+  // re-encodes and retagged copies
+  async findDuplicate(track) {
+    const sameSize = this.tracks.filter(item => item.file && item.file.size === track.file.size);
+    if (sameSize.length > 0) {
+      const hash = await this.getContentHash(track);
+      for (const item of sameSize) {
+        if (hash && await this.getContentHash(item) === hash) {
+          return { track: item, reason: 'content' };
+        }
+      }
+    }
+
+    const fingerprint = this.getTagFingerprint(track);
+    const match = fingerprint && this.tracks.find(item => (
+      this.getTagFingerprint(item) === fingerprint && Math.abs(item.duration - track.duration) <= 2
+    ));
+    return match ? { track: match, reason: 'tags' } : null;
+  }
+
+  async getContentHash(track) {
+    if (track.contentHash) return track.contentHash;
+    if (!track.file || !window.crypto || !crypto.subtle) return null;
+
+    try {
+      const digest = await crypto.subtle.digest('SHA-256', await track.file.arrayBuffer());
+      track.contentHash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    } catch (error) {
+      console.warn('Failed to hash file:', error);
+      return null;
+    }
+
+    // Library tracks keep it; a new track is stored with it anyway
+    if (this.getTrackIndex(track.id) >= 0) this.saveTrack(track);
+    return track.contentHash;
+  }
+
+  // Untagged files have nothing to compare but their file names
+  getTagFingerprint(track) {
+    if (!track.title || !track.artist || track.artist === 'Unknown Artist') return null;
+
+    const normalize = text => String(text).toLowerCase().replace(/\s+/g, ' ').trim();
+    return `${normalize(track.artist)}\u0000${normalize(track.title)}`;
+  }
+
+  isDuplicatePromptOpen() {
+    return !!this.duplicatePrompt;
+  }
+
+  // Resolves with 'skip', 'replace' or 'keep'. Ticking "for all" answers the
+  // rest of the import the same way.
+  resolveDuplicate(duplicate, track, job) {
+    if (job.duplicateChoice) return Promise.resolve(job.duplicateChoice);
+
+    const overlay = document.getElementById('duplicateOverlay');
+    if (!overlay) return Promise.resolve('skip');
+
+    document.getElementById('duplicateReason').textContent = duplicate.reason === 'content'
+      ? 'Такой же файл уже есть в библиотеке.'
+      : 'В библиотеке уже есть трек с тем же исполнителем, названием и длительностью.';
+    document.getElementById('duplicateExisting').innerHTML = this.describeImportTrack(duplicate.track);
+    document.getElementById('duplicateNew').innerHTML = this.describeImportTrack(track);
+    document.getElementById('duplicateApplyAll').checked = false;
+
+    this.duplicateReturnFocus = document.activeElement;
+    overlay.classList.remove('hidden');
+    document.getElementById('duplicateSkipBtn').focus();
+
+    return new Promise((resolve) => {
+      this.duplicatePrompt = { job, resolve };
+    });
+  }
+
+  answerDuplicate(choice) {
+    const prompt = this.duplicatePrompt;
+    if (!prompt) return;
+
+    this.duplicatePrompt = null;
+    document.getElementById('duplicateOverlay').classList.add('hidden');
+    if (document.getElementById('duplicateApplyAll').checked) {
+      prompt.job.duplicateChoice = choice;
+    }
+    if (this.duplicateReturnFocus && this.duplicateReturnFocus.focus) {
+      this.duplicateReturnFocus.focus();
+    }
+    prompt.resolve(choice);
+  }
+
+  describeImportTrack(track) {
+    const details = [
+      this.formatTime(track.duration || 0),
+      track.format,
+      track.bitrate ? `${Math.round(track.bitrate / 1000)} кбит/с` : '',
+      track.file ? `${(track.file.size / 1048576).toFixed(1)} МБ` : ''
+    ].filter(Boolean).join(' · ');
+
+    return `
+      <strong>${this.escapeHtml(track.artist)} - ${this.escapeHtml(track.title)}</strong>
+      <span>${this.escapeHtml(track.album)}</span>
+      <span>${this.escapeHtml(details)}</span>
+      <code>${this.escapeHtml(track.relativePath || track.fileName)}</code>
+    `;
+  }
+
+  // The library entry keeps its id and place, so playlists, the queue, cues,
+  // loop and per-track effects stay; file, tags and everything measured from
+  // the audio come from the new copy. A sidecar .lrc is kept over tag lyrics.
+  async replaceTrack(existing, track) {
+    const replacement = { ...track, id: existing.id, addedAt: existing.addedAt };
+    ['cues', 'loop', 'effects'].forEach((key) => {
+      if (existing[key] !== undefined) replacement[key] = existing[key];
+    });
+    if (existing.lyrics && existing.lyrics.source === 'lrc') {
+      replacement.lyrics = existing.lyrics;
+    }
+
+    const index = this.tracks.indexOf(existing);
+    this.tracks[index] = replacement;
+
+    // The playing element may still be on the old URL
+    if (!(index === this.currentTrackIndex && this.audio.src)) {
+      URL.revokeObjectURL(existing.url);
+    }
+
+    try {
+      await this.store.addTrack(this.toTrackRecord(replacement), replacement.file);
+    } catch (error) {
+      console.warn('Failed to store track:', error);
+    }
+    return replacement;
+  }
+
+  // ==========================================
+  // LIBRARY SEARCH, SORT & GROUPING
+  // ==========================================
+
+  setLibrarySearch(query) {
+    this.librarySearch = query.trim();
+    this.updateLibraryUI();
+    this.refreshPreload();
+  }
+
+  setLibrarySort(sort) {
+    this.librarySort = sort;
+    localStorage.setItem('vinylPlayer.librarySort', sort);
+    this.updateLibraryUI();
+    this.refreshPreload();
+  }
+
+  setLibraryGrouping(grouping) {
+    this.libraryGrouping = grouping;
+    localStorage.setItem('vinylPlayer.libraryGrouping', grouping);
+    this.updateLibraryUI();
+    this.refreshPreload();
+  }
+
+  compareText(a, b) {
+    return String(a || '').localeCompare(String(b || ''), undefined, { numeric: true, sensitivity: 'base' });
+  }
+
+  // Disc, then track number; untagged tracks go last, by title
+  compareAlbumOrder(a, b) {
+    return (a.discNumber || 1) - (b.discNumber || 1) ||
+      (a.trackNumber || Infinity) - (b.trackNumber || Infinity) ||
+      this.compareText(a.title, b.title);
+  }
+
+  getFilteredTracks() {
+    const words = this.librarySearch.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return this.tracks.slice();
+
+    // Every word has to match the title, artist, album, genre or composer
+    return this.tracks.filter((track) => {
+      const text = `${track.title} ${track.artist} ${track.album || ''} ${track.genre || ''} ${track.composer || ''}`.toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  }
+
+  sortTracks(tracks) {
+    const comparators = {
+      added: (a, b) => a.addedAt - b.addedAt,
+      recent: (a, b) => b.addedAt - a.addedAt,
+      title: (a, b) => this.compareText(a.title, b.title),
+      artist: (a, b) => this.compareText(a.artist, b.artist) || this.compareText(a.album, b.album) || this.compareAlbumOrder(a, b),
+      album: (a, b) => this.compareText(a.album, b.album) || this.compareAlbumOrder(a, b),
+      duration: (a, b) => (a.duration || Infinity) - (b.duration || Infinity) || this.compareText(a.title, b.title)
+    };
+
+    return tracks.sort(comparators[this.librarySort] || comparators.added);
+  }
+
+  // Groups as displayed: [{ title, subtitle, tracks }]; no title when flat
+  getLibraryGroups() {
+    const tracks = this.getFilteredTracks();
+    if (tracks.length === 0) return [];
+
+    if (this.libraryGrouping === 'none') {
+      return [{ tracks: this.sortTracks(tracks) }];
+    }
+
+    const byArtist = this.libraryGrouping === 'artist';
+    const groups = new Map();
+
+    tracks.forEach((track) => {
+      const key = byArtist
+        ? track.artist.toLowerCase()
+        : `${(track.album || '').toLowerCase()}\u0000${track.artist.toLowerCase()}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { artist: track.artist, album: track.album || '', tracks: [] });
+      }
+      groups.get(key).tracks.push(track);
+    });
+
+    return Array.from(groups.values())
+      .map((group) => {
+        group.tracks.sort((a, b) => (byArtist ? this.compareText(a.album, b.album) : 0) || this.compareAlbumOrder(a, b));
+
+        const count = `Треков: ${group.tracks.length}`;
+        if (byArtist) {
+          const albums = new Set(group.tracks.map(track => track.album).filter(Boolean)).size;
+          return { title: group.artist, subtitle: albums ? `Альбомов: ${albums} · ${count}` : count, tracks: group.tracks };
+        }
+        return { title: group.album || 'Без альбома', subtitle: `${group.artist} · ${count}`, tracks: group.tracks };
+      })
+      .sort((a, b) => {
+        // "No album" collects loose tracks and goes last
+        if (!byArtist && (a.title === 'Без альбома') !== (b.title === 'Без альбома')) {
+          return a.title === 'Без альбома' ? 1 : -1;
+        }
+        return this.compareText(a.title, b.title) || this.compareText(a.subtitle, b.subtitle);
+      });
+  }
+
+  // Track IDs in the order the library shows them
+  getLibraryOrderIds() {
+    return this.getLibraryGroups().reduce((ids, group) => ids.concat(group.tracks.map(track => track.id)), []);
+  }
+
+  escapeHtml(text) {
+    return String(text == null ? '' : text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  hexToRgba(color, alpha) {
+    // Convert rgb(r, g, b) to rgba(r, g, b, alpha)
+    if (color.startsWith('rgb(')) {
+      return color.replace('rgb(', 'rgba(').replace(')', `, ${alpha})`);
+    }
+    return color;
+  }
+
+  openPlayer(index) {
+    const track = this.tracks[index];
+
     if (!track.url) {
       alert('Пожалуйста, загрузите MP3 файл для этого трека');
       document.getElementById('fileInput').click();
       return;
     }
 
-    this.currentTrackIndex = index;
-    this.library.classList.add('hidden');
-    this.player.classList.remove('hidden');
+    // A card picked in the library plays through the library
+    this.setPlayContext({ type: 'library' }, track.id);
+    this.currentTrackIndex = index;
+    this.loadTrack(index);
+    this.showPlayer();
+  }
+
+  showPlayer() {
+    if (!this.audio.src) return;
+
+    this.library.classList.add('hidden');
+    this.player.classList.remove('hidden');
+    this.hideContextMenu();
+  }
+
+  closePlayer() {
+    // Don't pause - keep music playing during navigation
+    this.player.classList.add('hidden');
+    this.library.classList.remove('hidden');
+
+    // Show mini player when closing full player
+    this.updateMiniPlayer();
+  }
+
+  loadTrack(index) {
+    const track = this.tracks[index];
+    if (!track || !track.url) return;
+
+    // A manual track change ends a running crossfade
+    this.finishTransition();
+    this.endBridge();
+    this.finishListen();
+
+    // Remember where the previous track was left
+    if (this.previousTrackId && this.previousTrackId !== track.id) {
+      const previous = this.tracks.find(t => t.id === this.previousTrackId);
+      if (previous && this.audio.src) {
+        previous.lastPosition = this.audio.currentTime || 0;
+        this.saveTrack(previous);
+      }
+    }
+    this.previousTrackId = track.id;
+
+    // Use the standby element if it has already buffered this track
+    const standby = this.getStandbyElement();
+    if (standby && this.preloaded && this.preloaded.trackId === track.id) {
+      this.audio.pause();
+      this.activateElement(standby);
+    } else {
+      this.audio.src = track.url;
+    }
+    this.preloaded = null;
+
+    this.resumePosition(track);
+    this.showTrack(track);
+
+    // Auto-play
+    this.play();
+    this.preloadNextTrack();
+  }
+
+  // Resume from the saved position unless the track was nearly finished
+  resumePosition(track) {
+    if (!(track.lastPosition > 0)) return;
+
+    const element = this.audio;
+    const apply = () => {
+      if (track.lastPosition < element.duration - 5) {
+        element.currentTime = track.lastPosition;
+      }
+    };
+
+    if (element.readyState >= 1) {
+      apply();
+    } else {
+      element.addEventListener('loadedmetadata', apply, { once: true });
+    }
+  }
+
+  // Title, tags and cover of the loaded track; also used after tag edits
+  showTrackInfo(track) {
+    document.getElementById('playerTrackTitle').textContent = track.title;
+    document.getElementById('playerTrackArtist').textContent = track.artist;
+    document.getElementById('playerTrackDetails').textContent = this.formatTrackDetails(track);
+    document.getElementById('playerTrackStream').textContent = this.formatStreamInfo(track);
+    document.getElementById('playerTrackTempo').textContent = this.formatTempoKey(track);
+    this.renderLyrics(track);
+
+    // Load cover art for vinyl
+    if (track.coverArt) {
+      this.coverImage = new Image();
+      this.coverImage.src = track.coverArt;
+    } else {
+      this.coverImage = null;
+    }
+  }
+
+  showTrack(track) {
+    this.showTrackInfo(track);
+
+    // Remove any glow effects (Web 1.0 style - no fancy effects)
+    if (this.canvas) {
+      this.canvas.style.boxShadow = '';
+      this.canvas.style.filter = '';
+    }
+
+    // Reset effects
+    this.resetEffects();
+    this.applyEffects();
+    this.updateMediaMetadata(track);
+
+    // Decode in the background so the record can be scratched
+    this.prepareScratch(track);
+    this.ensureWaveform(track);
+    this.updateNormalization();
+    this.prepareNormalization(track);
+    this.queueAnalysis([track], { urgent: true });
+
+    // Loop and hot cues saved with the track; the standby element is
+    // parked at A by preloadNextTrack once the track change settles
+    this.scheduleLoop();
+    this.updateLoopUI();
+    this.renderCuePads();
+
+    // A preloaded element has already reported its duration
+    this.updateDuration();
+    this.updateTime();
+
+    this.refreshQueueView();
+  }
+
+  // ==========================================
+  // MEDIA SESSION (LOCK SCREEN & MEDIA KEYS)
+  // ==========================================
+
+  setupMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+
+    const handlers = {
+      play: () => this.play(),
+      pause: () => this.pause(),
+      stop: () => this.pause(),
+      previoustrack: () => this.previousTrack(),
+      nexttrack: () => this.nextTrack(),
+      seekbackward: (details) => this.seekBy(-(details.seekOffset || 10)),
+      seekforward: (details) => this.seekBy(details.seekOffset || 10),
+      seekto: (details) => {
+        if (details.fastSeek && 'fastSeek' in this.audio) {
+          this.audio.fastSeek(details.seekTime);
+        } else {
+          this.seekTo(details.seekTime);
+        }
+      }
+    };
+
+    // Browsers throw for actions they do not know. The DJ decks have no
+    // lock-screen controls, and the hidden player must not start under them.
+    Object.keys(handlers).forEach((action) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, (details) => {
+          if (!this.isDjModeOpen()) handlers[action](details);
+        });
+      } catch (error) {
+        console.warn(`Media session action "${action}" not supported`);
+      }
+    });
+  }
+
+  updateMediaMetadata(track) {
+    if (!('mediaSession' in navigator) || !window.MediaMetadata) return;
+
+    const metadata = {
+      title: track.title,
+      artist: track.artist,
+      album: track.album || ''
+    };
+
+    if (track.coverArt) {
+      const type = (track.coverArt.match(/^data:([^;,]+)/) || [])[1];
+      metadata.artwork = [{ src: track.coverArt, sizes: 'any', ...(type ? { type } : {}) }];
+
+      // Report the real size once the cover has decoded; true when it has
+      const cover = this.coverImage;
+      const publish = () => {
+        if (this.coverImage !== cover || !cover.naturalWidth) return false;
+        metadata.artwork[0].sizes = `${cover.naturalWidth}x${cover.naturalHeight}`;
+        navigator.mediaSession.metadata = new MediaMetadata(metadata);
+        return true;
+      };
+      // A cover that failed to load still gets the plain metadata below
+      if (cover && cover.complete && publish()) {
+        return;
+      }
+      if (cover) {
+        cover.addEventListener('load', publish, { once: true });
+      }
+    }
+
+    navigator.mediaSession.metadata = new MediaMetadata(metadata);
+  }
+
+  setMediaPlaybackState(state) {
+    if ('mediaSession' in navigator) {
+      navigator.mediaSession.playbackState = state;
+    }
+  }
+
+  updatePositionState() {
+    if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+
+    const duration = this.audio.duration;
+    if (!isFinite(duration) || duration <= 0) return;
+
+    try {
+      navigator.mediaSession.setPositionState({
+        duration,
+        playbackRate: this.audio.playbackRate || 1,
+        position: Math.min(Math.max(this.audio.currentTime, 0), duration)
+      });
+    } catch (error) {
+      console.warn('Failed to update media position:', error);
+    }
+  }
+
+  clearMediaSession() {
+    if (!('mediaSession' in navigator)) return;
+
+    navigator.mediaSession.metadata = null;
+    navigator.mediaSession.playbackState = 'none';
+    if (navigator.mediaSession.setPositionState) {
+      try {
+        navigator.mediaSession.setPositionState();
+      } catch (error) {
+        // Older implementations require a state
+      }
+    }
+  }
+
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  play() {
+    if (!this.audio.src) return;
+
+    // Setup audio nodes on first play
+    if (!this.audioInitialized) {
+      this.setupAudioNodes();
+    }
+
+    // Resume audio context (required for some browsers)
+    if (this.audioContext && this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+
+    this.audio.play();
+    this.isPlaying = true;
+    this.setMediaPlaybackState('playing');
+
+    // Update UI
+    document.getElementById('playIcon').classList.add('hidden');
+    document.getElementById('pauseIcon').classList.remove('hidden');
+    document.getElementById('tonearm').classList.add('playing');
+
+    // Update mini player
+    this.updateMiniPlayer();
+  }
+
+  pause() {
+    this.finishTransition();
+    this.endBridge();
+    this.audio.pause();
+    this.isPlaying = false;
+    this.saveCurrentPosition();
+    this.setMediaPlaybackState('paused');
+
+    // Update UI
+    document.getElementById('playIcon').classList.remove('hidden');
+    document.getElementById('pauseIcon').classList.add('hidden');
+    document.getElementById('tonearm').classList.remove('playing');
+
+    // Update mini player
+    this.updateMiniPlayer();
+  }
+
+  stopPlayback() {
+    this.finishListen();
+    this.pause();
+    clearTimeout(this.transitionTimer);
+    this.audioElements.forEach((element) => {
+      element.removeAttribute('src');
+      element.load();
+    });
+    this.preloaded = null;
+    this.upcoming = null;
+    this.previousTrackId = null;
+    this.clearMediaSession();
+
+    if (!this.player.classList.contains('hidden')) {
+      this.closePlayer();
+    }
+  }
+
+  handleTrackEnded() {
+    this.finishListen();
+
+    // A finished track starts from the beginning next time
+    const track = this.tracks[this.currentTrackIndex];
+    if (track) {
+      track.lastPosition = 0;
+      this.saveTrack(track);
+    }
+
+    const next = this.getAdjacentTrack(1, true);
+    if (!next) {
+      // Stop at the end of the list, ready to play again from the start
+      this.audio.currentTime = 0;
+      this.pause();
+      return;
+    }
+
+    this.goToTrack(next);
+  }
+
+  previousTrack() {
+    const previous = this.getAdjacentTrack(-1, false);
+    if (previous) {
+      this.goToTrack(previous);
+    }
+  }
+
+  nextTrack() {
+    const next = this.getAdjacentTrack(1, false);
+    if (next) {
+      this.goToTrack(next);
+    }
+  }
+
+  goToTrack(step) {
+    this.commitOrderStep(step);
+    this.currentTrackIndex = step.index;
+    this.loadTrack(step.index);
+  }
+
+  // ==========================================
+  // PLAYBACK ORDER (SHUFFLE & REPEAT)
+  // ==========================================
+
+  toggleShuffle() {
+    this.shuffle = !this.shuffle;
+    localStorage.setItem('vinylPlayer.shuffle', this.shuffle);
+
+    const track = this.tracks[this.currentTrackIndex];
+    this.shuffleOrder = [];
+    this.shufflePosition = 0;
+    if (this.shuffle && track) {
+      this.restartShuffleFrom(track.id);
+    }
+
+    this.updateOrderModeUI();
+    this.refreshPreload();
+  }
+
+  cycleRepeatMode() {
+    const modes = ['all', 'one', 'off'];
+    this.repeatMode = modes[(modes.indexOf(this.repeatMode) + 1) % modes.length];
+    localStorage.setItem('vinylPlayer.repeatMode', this.repeatMode);
+
+    this.updateOrderModeUI();
+    this.refreshPreload();
+  }
+
+  refreshPreload() {
+    if (this.audio.src) {
+      this.preloadNextTrack();
+    }
+  }
+
+  updateOrderModeUI() {
+    const repeatTitles = {
+      all: 'Повторять все',
+      one: 'Повторять трек',
+      off: 'Остановиться в конце'
+    };
+
+    ['shuffleBtn', 'miniShuffleBtn'].forEach((id) => {
+      const button = document.getElementById(id);
+      if (!button) return;
+      button.classList.toggle('active', this.shuffle);
+      button.setAttribute('aria-pressed', this.shuffle);
+    });
+
+    ['repeatBtn', 'miniRepeatBtn'].forEach((id) => {
+      const button = document.getElementById(id);
+      if (!button) return;
+      button.classList.toggle('active', this.repeatMode !== 'off');
+      button.dataset.repeat = this.repeatMode;
+      button.title = repeatTitles[this.repeatMode];
+      button.setAttribute('aria-label', repeatTitles[this.repeatMode]);
+    });
+  }
+
+  // Track IDs of the active play context: the library as currently
+  // searched, sorted and grouped, or a playlist
+  getOrderIds() {
+    if (this.playContext.type === 'playlist') {
+      const playlist = this.getPlaylist(this.playContext.playlistId);
+      if (playlist) {
+        return this.getPlaylistTrackIds(playlist);
+      }
+    }
+
+    const ids = this.getLibraryOrderIds();
+    return ids.length > 0 ? ids : this.tracks.map(track => track.id);
+  }
+
+  setPlayContext(context, trackId, position) {
+    const sameContext = this.playContext.type === context.type &&
+      this.playContext.playlistId === context.playlistId;
+
+    this.playContext = context;
+    this.playingFromQueue = false;
+
+    const ids = this.getOrderIds();
+    this.contextPosition = position !== undefined ? position : Math.max(0, ids.indexOf(trackId));
+
+    if (this.shuffle) {
+      // A new list starts a new shuffle; the same list keeps its history
+      if (!sameContext) {
+        this.shuffleOrder = [];
+        this.shufflePosition = 0;
+      }
+      this.restartShuffleFrom(trackId);
+    }
+  }
+
+  // Follow the current track if the list changed around it
+  syncContextPosition(ids) {
+    if (this.playingFromQueue) return;
+
+    const current = this.tracks[this.currentTrackIndex];
+    if (current && ids[this.contextPosition] !== current.id) {
+      const position = ids.indexOf(current.id);
+      if (position >= 0) {
+        this.contextPosition = position;
+      }
+    }
+  }
+
+  shuffleIds(ids) {
+    const result = ids.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+
+  // Keep the shuffled history, then play the chosen track followed by a
+  // fresh shuffle of everything else
+  restartShuffleFrom(id) {
+    if (this.shuffleOrder[this.shufflePosition] === id) return;
+
+    const history = this.shuffleOrder.slice(0, this.shufflePosition + 1).slice(-500);
+    const rest = this.shuffleIds(this.getOrderIds().filter(other => other !== id));
+
+    this.shuffleOrder = history.concat(id, rest);
+    this.shufflePosition = history.length;
+  }
+
+  // Append another full shuffle, avoiding an immediate repeat at the seam
+  extendShuffleOrder() {
+    const cycle = this.shuffleIds(this.getOrderIds());
+    const last = this.shuffleOrder[this.shuffleOrder.length - 1];
+
+    if (cycle.length > 1 && cycle[0] === last) {
+      [cycle[0], cycle[cycle.length - 1]] = [cycle[cycle.length - 1], cycle[0]];
+    }
+
+    this.shuffleOrder = this.shuffleOrder.concat(cycle);
+  }
+
+  // Find the track `direction` steps away without moving there yet.
+  // `auto` is true when the current track ended by itself.
+  getAdjacentTrack(direction, auto) {
+    if (this.tracks.length === 0) return null;
+
+    if (auto && this.repeatMode === 'one') {
+      return { index: this.currentTrackIndex, repeat: true };
+    }
+
+    // "Up Next" plays before the rest of the list
+    if (direction > 0) {
+      for (const entry of this.queue) {
+        const index = this.getTrackIndex(entry.trackId);
+        if (index >= 0) {
+          return { index, queueKey: entry.key };
+        }
+      }
+    }
+
+    // Going back from a queued track returns to the list
+    if (direction < 0 && this.playingFromQueue) {
+      const id = this.shuffle ? this.shuffleOrder[this.shufflePosition] : this.getOrderIds()[this.contextPosition];
+      const index = this.getTrackIndex(id);
+      if (index >= 0) {
+        return { index, contextPosition: this.contextPosition, shufflePosition: this.shufflePosition };
+      }
+    }
+
+    if (this.shuffle) {
+      return this.getAdjacentShuffled(direction, auto);
+    }
+
+    const ids = this.getOrderIds();
+    if (ids.length === 0) return null;
+    this.syncContextPosition(ids);
+
+    let position = this.contextPosition + direction;
+    if (position >= ids.length || position < 0) {
+      if (auto && this.repeatMode === 'off') return null;
+      position = (position + ids.length) % ids.length;
+    }
+
+    return { index: this.getTrackIndex(ids[position]), contextPosition: position };
+  }
+
+  getAdjacentShuffled(direction, auto) {
+    const current = this.tracks[this.currentTrackIndex];
+    if (current && !this.playingFromQueue) {
+      this.restartShuffleFrom(current.id);
+    }
+
+    let position = this.shufflePosition + direction;
+
+    while (position >= 0) {
+      if (position >= this.shuffleOrder.length) {
+        // Whole order played through: stop or reshuffle
+        if (auto && this.repeatMode === 'off') return null;
+        this.extendShuffleOrder();
+      }
+
+      // Skip tracks removed from the library since the shuffle
+      const index = this.getTrackIndex(this.shuffleOrder[position]);
+      if (index >= 0) {
+        return { index, shufflePosition: position };
+      }
+
+      position += direction;
+    }
+
+    // Walked back past the start of the history
+    return null;
+  }
+
+  commitOrderStep(step) {
+    if (step.repeat) return;
+
+    if (step.queueKey) {
+      this.queue = this.queue.filter(entry => entry.key !== step.queueKey);
+      this.playingFromQueue = true;
+      this.saveQueue();
+      return;
+    }
+
+    this.playingFromQueue = false;
+    if (step.contextPosition !== undefined) {
+      this.contextPosition = step.contextPosition;
+    }
+    if (this.shuffle && step.shufflePosition !== undefined) {
+      this.shufflePosition = step.shufflePosition;
+    }
+  }
+
+  // ==========================================
+  // PLAYLISTS & UP NEXT QUEUE
+  // ==========================================
+
+  getTrackIndex(id) {
+    return this.tracks.findIndex(track => track.id === id);
+  }
+
+  getPlaylist(id) {
+    return this.playlists.find(playlist => playlist.id === id) || null;
+  }
+
+  getPlaylistTrackIds(playlist) {
+    return playlist.trackIds.filter(id => this.getTrackIndex(id) >= 0);
+  }
+
+  loadQueue() {
+    try {
+      const queue = JSON.parse(localStorage.getItem('vinylPlayer.queue'));
+      return Array.isArray(queue) ? queue : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  saveQueue() {
+    localStorage.setItem('vinylPlayer.queue', JSON.stringify(this.queue));
+  }
+
+  // Called after the queue or a playlist changed
+  handleOrderChange() {
+    this.saveQueue();
+    this.refreshPreload();
+    if (this.libraryView !== 'tracks') {
+      this.updateLibraryUI();
+    }
+  }
+
+  playNext(trackId) {
+    this.queue.unshift({ key: this.generateId(), trackId });
+    this.handleOrderChange();
+    this.showToast('Будет играть следующим');
+  }
+
+  addToQueue(trackId) {
+    this.queue.push({ key: this.generateId(), trackId });
+    this.handleOrderChange();
+    this.showToast('Добавлено в очередь');
+  }
+
+  removeFromQueue(key) {
+    this.queue = this.queue.filter(entry => entry.key !== key);
+    this.handleOrderChange();
+  }
+
+  clearQueue() {
+    this.queue = [];
+    this.handleOrderChange();
+  }
+
+  moveQueueEntry(from, to) {
+    const [entry] = this.queue.splice(from, 1);
+    this.queue.splice(to, 0, entry);
+    this.handleOrderChange();
+  }
+
+  // Jump to a queued track; everything queued before it is skipped
+  playQueueEntry(key) {
+    const position = this.queue.findIndex(entry => entry.key === key);
+    if (position < 0) return;
+
+    const entry = this.queue[position];
+    const index = this.getTrackIndex(entry.trackId);
+    this.queue = this.queue.slice(position);
+    if (index < 0) return;
+
+    this.goToTrack({ index, queueKey: key });
+    this.showPlayer();
+  }
+
+  savePlaylist(playlist) {
+    return this.store.putPlaylist(playlist).catch((error) => {
+      console.warn('Failed to save playlist:', error);
+    });
+  }
+
+  async createPlaylist() {
+    const name = prompt('Название плейлиста:', 'Новый плейлист');
+    if (!name || !name.trim()) return null;
+
+    const playlist = {
+      id: this.generateId(),
+      name: name.trim(),
+      trackIds: [],
+      createdAt: Date.now()
+    };
+
+    this.playlists.push(playlist);
+    await this.savePlaylist(playlist);
+    this.handleOrderChange();
+    return playlist;
+  }
+
+  renamePlaylist(id) {
+    const playlist = this.getPlaylist(id);
+    if (!playlist) return;
+
+    const name = prompt('Новое название плейлиста:', playlist.name);
+    if (!name || !name.trim()) return;
+
+    playlist.name = name.trim();
+    this.savePlaylist(playlist);
+    this.handleOrderChange();
+  }
+
+  async deletePlaylist(id) {
+    const playlist = this.getPlaylist(id);
+    if (!playlist) return;
+    if (!confirm(`Удалить плейлист "${playlist.name}"?`)) return;
+
+    this.playlists = this.playlists.filter(other => other.id !== id);
+    if (this.openPlaylistId === id) {
+      this.openPlaylistId = null;
+    }
+
+    // Playback continues through the library
+    if (this.playContext.playlistId === id) {
+      this.playContext = { type: 'library' };
+      this.syncContextPosition(this.getOrderIds());
+    }
+
+    try {
+      await this.store.deletePlaylist(id);
+    } catch (error) {
+      console.warn('Failed to delete playlist:', error);
+    }
+
+    this.handleOrderChange();
+  }
+
+  addToPlaylist(playlistId, trackId) {
+    const playlist = this.getPlaylist(playlistId);
+    if (!playlist) return;
+
+    playlist.trackIds.push(trackId);
+    this.savePlaylist(playlist);
+    this.handleOrderChange();
+    this.showToast(`Добавлено в "${playlist.name}"`);
+  }
+
+  removeFromPlaylist(playlistId, position) {
+    const playlist = this.getPlaylist(playlistId);
+    if (!playlist) return;
+
+    playlist.trackIds = this.getPlaylistTrackIds(playlist);
+    playlist.trackIds.splice(position, 1);
+    this.adjustContextPosition(playlistId, position, -1);
+    this.savePlaylist(playlist);
+    this.handleOrderChange();
+  }
+
+  movePlaylistTrack(playlistId, from, to) {
+    const playlist = this.getPlaylist(playlistId);
+    if (!playlist) return;
+
+    playlist.trackIds = this.getPlaylistTrackIds(playlist);
+    const [id] = playlist.trackIds.splice(from, 1);
+    playlist.trackIds.splice(to, 0, id);
+
+    // Keep following the playing entry
+    if (this.playContext.playlistId === playlistId) {
+      if (this.contextPosition === from) {
+        this.contextPosition = to;
+      } else {
+        this.adjustContextPosition(playlistId, from, -1);
+        this.adjustContextPosition(playlistId, to, 1);
+      }
+    }
+
+    this.savePlaylist(playlist);
+    this.handleOrderChange();
+  }
+
+  adjustContextPosition(playlistId, position, delta) {
+    if (this.playContext.playlistId !== playlistId) return;
+
+    if (delta < 0 ? position < this.contextPosition : position <= this.contextPosition) {
+      this.contextPosition = Math.max(0, this.contextPosition + delta);
+    }
+  }
+
+  playPlaylist(playlistId, position = 0) {
+    const playlist = this.getPlaylist(playlistId);
+    if (!playlist) return;
+
+    const ids = this.getPlaylistTrackIds(playlist);
+    const index = this.getTrackIndex(ids[position]);
+    if (index < 0) return;
+
+    this.setPlayContext({ type: 'playlist', playlistId }, ids[position], position);
+    this.currentTrackIndex = index;
+    this.loadTrack(index);
+    this.showPlayer();
+  }
+
+  // Removed tracks disappear from the queue and every playlist
+  forgetTrackReferences(ids) {
+    this.queue = this.queue.filter(entry => !ids.includes(entry.trackId));
+
+    this.playlists.forEach((playlist) => {
+      const kept = playlist.trackIds.filter(id => !ids.includes(id));
+      if (kept.length !== playlist.trackIds.length) {
+        playlist.trackIds = kept;
+        this.savePlaylist(playlist);
+      }
+    });
+
+    this.saveQueue();
+  }
+
+  // ==========================================
+  // LIBRARY VIEWS: PLAYLISTS & QUEUE
+  // ==========================================
+
+  setLibraryView(view) {
+    this.libraryView = view;
+    if (view !== 'playlists') {
+      this.openPlaylistId = null;
+    }
+    this.updateLibraryUI();
+  }
+
+  refreshQueueView() {
+    if (this.libraryView === 'queue') {
+      this.updateLibraryUI();
+    }
+  }
+
+  createListRow(track, options = {}) {
+    const row = document.createElement('div');
+    row.className = 'list-row';
+    if (options.current) {
+      row.classList.add('current');
+    }
+
+    row.innerHTML = `
+      ${options.sortable ? '<span class="drag-handle" title="Перетащите для сортировки" aria-hidden="true">&#9776;</span>' : ''}
+      <span class="list-row-number">${options.number || ''}</span>
+      <span class="list-row-text">
+        <strong>${this.escapeHtml(track.title)}</strong>
+        <span class="list-row-artist">${this.escapeHtml(track.artist)}</span>
+      </span>
+      ${options.onRemove ? '<button class="btn-list-remove" title="Убрать" aria-label="Убрать">&times;</button>' : ''}
+    `;
+
+    if (options.onClick) {
+      row.tabIndex = 0;
+      row.addEventListener('click', options.onClick);
+      row.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') options.onClick();
+      });
+    }
+
+    if (options.onRemove) {
+      row.querySelector('.btn-list-remove').addEventListener('click', (e) => {
+        e.stopPropagation();
+        options.onRemove();
+      });
+    }
+
+    return row;
+  }
+
+  // Drag-to-reorder by the row handle; pointer events cover mouse and touch
+  enableReorder(list, onMove) {
+    const rows = Array.from(list.querySelectorAll('.list-row'));
+
+    rows.forEach((row, from) => {
+      const handle = row.querySelector('.drag-handle');
+      if (!handle) return;
+
+      handle.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+        event.stopPropagation();
+        handle.setPointerCapture(event.pointerId);
+        row.classList.add('dragging');
+
+        let to = from;
+
+        const move = (e) => {
+          const target = document.elementFromPoint(e.clientX, e.clientY);
+          const targetRow = target && target.closest('.list-row');
+          const position = rows.indexOf(targetRow);
+          if (position < 0) return;
+
+          to = position;
+          rows.forEach(other => other.classList.toggle('drop-target', other === targetRow && other !== row));
+        };
+
+        const finish = () => {
+          handle.removeEventListener('pointermove', move);
+          handle.removeEventListener('pointerup', finish);
+          handle.removeEventListener('pointercancel', finish);
+          rows.forEach(other => other.classList.remove('dragging', 'drop-target'));
+
+          if (to !== from) {
+            onMove(from, to);
+          }
+        };
+
+        handle.addEventListener('pointermove', move);
+        handle.addEventListener('pointerup', finish);
+        handle.addEventListener('pointercancel', finish);
+      });
+
+      handle.addEventListener('click', e => e.stopPropagation());
+    });
+  }
+
+  renderPlaylistsView(panel) {
+    panel.innerHTML = '';
+
+    const playlist = this.getPlaylist(this.openPlaylistId);
+    if (playlist) {
+      this.renderPlaylistDetail(panel, playlist);
+      return;
+    }
+
+    const header = document.createElement('div');
+    header.className = 'list-header';
+    header.innerHTML = `
+      <h2>Плейлисты</h2>
+      <button class="btn-list-action" id="newPlaylistBtn">+ Новый плейлист</button>
+    `;
+    header.querySelector('#newPlaylistBtn').addEventListener('click', () => this.createPlaylist());
+    panel.appendChild(header);
+
+    if (this.playlists.length === 0) {
+      panel.insertAdjacentHTML('beforeend', '<p class="list-empty">Плейлистов пока нет</p>');
+      return;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'list-rows';
+
+    this.playlists.forEach((item) => {
+      const count = this.getPlaylistTrackIds(item).length;
+      const row = document.createElement('div');
+      row.className = 'list-row';
+      row.tabIndex = 0;
+      row.innerHTML = `
+        <span class="list-row-text">
+          <strong>${this.escapeHtml(item.name)}</strong>
+          <span class="list-row-artist">Треков: ${count}</span>
+        </span>
+        <button class="btn-list-action" data-action="play" title="Слушать" aria-label="Слушать">&#9654;</button>
+        <button class="btn-list-action" data-action="rename" title="Переименовать" aria-label="Переименовать">&#9998;</button>
+        <button class="btn-list-remove" data-action="delete" title="Удалить плейлист" aria-label="Удалить плейлист">&times;</button>
+      `;
+
+      const open = () => {
+        this.openPlaylistId = item.id;
+        this.updateLibraryUI();
+      };
+      row.addEventListener('click', open);
+      row.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') open();
+      });
+
+      const actions = {
+        play: () => this.playPlaylist(item.id),
+        rename: () => this.renamePlaylist(item.id),
+        delete: () => this.deletePlaylist(item.id)
+      };
+      row.querySelectorAll('[data-action]').forEach((button) => {
+        button.addEventListener('click', (e) => {
+          e.stopPropagation();
+          actions[button.dataset.action]();
+        });
+      });
+
+      list.appendChild(row);
+    });
+
+    panel.appendChild(list);
+  }
+
+  renderPlaylistDetail(panel, playlist) {
+    const ids = this.getPlaylistTrackIds(playlist);
+    const playing = this.playContext.playlistId === playlist.id && !this.playingFromQueue;
+
+    const header = document.createElement('div');
+    header.className = 'list-header';
+    header.innerHTML = `
+      <button class="btn-list-action" data-action="back">&larr; Плейлисты</button>
+      <h2>${this.escapeHtml(playlist.name)}</h2>
+      <button class="btn-list-action" data-action="play" ${ids.length ? '' : 'disabled'}>&#9654; Слушать</button>
+      <button class="btn-list-action" data-action="export" ${ids.length ? '' : 'disabled'}>Экспорт…</button>
+    `;
+    header.querySelector('[data-action="back"]').addEventListener('click', () => {
+      this.openPlaylistId = null;
+      this.updateLibraryUI();
+    });
+    header.querySelector('[data-action="play"]').addEventListener('click', () => this.playPlaylist(playlist.id));
+    header.querySelector('[data-action="export"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.exportTrackList(e.currentTarget, playlist.name, ids);
+    });
+    panel.appendChild(header);
+
+    if (ids.length === 0) {
+      panel.insertAdjacentHTML('beforeend', '<p class="list-empty">Плейлист пуст. Добавьте треки через меню &#8942; на карточке</p>');
+      return;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'list-rows';
+
+    ids.forEach((id, position) => {
+      const track = this.tracks[this.getTrackIndex(id)];
+      list.appendChild(this.createListRow(track, {
+        number: position + 1,
+        sortable: true,
+        current: playing && position === this.contextPosition && this.audio.src,
+        onClick: () => this.playPlaylist(playlist.id, position),
+        onRemove: () => this.removeFromPlaylist(playlist.id, position)
+      }));
+    });
+
+    panel.appendChild(list);
+    this.enableReorder(list, (from, to) => this.movePlaylistTrack(playlist.id, from, to));
+  }
+
+  renderQueueView(panel) {
+    panel.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'list-header';
+    header.innerHTML = `
+      <h2>Очередь</h2>
+      <button class="btn-list-action" data-action="export" ${this.queue.length ? '' : 'disabled'}>Экспорт…</button>
+      <button class="btn-list-action" data-action="clear" ${this.queue.length ? '' : 'disabled'}>Очистить очередь</button>
+    `;
+    header.querySelector('[data-action="clear"]').addEventListener('click', () => this.clearQueue());
+    header.querySelector('[data-action="export"]').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.exportTrackList(e.currentTarget, 'Очередь', this.queue.map(entry => entry.trackId));
+    });
+    panel.appendChild(header);
+
+    const current = this.tracks[this.currentTrackIndex];
+    if (current && this.audio.src) {
+      panel.insertAdjacentHTML('beforeend', '<h3 class="list-subtitle">Сейчас играет</h3>');
+      const nowPlaying = document.createElement('div');
+      nowPlaying.className = 'list-rows';
+      nowPlaying.appendChild(this.createListRow(current, {
+        current: true,
+        onClick: () => this.showPlayer()
+      }));
+      panel.appendChild(nowPlaying);
+    }
+
+    panel.insertAdjacentHTML('beforeend', '<h3 class="list-subtitle">Далее</h3>');
+
+    const entries = this.queue.filter(entry => this.getTrackIndex(entry.trackId) >= 0);
+    if (entries.length === 0) {
+      panel.insertAdjacentHTML('beforeend', '<p class="list-empty">Очередь пуста. Добавьте треки через меню &#8942; на карточке</p>');
+      return;
+    }
+
+    const list = document.createElement('div');
+    list.className = 'list-rows';
+
+    entries.forEach((entry, position) => {
+      const track = this.tracks[this.getTrackIndex(entry.trackId)];
+      list.appendChild(this.createListRow(track, {
+        number: position + 1,
+        sortable: true,
+        onClick: () => this.playQueueEntry(entry.key),
+        onRemove: () => this.removeFromQueue(entry.key)
+      }));
+    });
+
+    panel.appendChild(list);
+    this.enableReorder(list, (from, to) => this.moveQueueEntry(from, to));
+  }
+
+  // ==========================================
+  // CONTEXT MENU & NOTIFICATIONS
+  // ==========================================
+
+  showTrackMenu(anchor, track) {
+    const items = [
+      { label: 'Играть следующим', action: () => this.playNext(track.id) },
+      { label: 'Добавить в очередь', action: () => this.addToQueue(track.id) },
+      { label: 'Изменить теги…', action: () => this.openTagEditor(track.id) },
+      { label: 'На деку A', action: () => this.loadDeckFromLibrary(0, track.id) },
+      { label: 'На деку B', action: () => this.loadDeckFromLibrary(1, track.id) },
+      { separator: true }
+    ];
+
+    this.playlists.forEach((playlist) => {
+      items.push({
+        label: `В плейлист "${playlist.name}"`,
+        action: () => this.addToPlaylist(playlist.id, track.id)
+      });
+    });
+
+    items.push({
+      label: 'Новый плейлист…',
+      action: async () => {
+        const playlist = await this.createPlaylist();
+        if (playlist) {
+          this.addToPlaylist(playlist.id, track.id);
+        }
+      }
+    });
+
+    this.showContextMenu(anchor, items);
+  }
+
+  showContextMenu(anchor, items) {
+    const menu = document.getElementById('contextMenu');
+    if (!menu) return;
+
+    menu.innerHTML = '';
+
+    items.forEach((item) => {
+      if (item.separator) {
+        menu.appendChild(document.createElement('hr'));
+        return;
+      }
+
+      const button = document.createElement('button');
+      button.className = 'context-menu-item';
+      button.setAttribute('role', 'menuitem');
+      button.textContent = item.label;
+      button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.hideContextMenu();
+        item.action();
+      });
+      menu.appendChild(button);
+    });
+
+    menu.classList.remove('hidden');
+
+    // Keep the menu on screen
+    const rect = anchor.getBoundingClientRect();
+    const left = Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8);
+    const below = rect.bottom + 4;
+    const top = below + menu.offsetHeight > window.innerHeight
+      ? Math.max(8, rect.top - menu.offsetHeight - 4)
+      : below;
+
+    menu.style.left = `${Math.max(8, left)}px`;
+    menu.style.top = `${top}px`;
+
+    const first = menu.querySelector('button');
+    if (first) first.focus();
+  }
+
+  hideContextMenu() {
+    const menu = document.getElementById('contextMenu');
+    if (menu) {
+      menu.classList.add('hidden');
+    }
+  }
+
+  showToast(message) {
+    const toast = document.getElementById('toast');
+    if (!toast) return;
+
+    toast.textContent = message;
+    toast.classList.remove('hidden');
+
+    clearTimeout(this.toastTimer);
+    this.toastTimer = setTimeout(() => toast.classList.add('hidden'), 2500);
+  }
+
+  // ==========================================
+  // TAG EDITOR
+  // ==========================================
+
+  setupTagEditor() {
+    const overlay = document.getElementById('tagEditorOverlay');
+    const form = document.getElementById('tagEditorForm');
+    if (!overlay || !form) return;
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.closeTagEditor();
+    });
+    document.getElementById('closeTagEditorBtn').addEventListener('click', () => this.closeTagEditor());
+    document.getElementById('tagCancelBtn').addEventListener('click', () => this.closeTagEditor());
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await this.saveTagEditor();
+      this.closeTagEditor();
+    });
+
+    document.getElementById('tagExportBtn').addEventListener('click', async () => {
+      const track = await this.saveTagEditor();
+      if (track) this.exportTaggedFile(track);
+    });
+
+    const coverInput = document.getElementById('tagCoverInput');
+    document.getElementById('tagCoverReplaceBtn').addEventListener('click', () => coverInput.click());
+    coverInput.addEventListener('change', async () => {
+      const file = coverInput.files[0];
+      coverInput.value = '';
+      if (!file || !file.type.startsWith('image/')) return;
+
+      this.tagEditorCover = await this.blobToDataUrl(file);
+      this.updateTagCoverPreview();
+    });
+
+    document.getElementById('tagCoverRemoveBtn').addEventListener('click', () => {
+      this.tagEditorCover = null;
+      this.updateTagCoverPreview();
+    });
+
+    const editBtn = document.getElementById('editTagsBtn');
+    if (editBtn) {
+      editBtn.addEventListener('click', () => {
+        const track = this.tracks[this.currentTrackIndex];
+        if (track) this.openTagEditor(track.id);
+      });
+    }
+  }
+
+  isTagEditorOpen() {
+    const overlay = document.getElementById('tagEditorOverlay');
+    return !!overlay && !overlay.classList.contains('hidden');
+  }
+
+  openTagEditor(trackId) {
+    const track = this.tracks[this.getTrackIndex(trackId)];
+    const form = document.getElementById('tagEditorForm');
+    if (!track || !form) return;
+
+    this.tagEditorTrackId = trackId;
+    this.tagEditorCover = track.coverArt || null;
+    this.tagEditorReturnFocus = document.activeElement;
+
+    form.elements.title.value = track.title || '';
+    form.elements.artist.value = track.artist === 'Unknown Artist' ? '' : track.artist || '';
+    form.elements.album.value = track.album || '';
+    form.elements.trackNumber.value = track.trackNumber || '';
+    form.elements.year.value = track.year || '';
+    form.elements.genre.value = track.genre || '';
+
+    // Suggest the genres already in the library
+    const genres = [...new Set(this.tracks.map(item => item.genre).filter(Boolean))].sort((a, b) => this.compareText(a, b));
+    document.getElementById('tagGenreList').innerHTML = genres
+      .map(genre => `<option value="${this.escapeHtml(genre)}"></option>`)
+      .join('');
+
+    document.getElementById('tagEditorFile').textContent = [track.fileName, this.formatStreamInfo(track)].filter(Boolean).join(' · ');
+    this.updateTagCoverPreview();
+
+    document.getElementById('tagEditorOverlay').classList.remove('hidden');
+    form.elements.title.focus();
+    form.elements.title.select();
+  }
+
+  closeTagEditor() {
+    const overlay = document.getElementById('tagEditorOverlay');
+    if (!overlay) return;
+
+    overlay.classList.add('hidden');
+    this.tagEditorTrackId = null;
+    this.tagEditorCover = null;
+
+    if (this.tagEditorReturnFocus && this.tagEditorReturnFocus.focus) {
+      this.tagEditorReturnFocus.focus();
+    }
+  }
+
+  updateTagCoverPreview() {
+    const preview = document.getElementById('tagCoverPreview');
+    preview.style.backgroundImage = this.tagEditorCover ? `url('${this.tagEditorCover}')` : '';
+    document.getElementById('tagCoverRemoveBtn').disabled = !this.tagEditorCover;
+  }
+
+  // Apply the form to the library and return the updated track
+  async saveTagEditor() {
+    const track = this.tracks[this.getTrackIndex(this.tagEditorTrackId)];
+    const form = document.getElementById('tagEditorForm');
+    if (!track) return null;
+
+    const text = name => form.elements[name].value.trim();
+    const number = (name) => {
+      const value = parseInt(form.elements[name].value, 10);
+      return value > 0 ? value : null;
+    };
+
+    track.title = text('title') || (track.fileName || '').replace(/\.[^/.]+$/, '') || 'Unknown Track';
+    track.artist = text('artist') || 'Unknown Artist';
+    track.album = text('album');
+    track.trackNumber = number('trackNumber');
+    track.year = number('year');
+    track.genre = text('genre') || null;
+
+    if (this.tagEditorCover !== (track.coverArt || null)) {
+      track.coverArt = this.tagEditorCover;
+      track.colors = track.coverArt ? await this.extractColorsFromImage(track.coverArt) : this.getDefaultColors();
+    }
+
+    await this.saveTrack(track);
+    this.updateLibraryUI();
+
+    if (this.tracks[this.currentTrackIndex] === track) {
+      this.showTrackInfo(track);
+      this.updateMediaMetadata(track);
+      this.updateMiniPlayer();
+    }
+
+    return track;
+  }
+
+  // Tags for a downloaded copy, in the form the tag writer takes
+  async getExportTags(track) {
+    let picture = null;
+    if (track.coverArt) {
+      const blob = await (await fetch(track.coverArt)).blob();
+      picture = { format: blob.type || 'image/jpeg', data: new Uint8Array(await blob.arrayBuffer()) };
+    }
+
+    return {
+      title: track.title,
+      artist: track.artist === 'Unknown Artist' ? '' : track.artist,
+      album: track.album,
+      trackNumber: track.trackNumber,
+      year: track.year,
+      genre: track.genre,
+      picture
+    };
+  }
+
+  downloadBlob(blob, fileName) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(link.href), 60000);
+  }
+
+  // Download a copy of the file with the library's tags written into it.
+  // The stored file itself is left untouched.
+  async exportTaggedFile(track) {
+    if (!track.file || !this.tagReader || !this.tagReader.available) {
+      this.showToast('Запись тегов недоступна: откройте плеер через http(s)');
+      return;
+    }
+
+    try {
+      const blob = await this.tagReader.write(track.file, await this.getExportTags(track));
+      const extension = { 'audio/flac': 'flac', 'audio/wav': 'wav' }[blob.type] || 'mp3';
+      this.downloadBlob(blob, track.fileName || `${track.title}.${extension}`);
+    } catch (error) {
+      console.warn('Tag export failed:', error);
+      this.showToast(error.message === 'unsupported format'
+        ? 'Запись тегов поддерживается только для MP3, FLAC и WAV'
+        : 'Не удалось записать теги в файл');
+    }
+  }
+
+  // ==========================================
+  // OFFLINE RENDER (SAVE WITH SPEED, PITCH & EFFECTS)
+  // ==========================================
+
+  // The track is rendered faster than real time in an OfflineAudioContext
+  // through the same pitch shifter and effects chain as the player, then
+  // encoded and tagged in workers. Loop, crossfade, normalization and volume
+  // belong to playback and stay out of the file.
+
+  setupRenderExport() {
+    const overlay = document.getElementById('renderOverlay');
+    if (!overlay) return;
+
+    document.getElementById('renderExportBtn').addEventListener('click', () => this.openRenderDialog());
+    document.getElementById('closeRenderBtn').addEventListener('click', () => {
+      this.cancelRender();
+      this.closeRenderDialog();
+    });
+    document.getElementById('renderStartBtn').addEventListener('click', () => this.startRender());
+    document.getElementById('renderCancelBtn').addEventListener('click', () => {
+      if (this.renderJob) {
+        this.cancelRender();
+      } else {
+        this.closeRenderDialog();
+      }
+    });
+
+    const format = document.getElementById('renderFormat');
+    format.value = this.renderFormat;
+    format.addEventListener('change', () => {
+      this.renderFormat = format.value;
+      localStorage.setItem('vinylPlayer.renderFormat', this.renderFormat);
+    });
+
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay && !this.renderJob) this.closeRenderDialog();
+    });
+  }
+
+  isRenderDialogOpen() {
+    const overlay = document.getElementById('renderOverlay');
+    return !!overlay && !overlay.classList.contains('hidden');
+  }
+
+  openRenderDialog() {
+    const track = this.tracks[this.currentTrackIndex];
+    if (!track) return;
+
+    if (!track.file || typeof OfflineAudioContext === 'undefined') {
+      this.showToast('Сохранение с обработкой недоступно в этом браузере');
+      return;
+    }
+
+    this.renderReturnFocus = document.activeElement;
+    document.getElementById('renderTrackName').textContent = `${track.artist} - ${track.title}`;
+    document.getElementById('renderSettings').innerHTML = this.describeRenderSettings()
+      .map(line => `<li>${this.escapeHtml(line)}</li>`)
+      .join('');
+    this.setRenderProgress(0, '');
+    this.updateRenderControls();
+
+    document.getElementById('renderOverlay').classList.remove('hidden');
+    document.getElementById('renderStartBtn').focus();
+  }
+
+  // Stays open while rendering; cancel first
+  closeRenderDialog() {
+    const overlay = document.getElementById('renderOverlay');
+    if (!overlay || this.renderJob) return;
+
+    overlay.classList.add('hidden');
+    if (this.renderReturnFocus && this.renderReturnFocus.focus) {
+      this.renderReturnFocus.focus();
+    }
+  }
+
+  describeRenderSettings() {
+    const cents = this.pitchValue * 100 + this.pitchCents;
+    const lines = [
+      `Скорость: ×${this.playbackRate.toFixed(2)}`,
+      `Тон: ${cents === 0 ? 'без изменений' : `${cents > 0 ? '+' : '−'}${Math.abs(cents) / 100} пт`}`
+    ];
+
+    if (this.playbackRate !== 1) {
+      lines.push(this.speedMode === 'tempo'
+        ? 'Режим «Темп»: тон не зависит от скорости'
+        : 'Режим «Винил»: тон меняется вместе со скоростью');
+    }
+    if (typeof EffectsChain !== 'undefined') {
+      const track = this.tracks[this.currentTrackIndex];
+      lines.push(track && track.effects ? 'Эффекты: настройки этого трека' : 'Эффекты: общие настройки');
+    }
+
+    return lines;
+  }
+
+  updateRenderControls() {
+    const busy = !!this.renderJob;
+    document.getElementById('renderStartBtn').disabled = busy;
+    document.getElementById('renderFormat').disabled = busy;
+    document.getElementById('renderCancelBtn').textContent = busy ? 'Прервать' : 'Закрыть';
+  }
+
+  // progress from 0 to 1; null shows a bar without a value (busy)
+  setRenderProgress(progress, status) {
+    const bar = document.getElementById('renderProgress');
+    if (progress === null) {
+      bar.removeAttribute('value');
+    } else {
+      bar.value = progress;
+    }
+    document.getElementById('renderStatus').textContent = status;
+  }
+
+  cancelRender() {
+    if (!this.renderJob) return;
+
+    this.renderJob.cancelled = true;
+    this.renderJob.cancel();
+    if (this.audioEncoder) this.audioEncoder.terminate();
+  }
+
+  async startRender() {
+    const track = this.tracks[this.currentTrackIndex];
+    if (!track || this.renderJob) return;
+
+    // Every await races whenCancelled, so cancelling settles at once even
+    // where the work itself (decoding) cannot be stopped
+    const format = this.renderFormat;
+    const fileName = this.getRenderFileName(track, format);
+    const job = { cancelled: false };
+    job.whenCancelled = new Promise((resolve, reject) => {
+      job.cancel = () => reject(new Error('cancelled'));
+    });
+    job.whenCancelled.catch(() => {});
+    this.renderJob = job;
+    this.updateRenderControls();
+
+    try {
+      if (!this.audioEncoder || !this.audioEncoder.available) {
+        throw new Error('encoder unavailable');
+      }
+
+      this.setRenderProgress(null, 'Декодирование…');
+      const source = await Promise.race([this.decodeForAnalysis(track), job.whenCancelled]);
+      const rendered = await this.renderOffline(source, job);
+
+      this.setRenderProgress(null, format === 'flac' ? 'Сжатие FLAC…' : 'Запись WAV…');
+      let blob = await Promise.race([
+        this.audioEncoder.encode(rendered.buffer, format, {
+          offset: rendered.offset,
+          onProgress: progress => this.setRenderProgress(progress, `Сжатие FLAC… ${Math.round(progress * 100)}%`)
+        }),
+        job.whenCancelled
+      ]);
+
+      if (this.tagReader && this.tagReader.available) {
+        this.setRenderProgress(null, 'Запись тегов…');
+        try {
+          blob = await Promise.race([this.tagReader.write(blob, await this.getExportTags(track)), job.whenCancelled]);
+        } catch (error) {
+          if (job.cancelled) throw error;
+          console.warn('Tagging the rendered file failed:', error);
+        }
+      }
+
+      this.downloadBlob(blob, fileName);
+      this.setRenderProgress(1, 'Готово');
+    } catch (error) {
+      if (job.cancelled) {
+        this.setRenderProgress(0, 'Прервано');
+      } else {
+        console.warn('Offline render failed:', error);
+        this.setRenderProgress(0, error.message === 'encoder unavailable'
+          ? 'Кодирование недоступно: откройте плеер через http(s)'
+          : 'Не удалось обработать трек');
+      }
+    } finally {
+      this.renderJob = null;
+      this.updateRenderControls();
+    }
+  }
+
+  // Plays `source` through the player's processing in an OfflineAudioContext
+  // and resolves with { buffer, offset }, offset being the pitch shifter's
+  // delay in samples, to be cut from the start
+  async renderOffline(source, job) {
+    const pitchFactor = this.getPitchFactor();
+    const tempoMode = this.speedMode === 'tempo';
+    const sampleRate = source.sampleRate;
+
+    // Same rules as updatePlaybackRate. Without the shifter pitch follows
+    // the rate: offline rendering has no preservesPitch to fall back on.
+    let rate = this.playbackRate;
+    const ratio = tempoMode ? pitchFactor / rate : pitchFactor;
+    let useShifter = Math.abs(ratio - 1) > 1e-4;
+
+    let length = Math.ceil(source.length / rate) + PITCH_SHIFTER_LATENCY;
+    let offline = new OfflineAudioContext(2, length, sampleRate);
+    if (useShifter) {
+      try {
+        await Promise.race([offline.audioWorklet.addModule('pitch-shifter-processor.js'), job.whenCancelled]);
+      } catch (error) {
+        if (job.cancelled) throw error;
+        console.warn('Pitch shifter unavailable for rendering:', error);
+        useShifter = false;
+      }
+    }
+    if (!useShifter) {
+      rate = this.playbackRate * pitchFactor;
+      length = Math.ceil(source.length / rate);
+      offline = new OfflineAudioContext(2, length, sampleRate);
+    }
+
+    const bufferSource = offline.createBufferSource();
+    bufferSource.buffer = source;
+    bufferSource.playbackRate.value = rate;
+    let node = bufferSource;
+
+    if (useShifter) {
+      const shifter = new AudioWorkletNode(offline, 'pitch-shifter', { outputChannelCount: [2] });
+      shifter.parameters.get('pitchRatio').setValueAtTime(ratio, 0);
+      node.connect(shifter);
+      node = shifter;
+    }
+
+    if (typeof EffectsChain !== 'undefined') {
+      const effects = new EffectsChain(offline);
+      effects.apply(this.getActiveEffects(), 0);
+      node.connect(effects.input);
+      node = effects.output;
+    }
+
+    node.connect(offline.destination);
+    bufferSource.start(0);
+
+    // The context stops at each mark until resumed, which leaves room for
+    // the progress bar. A suspended context would hold its buffers until the
+    // page is closed, so a cancelled render runs out in silence and its
+    // result is dropped.
+    const duration = length / sampleRate;
+    const step = Math.max(1, duration / 100);
+    for (let time = step; time < duration; time += step) {
+      offline.suspend(time).then(() => {
+        if (job.cancelled) {
+          bufferSource.disconnect();
+        } else {
+          const progress = time / duration;
+          this.setRenderProgress(progress, `Обработка… ${Math.round(progress * 100)}%`);
+        }
+        offline.resume();
+      });
+    }
+
+    this.setRenderProgress(0, 'Обработка…');
+    const buffer = await Promise.race([offline.startRendering(), job.whenCancelled]);
+    return { buffer, offset: useShifter ? PITCH_SHIFTER_LATENCY : 0 };
+  }
+
+  // "Artist - Title [x1.25, +2 пт].flac"
+  getRenderFileName(track, format) {
+    const base = (track.fileName || '').replace(/\.[^/.]+$/, '') || `${track.artist} - ${track.title}`;
+    const cents = this.pitchValue * 100 + this.pitchCents;
+    const changes = [];
+    if (this.playbackRate !== 1) changes.push(`x${this.playbackRate.toFixed(2)}`);
+    if (cents !== 0) changes.push(`${cents > 0 ? '+' : '-'}${Math.abs(cents) / 100} пт`);
+
+    return `${base} [${changes.length > 0 ? changes.join(', ') : 'обработка'}].${format}`;
+  }
+
+  // ==========================================
+  // LYRICS
+  // ==========================================
+
+  setupLyrics() {
+    const panel = document.getElementById('lyricsPanel');
+    if (!panel) return;
+
+    document.getElementById('lyricsToggleBtn').addEventListener('click', () => {
+      this.showLyrics = !this.showLyrics;
+      localStorage.setItem('vinylPlayer.showLyrics', this.showLyrics);
+      this.renderLyrics(this.tracks[this.currentTrackIndex]);
+    });
+
+    document.getElementById('lyricsLines').addEventListener('click', (e) => {
+      const line = e.target.closest('[data-time]');
+      if (!line) return;
+
+      this.lyricsScrolledAt = 0;
+      this.seekTo(parseFloat(line.dataset.time));
+    });
+
+    // Scrolling by hand reads ahead without being pulled back at once
+    ['wheel', 'touchstart', 'pointerdown'].forEach((type) => {
+      panel.addEventListener(type, () => {
+        this.lyricsScrolledAt = performance.now();
+      }, { passive: true });
+    });
+  }
+
+  // Sidecar text files (.lrc, playlists) are often saved in the Windows
+  // code page rather than UTF-8
+  async readTextFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    try {
+      return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+    } catch (error) {
+      return new TextDecoder('windows-1251').decode(bytes);
+    }
+  }
+
+  // .lrc files picked together with the audio. Each goes to the track with
+  // the same base name, preferring one just added from the same folder,
+  // otherwise a library track added earlier.
+  async attachLyricsFiles(lrcFiles, added) {
+    if (lrcFiles.length === 0 || typeof Lyrics === 'undefined') return;
+
+    const baseName = name => (name || '').replace(/\.[^/.]+$/, '').toLowerCase();
+    const folder = path => (path || '').replace(/[^/]*$/, '');
+    let unmatched = 0;
+
+    for (const lrc of lrcFiles) {
+      const candidates = this.tracks.filter(track => baseName(track.fileName) === baseName(lrc.name));
+      const fresh = candidates.filter(track => added.includes(track));
+      const track = fresh.find(item => folder(item.relativePath) === folder(this.getRelativePath(lrc))) || fresh[0] || candidates[0];
+
+      const lyrics = track ? Lyrics.parse(await this.readTextFile(lrc), 'lrc') : null;
+      if (!lyrics) {
+        unmatched++;
+        continue;
+      }
+
+      track.lyrics = lyrics;
+      await this.saveTrack(track);
+      if (this.tracks[this.currentTrackIndex] === track) this.renderLyrics(track);
+    }
+
+    if (unmatched > 0) {
+      this.showToast(`Не найден трек для ${unmatched} из ${lrcFiles.length} файлов .lrc`);
+    }
+  }
+
+  renderLyrics(track) {
+    const panel = document.getElementById('lyricsPanel');
+    if (!panel) return;
+
+    const lyrics = track && track.lyrics;
+    const toggle = document.getElementById('lyricsToggleBtn');
+    toggle.classList.toggle('hidden', !lyrics);
+    toggle.classList.toggle('active', this.showLyrics);
+    toggle.setAttribute('aria-pressed', this.showLyrics);
+    panel.classList.toggle('hidden', !lyrics || !this.showLyrics);
+
+    this.lyricsLine = -1;
+    if (!lyrics) return;
+
+    document.getElementById('lyricsSource').textContent = [
+      lyrics.source === 'lrc' ? 'из файла .lrc' : 'из тегов',
+      lyrics.synced ? '' : 'без синхронизации'
+    ].filter(Boolean).join(', ');
+
+    // Synced lines are buttons that seek; instrumental gaps show a note
+    document.getElementById('lyricsLines').innerHTML = lyrics.lines.map((line, index) => (lyrics.synced
+      ? `<li><button type="button" class="lyrics-line" data-index="${index}" data-time="${line.time}"
+           title="${this.formatTime(line.time)}">${this.escapeHtml(line.text) || '♪'}</button></li>`
+      : `<li class="lyrics-line">${this.escapeHtml(line.text) || '&nbsp;'}</li>`
+    )).join('');
+    document.getElementById('lyricsLines').scrollTop = 0;
+
+    this.updateLyrics();
+  }
+
+  // Runs every frame. The line is looked up from audio.currentTime, which is
+  // media time, so it stays right at any playback rate and after seeks.
+  updateLyrics() {
+    const track = this.tracks[this.currentTrackIndex];
+    if (!track || !track.lyrics || !track.lyrics.synced || !this.showLyrics) return;
+    if (this.player.classList.contains('hidden')) return;
+
+    const index = Lyrics.lineAt(track.lyrics, this.audio.currentTime);
+    if (index === this.lyricsLine) return;
+
+    const list = document.getElementById('lyricsLines');
+    const previous = list.querySelector('.lyrics-line.active');
+    if (previous) {
+      previous.classList.remove('active');
+      previous.removeAttribute('aria-current');
+    }
+
+    this.lyricsLine = index;
+    const current = list.querySelector(`.lyrics-line[data-index="${index}"]`);
+    if (!current) return;
+
+    current.classList.add('active');
+    current.setAttribute('aria-current', 'true');
+
+    if (performance.now() - this.lyricsScrolledAt > 4000) {
+      const item = current.parentElement;
+      list.scrollTo({
+        top: item.offsetTop - (list.clientHeight - item.offsetHeight) / 2,
+        behavior: this.reducedMotion && this.reducedMotion.matches ? 'auto' : 'smooth'
+      });
+    }
+  }
+
+  // ==========================================
+  // PLAYLIST FILES (M3U, PLS, XSPF)
+  // ==========================================
+
+  setupPlaylistFiles() {
+    const overlay = document.getElementById('playlistReportOverlay');
+    if (!overlay) return;
+
+    document.getElementById('closePlaylistReportBtn').addEventListener('click', () => this.closePlaylistReport());
+    document.getElementById('playlistReportOkBtn').addEventListener('click', () => this.closePlaylistReport());
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.closePlaylistReport();
+    });
+
+    const exportBtn = document.getElementById('exportLibraryBtn');
+    exportBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.exportTrackList(exportBtn, 'Библиотека', this.getLibraryOrderIds());
+    });
+  }
+
+  // Playlist files picked together with the audio become library playlists.
+  // Entries are matched by path, so a copy just added from the same folder
+  // wins over an earlier track with the same file name.
+  async importPlaylistFiles(playlistFiles, added) {
+    if (playlistFiles.length === 0) return;
+
+    const candidates = this.tracks.map(track => ({
+      track,
+      path: track.relativePath || track.fileName || '',
+      preferred: added.includes(track)
+    }));
+    const reports = [];
+
+    for (const file of playlistFiles) {
+      const path = this.getRelativePath(file) || file.name;
+      let parsed;
+      try {
+        parsed = PlaylistFiles.parse(await this.readTextFile(file), path);
+      } catch (error) {
+        console.warn('Failed to read playlist:', error);
+        reports.push({ name: file.name, failed: true, total: 0, trackIds: [], missing: [] });
+        continue;
+      }
+
+      const matches = PlaylistFiles.matchEntries(parsed, path, candidates);
+      const report = {
+        name: parsed.name,
+        total: matches.length,
+        trackIds: matches.filter(match => match.track).map(match => match.track.id),
+        missing: matches.filter(match => !match.track).map(match => match.entry)
+      };
+      reports.push(report);
+
+      // Nothing found: no point in an empty playlist
+      if (report.trackIds.length === 0) continue;
+
+      const playlist = {
+        id: this.generateId(),
+        name: report.name,
+        trackIds: report.trackIds,
+        createdAt: Date.now()
+      };
+      this.playlists.push(playlist);
+      await this.savePlaylist(playlist);
+    }
+
+    this.handleOrderChange();
+    this.showPlaylistReport(reports);
+  }
+
+  isPlaylistReportOpen() {
+    const overlay = document.getElementById('playlistReportOverlay');
+    return !!overlay && !overlay.classList.contains('hidden');
+  }
+
+  // A toast when everything was found, otherwise a list of what was not
+  showPlaylistReport(reports) {
+    const overlay = document.getElementById('playlistReportOverlay');
+    const complete = reports.every(report => !report.failed && report.missing.length === 0);
+
+    if (complete || !overlay) {
+      const imported = reports.filter(report => report.trackIds.length > 0);
+      this.showToast(imported.length === 1
+        ? `Плейлист «${imported[0].name}»: треков ${imported[0].trackIds.length}`
+        : `Импортировано плейлистов: ${imported.length} из ${reports.length}`);
+      return;
+    }
+
+    document.getElementById('playlistReportList').innerHTML = reports.map((report) => {
+      let status;
+      if (report.failed) {
+        status = 'Не удалось прочитать файл';
+      } else if (report.trackIds.length === 0) {
+        status = `Ни один из ${report.total} треков не найден, плейлист не создан`;
+      } else {
+        status = `Найдено треков: ${report.trackIds.length} из ${report.total}`;
+      }
+
+      const missing = report.missing.map((entry) => {
+        const title = entry.title ? PlaylistFiles.displayTitle(entry) : '';
+        const note = PlaylistFiles.isRemote(entry.location) ? ' (ссылка, не файл)' : '';
+        return `<li>${title ? `${this.escapeHtml(title)}<br>` : ''}<code>${this.escapeHtml(entry.location)}</code>${note}</li>`;
+      }).join('');
+
+      return `
+        <li class="playlist-report-item">
+          <strong>${this.escapeHtml(report.name)}</strong>
+          <span class="control-note">${status}</span>
+          ${missing ? `<ul class="playlist-report-missing">${missing}</ul>` : ''}
+        </li>
+      `;
+    }).join('');
+
+    this.playlistReportReturnFocus = document.activeElement;
+    overlay.classList.remove('hidden');
+    document.getElementById('playlistReportOkBtn').focus();
+  }
+
+  closePlaylistReport() {
+    const overlay = document.getElementById('playlistReportOverlay');
+    if (!overlay) return;
+
+    overlay.classList.add('hidden');
+    if (this.playlistReportReturnFocus && this.playlistReportReturnFocus.focus) {
+      this.playlistReportReturnFocus.focus();
+    }
+  }
+
+  // Offers the formats in a menu and downloads the tracks as a playlist.
+  // Paths are relative to the picked folder when it is known (the file is
+  // meant to be saved at its top), otherwise plain file names.
+  exportTrackList(anchor, name, trackIds) {
+    if (typeof PlaylistFiles === 'undefined') return;
+
+    const tracks = trackIds.map(id => this.tracks[this.getTrackIndex(id)]).filter(Boolean);
+    if (tracks.length === 0) {
+      this.showToast('Список пуст');
+      return;
+    }
+
+    const entries = tracks.map(track => ({
+      path: track.relativePath ? track.relativePath.replace(/^[^/]*\//, '') : track.fileName || track.title,
+      title: track.title,
+      artist: track.artist === 'Unknown Artist' ? '' : track.artist,
+      album: track.album,
+      trackNumber: track.trackNumber,
+      duration: track.duration
+    }));
+    const fileName = name.replace(/[\\/:*?"<>|]+/g, '_');
+
+    this.showContextMenu(anchor, Object.keys(PLAYLIST_FORMATS).map(format => ({
+      label: `Сохранить как ${PLAYLIST_FORMATS[format].name}`,
+      action: () => {
+        const text = PlaylistFiles.serialize(format, name, entries);
+        const blob = new Blob([text], { type: `${PLAYLIST_FORMATS[format].type};charset=utf-8` });
+        this.downloadBlob(blob, `${fileName}.${format}`);
+      }
+    })));
+  }
+
+  // ==========================================
+  // LISTENING HISTORY & STATS
+  // ==========================================
+
+  setupHistory() {
+    // A listen still running when the page goes away is kept in
+    // localStorage and logged on the next start
+    window.addEventListener('pagehide', () => this.savePendingListen());
+    window.addEventListener('online', () => this.flushSubmitQueue());
+
+    const shelf = document.getElementById('recentShelf');
+    if (shelf) {
+      shelf.addEventListener('click', (e) => {
+        const item = e.target.closest('[data-track-id]');
+        const index = item ? this.getTrackIndex(item.dataset.trackId) : -1;
+        if (index >= 0) this.openPlayer(index);
+      });
+    }
+  }
+
+  // Called from loadLibrary once the history is in memory
+  restoreListening() {
+    const pending = this.loadJSON('vinylPlayer.pendingListen', null);
+    localStorage.removeItem('vinylPlayer.pendingListen');
+    if (pending && pending.id && !this.listens.some(listen => listen.id === pending.id)) {
+      this.recordListen(pending);
+    }
+
+    this.flushSubmitQueue();
+  }
+
+  // Runs on every timeupdate of the active element. Only time that passes
+  // while playing is counted: seeks, loop jumps and scratching are not.
+  trackListen() {
+    const track = this.tracks[this.currentTrackIndex];
+    if (!track || typeof ListeningHistory === 'undefined') return;
+
+    const time = this.audio.currentTime;
+    let listen = this.currentListen;
+    if (listen && listen.trackId !== track.id) {
+      this.finishListen();
+      listen = null;
+    }
+
+    if (!listen) {
+      if (this.audio.paused) return;
+      this.currentListen = {
+        id: this.generateId(),
+        trackId: track.id,
+        startedAt: Date.now(),
+        listened: 0,
+        lastTime: time,
+        savedAt: Date.now()
+      };
+      return;
+    }
+
+    // timeupdate fires a few times a second, so anything longer is a jump
+    const step = time - listen.lastTime;
+    listen.lastTime = time;
+    if (!this.audio.paused && !this.isScratching && step > 0 && step <= 4) {
+      listen.listened += step;
+    }
+
+    if (Date.now() - listen.savedAt > 10000) {
+      this.savePendingListen();
+    }
+  }
+
+  createListenEntry(listen) {
+    const track = this.tracks[this.getTrackIndex(listen.trackId)];
+    const duration = (track && track.duration) || 0;
+
+    return {
+      id: listen.id,
+      trackId: listen.trackId,
+      title: track ? track.title : '',
+      artist: track ? track.artist : '',
+      album: track ? track.album : '',
+      duration,
+      startedAt: listen.startedAt,
+      listened: Math.round(listen.listened * 10) / 10,
+      skipped: !ListeningHistory.counts(listen.listened, duration)
+    };
+  }
+
+  savePendingListen() {
+    const listen = this.currentListen;
+    if (!listen) return;
+
+    listen.savedAt = Date.now();
+    if (listen.listened >= 1) {
+      localStorage.setItem('vinylPlayer.pendingListen', JSON.stringify(this.createListenEntry(listen)));
+    }
+  }
+
+  // Ends the running listen: on a track change, at the end of a track and
+  // when playback stops. Flicking past a track in under a second is not a play.
+  finishListen() {
+    const listen = this.currentListen;
+    this.currentListen = null;
+    localStorage.removeItem('vinylPlayer.pendingListen');
+
+    if (listen && listen.listened >= 1) {
+      this.recordListen(this.createListenEntry(listen));
+    }
+  }
+
+  recordListen(entry) {
+    this.listens.push(entry);
+    this.store.putListen(entry).catch((error) => {
+      console.warn('Failed to save listen:', error);
+    });
+
+    // ListenBrainz refuses a listen without a track or artist name
+    const named = [entry.title, entry.artist].every(text => String(text || '').trim());
+    if (!entry.skipped && named && this.submitSettings.enabled) {
+      this.submitQueue.push(ListeningHistory.toSubmission(entry));
+      // Oldest go first when the queue is full
+      this.submitQueue.splice(0, Math.max(0, this.submitQueue.length - 10000));
+      this.saveSubmitQueue();
+      this.flushSubmitQueue();
+    }
+
+    if (this.libraryView === 'tracks') {
+      this.renderRecentShelf();
+    } else if (this.libraryView === 'stats') {
+      this.refreshStatsView();
+    }
+  }
+
+  async clearHistory() {
+    if (!confirm('Удалить всю историю прослушиваний?')) return;
+
+    this.listens = [];
+    try {
+      await this.store.clearListens();
+    } catch (error) {
+      console.warn('Failed to clear history:', error);
+    }
+    this.updateLibraryUI();
+  }
+
+  // "12 ч 05 мин", "7 мин"
+  formatListeningTime(seconds) {
+    const minutes = Math.round(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+    return hours > 0
+      ? `${hours} ч ${String(minutes % 60).padStart(2, '0')} мин`
+      : `${minutes} мин`;
+  }
+
+  // Last played tracks above the grid; hidden while searching
+  renderRecentShelf() {
+    const shelf = document.getElementById('recentShelf');
+    if (!shelf) return;
+
+    const tracks = this.libraryView === 'tracks' && !this.librarySearch && typeof ListeningHistory !== 'undefined'
+      ? ListeningHistory.recentTrackIds(this.listens, RECENT_SHELF_SIZE)
+        .map(id => this.tracks[this.getTrackIndex(id)])
+        .filter(Boolean)
+      : [];
+
+    shelf.classList.toggle('hidden', tracks.length === 0);
+    if (tracks.length === 0) return;
+
+    shelf.innerHTML = `
+      <h2 class="recent-shelf-title">Недавно играли</h2>
+      <div class="recent-shelf-items">
+        ${tracks.map(track => `
+          <button type="button" class="recent-item" data-track-id="${this.escapeHtml(track.id)}"
+            title="${this.escapeHtml(`${track.artist} - ${track.title}`)}">
+            <span class="recent-cover" style="background-color: ${this.escapeHtml((track.colors || this.getDefaultColors()).primary)}">
+              ${track.coverArt ? `<img src="${this.escapeHtml(track.coverArt)}" alt="">` : '&#128191;'}
+            </span>
+            <span class="recent-title">${this.escapeHtml(track.title)}</span>
+            <span class="recent-artist">${this.escapeHtml(track.artist)}</span>
+          </button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  // Typing in the submission settings is not interrupted by a new listen
+  refreshStatsView() {
+    const active = document.activeElement;
+    if (active && active.closest && active.closest('#libraryPanel') && active.matches('input:not([type="checkbox"])')) return;
+    this.updateLibraryUI();
+  }
+
+  renderStatsView(panel) {
+    panel.innerHTML = '';
+    if (typeof ListeningHistory === 'undefined') return;
+
+    const period = STATS_PERIODS.find(item => item.id === this.statsPeriod) || STATS_PERIODS[0];
+    const since = period.days ? Date.now() - period.days * 86400000 : 0;
+    const stats = ListeningHistory.summarize(this.listens, since);
+
+    const header = document.createElement('div');
+    header.className = 'list-header';
+    header.innerHTML = `
+      <h2>Статистика</h2>
+      <select class="select-retro" data-action="period" aria-label="Период">
+        ${STATS_PERIODS.map(item => `
+          <option value="${item.id}" ${item === period ? 'selected' : ''}>${item.label}</option>
+        `).join('')}
+      </select>
+      <button class="btn-list-action" data-action="clear" ${this.listens.length ? '' : 'disabled'}>Очистить историю</button>
+    `;
+    header.querySelector('[data-action="period"]').addEventListener('change', (e) => {
+      this.statsPeriod = e.target.value;
+      localStorage.setItem('vinylPlayer.statsPeriod', this.statsPeriod);
+      this.updateLibraryUI();
+    });
+    header.querySelector('[data-action="clear"]').addEventListener('click', () => this.clearHistory());
+    panel.appendChild(header);
+
+    panel.insertAdjacentHTML('beforeend', `
+      <p class="stats-summary">
+        Время прослушивания: <strong>${this.formatListeningTime(stats.listened)}</strong>
+        &middot; Прослушано: <strong>${stats.plays}</strong>
+        &middot; Пропущено: <strong>${stats.skips}</strong>
+      </p>
+    `);
+
+    const top = (title, items) => `
+      <section class="stats-top">
+        <h3 class="list-subtitle">${title}</h3>
+        ${items.length === 0 ? '<p class="list-empty">Пока пусто</p>' : `
+          <ol class="stats-list">
+            ${items.map(item => `
+              <li${item.trackId && this.getTrackIndex(item.trackId) >= 0 ? ` data-track-id="${this.escapeHtml(item.trackId)}" tabindex="0"` : ''}>
+                <span class="stats-count" title="Прослушиваний">${item.count}</span>
+                ${this.escapeHtml(item.title)}
+                ${item.subtitle ? `<small>${this.escapeHtml(item.subtitle)}</small>` : ''}
+              </li>
+            `).join('')}
+          </ol>
+        `}
+      </section>
+    `;
+    const columns = document.createElement('div');
+    columns.className = 'stats-columns';
+    columns.innerHTML = top('Треки', stats.tracks) + top('Исполнители', stats.artists) + top('Альбомы', stats.albums);
+    const play = (e) => {
+      const item = e.target.closest('[data-track-id]');
+      if (item && (e.type === 'click' || e.key === 'Enter')) {
+        this.openPlayer(this.getTrackIndex(item.dataset.trackId));
+      }
+    };
+    columns.addEventListener('click', play);
+    columns.addEventListener('keydown', play);
+    panel.appendChild(columns);
+
+    this.renderRecentListens(panel);
+    this.renderSubmitSettings(panel);
+  }
+
+  renderRecentListens(panel) {
+    const recent = this.listens.slice(-20).reverse();
+    panel.insertAdjacentHTML('beforeend', `
+      <h3 class="list-subtitle">Последние прослушивания</h3>
+      ${recent.length === 0 ? '<p class="list-empty">История пуста: прослушивания появятся здесь</p>' : `
+        <table class="stats-history">
+          ${recent.map(listen => `
+            <tr class="${listen.skipped ? 'skipped' : ''}">
+              <td>${new Date(listen.startedAt).toLocaleString('ru-RU', { dateStyle: 'short', timeStyle: 'short' })}</td>
+              <td>${this.escapeHtml(listen.artist)} - ${this.escapeHtml(listen.title)}</td>
+              <td>${this.formatTime(listen.listened)} из ${this.formatTime(listen.duration)}</td>
+              <td>${listen.skipped ? 'пропущен' : ''}</td>
+            </tr>
+          `).join('')}
+        </table>
+      `}
+    `);
+  }
+
+  // ==========================================
+  // LISTEN SUBMISSION (LISTENBRAINZ)
+  // ==========================================
+
+  // Counted listens wait in a localStorage queue until the server has taken
+  // them; failed requests are retried with a growing delay and when the
+  // browser comes back online
+
+  loadSubmitSettings() {
+    const settings = this.loadJSON('vinylPlayer.submitSettings', {});
+    return {
+      enabled: settings.enabled === true,
+      endpoint: settings.endpoint || LISTENBRAINZ_API,
+      token: settings.token || ''
+    };
+  }
+
+  saveSubmitSettings() {
+    localStorage.setItem('vinylPlayer.submitSettings', JSON.stringify(this.submitSettings));
+  }
+
+  saveSubmitQueue() {
+    localStorage.setItem('vinylPlayer.submitQueue', JSON.stringify(this.submitQueue));
+  }
+
+  renderSubmitSettings(panel) {
+    const settings = this.submitSettings;
+    const box = document.createElement('div');
+    box.className = 'stats-submit';
+    box.innerHTML = `
+      <h3 class="list-subtitle">Отправка в ListenBrainz</h3>
+      <label class="checkbox-retro">
+        <input type="checkbox" data-field="enabled" ${settings.enabled ? 'checked' : ''}> Отправлять засчитанные прослушивания
+      </label>
+      <div class="tag-field-row">
+        <label class="tag-field">Адрес API
+          <input type="url" class="input-retro" data-field="endpoint" value="${this.escapeHtml(settings.endpoint)}" placeholder="${LISTENBRAINZ_API}">
+        </label>
+        <label class="tag-field">Токен
+          <input type="password" class="input-retro" data-field="token" value="${this.escapeHtml(settings.token)}" autocomplete="off">
+        </label>
+      </div>
+      <p class="control-note" data-status>${this.escapeHtml(this.describeSubmitState())}</p>
+      <div class="tag-editor-actions">
+        <button type="button" class="btn-list-action" data-action="submit" ${this.submitQueue.length ? '' : 'disabled'}>Отправить сейчас</button>
+      </div>
+    `;
+
+    box.querySelectorAll('[data-field]').forEach((input) => {
+      input.addEventListener('change', () => {
+        if (input.dataset.field === 'enabled') {
+          settings.enabled = input.checked;
+        } else if (input.dataset.field === 'endpoint') {
+          settings.endpoint = input.value.trim() || LISTENBRAINZ_API;
+        } else {
+          settings.token = input.value.trim();
+        }
+        this.saveSubmitSettings();
+        this.submitStatus = '';
+        this.flushSubmitQueue();
+      });
+    });
+    box.querySelector('[data-action="submit"]').addEventListener('click', () => {
+      this.submitRetryDelay = 0;
+      this.flushSubmitQueue();
+    });
+    panel.appendChild(box);
+  }
+
+  describeSubmitState() {
+    const queued = this.submitQueue.length > 0 ? `В очереди на отправку: ${this.submitQueue.length}.` : 'Очередь на отправку пуста.';
+    if (this.submitSettings.enabled && !this.submitSettings.token) {
+      return `${queued} Укажите токен из настроек профиля ListenBrainz.`;
+    }
+    return [queued, this.submitStatus].filter(Boolean).join(' ');
+  }
+
+  async flushSubmitQueue() {
+    clearTimeout(this.submitTimer);
+    this.submitTimer = null;
+
+    const { enabled, endpoint, token } = this.submitSettings;
+    if (this.submitBusy || !enabled || !token || this.submitQueue.length === 0) return;
+    if (typeof ListeningHistory === 'undefined') return;
+
+    // Offline: the 'online' event tries again
+    if (navigator.onLine === false) {
+      this.submitStatus = 'Нет сети: отправка продолжится, когда она появится.';
+      return;
+    }
+
+    this.submitBusy = true;
+    let rejected = 0;
+    try {
+      while (this.submitQueue.length > 0) {
+        rejected += await this.submitBatch(endpoint, token, this.submitQueue.slice(0, LISTENS_PER_SUBMISSION));
+      }
+      this.submitRetryDelay = 0;
+      this.submitStatus = rejected > 0
+        ? `Сервер отклонил прослушиваний: ${rejected}, они убраны из очереди.`
+        : 'Всё отправлено.';
+    } catch (error) {
+      console.warn('Listen submission failed:', error);
+      if (error.retry === false) {
+        this.submitStatus = 'Сервер не принял токен.';
+      } else {
+        // A network error (TypeError from fetch) is worth retrying too
+        this.submitRetryDelay = Math.min(Math.max(this.submitRetryDelay * 2, 60), 3600);
+        this.submitStatus = `Не удалось отправить, повтор через ${Math.round(this.submitRetryDelay / 60)} мин.`;
+        this.submitTimer = setTimeout(() => this.flushSubmitQueue(), this.submitRetryDelay * 1000);
+      }
+    } finally {
+      this.submitBusy = false;
+      if (this.libraryView === 'stats') this.refreshStatsView();
+    }
+  }
+
+  // Sends the listens at the head of the queue and takes them off it.
+  // A refused payload would block the queue for good, so it is split in
+  // halves down to single listens and only those the server refuses are
+  // dropped (they stay in the local history). Resolves with how many that
+  // were. A bad token fails every request alike and is thrown.
+  async submitBatch(endpoint, token, batch) {
+    let refused = 0;
+    try {
+      await ListeningHistory.submit(endpoint, token, batch);
+    } catch (error) {
+      if (error.retry !== false || error.status === 401) throw error;
+
+      if (batch.length > 1) {
+        const middle = Math.ceil(batch.length / 2);
+        const first = await this.submitBatch(endpoint, token, batch.slice(0, middle));
+        return first + await this.submitBatch(endpoint, token, batch.slice(middle));
+      }
+      console.warn('Listen rejected by the server:', error, batch[0]);
+      refused = 1;
+    }
+
+    this.submitQueue.splice(0, batch.length);
+    this.saveSubmitQueue();
+    return refused;
+  }
+
+  // ==========================================
+  // GAPLESS PLAYBACK & CROSSFADE
+  // ==========================================
+
+  getStandbyElement() {
+    return this.audioElements.find(element => element !== this.audio) || null;
+  }
+
+  activateElement(element) {
+    this.audio = element;
+    this.applyPlaybackRate(element);
+
+    const now = this.audioContext ? this.audioContext.currentTime : 0;
+    this.elementChains.forEach((chain, owner) => {
+      chain.fade.gain.cancelScheduledValues(now);
+      chain.fade.gain.setValueAtTime(owner === element ? 1 : 0, now);
+    });
+  }
+
+  // An element about to take over gets the current speed and pitch and the
+  // level of its track from `when` on; the one fading out keeps its own
+  prepareElement(element, level, when = this.audioContext ? this.audioContext.currentTime : 0) {
+    this.applyPlaybackRate(element, when);
+
+    const chain = this.elementChains.get(element);
+    if (chain) chain.level.gain.setValueAtTime(level, when);
+  }
+
+  preloadNextTrack() {
+    const standby = this.getStandbyElement();
+    if (!standby || this.transition) return;
+
+    // A running loop keeps the standby element for its seam
+    if (this.getActiveLoop()) {
+      this.preloaded = null;
+      this.prepareLoopStandby();
+      return;
+    }
+
+    const next = this.getAdjacentTrack(1, true);
+    const track = next && this.tracks[next.index];
+    if (!track || !track.url) {
+      this.preloaded = null;
+      return;
+    }
+
+    this.decodeUpcoming(track);
+
+    if (this.preloaded && this.preloaded.trackId === track.id) {
+      this.preloaded.step = next;
+      return;
+    }
+
+    standby.pause();
+    standby.preload = 'auto';
+    standby.src = track.url;
+    standby.load();
+    this.preloaded = { trackId: track.id, step: next };
+  }
+
+  // The next track is decoded ahead so that its start can be scheduled on the
+  // audio clock; decodeTrack() takes the buffer over once it is playing
+  decodeUpcoming(track) {
+    if (!this.audioInitialized || !track.file) return;
+    if (this.upcoming && this.upcoming.id === track.id) return;
+
+    const upcoming = { id: track.id, buffer: null, promise: this.decodeFile(track.file) };
+    this.upcoming = upcoming;
+
+    upcoming.promise.then((buffer) => {
+      upcoming.buffer = buffer;
+    }, (error) => {
+      console.warn('Failed to decode the next track:', error);
+      if (this.upcoming === upcoming) this.upcoming = null;
+    });
+  }
+
+  // The decoded preloaded track, when a bridge can stand in for its element.
+  // It cannot keep the pitch the way the browser does in tempo mode without
+  // the pitch shifter.
+  getUpcomingBuffer() {
+    const upcoming = this.upcoming;
+    if (!upcoming || !upcoming.buffer || !this.preloaded || upcoming.id !== this.preloaded.trackId) return null;
+    if (this.speedMode === 'tempo' && !this.getPitchShifter() && this.playbackRate !== 1) return null;
+    return upcoming.buffer;
+  }
+
+  setCrossfade(value) {
+    this.crossfadeDuration = Math.max(0, Math.min(12, parseInt(value) || 0));
+    localStorage.setItem('vinylPlayer.crossfade', this.crossfadeDuration);
+    this.updateCrossfadeUI();
+    this.scheduleTransition();
+  }
+
+  updateCrossfadeUI() {
+    const label = document.getElementById('crossfadeValue');
+    if (label) {
+      label.textContent = this.crossfadeDuration > 0 ? `${this.crossfadeDuration} с` : 'Без паузы';
+    }
+  }
+
+  // Called on every timeupdate; schedules the seam once the end is close
+  scheduleTransition() {
+    clearTimeout(this.transitionTimer);
+    this.transitionTimer = null;
+
+    if (!this.isPlaying || this.transition || !this.preloaded || this.isScratching) return;
+
+    const duration = this.audio.duration;
+    if (!duration) return;
+
+    const remaining = (duration - this.audio.currentTime) / (this.audio.playbackRate || 1);
+    const fade = Math.min(this.crossfadeDuration, duration / 2);
+    const startIn = remaining - fade;
+    if (startIn > 1.5) return;
+
+    // Decoded: the next track starts on the audio clock, on the sample where
+    // this one ends (less the crossfade)
+    const buffer = this.getUpcomingBuffer();
+    if (buffer) {
+      this.startTransition(this.audioContext.currentTime + Math.max(0, startIn), buffer);
+      return;
+    }
+
+    // Otherwise a timer starts the element, slightly early when gapless to
+    // cover its start-up latency
+    const lead = fade > 0 ? 0 : 0.03;
+    this.transitionTimer = setTimeout(() => this.startTransition(), Math.max(0, (startIn - lead) * 1000));
+  }
+
+  // With a buffer the seam is scheduled for `when` on the audio clock and the
+  // player follows it with a timer; without one the incoming element starts
+  // right away
+  startTransition(when = null, buffer = null) {
+    this.transitionTimer = null;
+
+    const incoming = this.getStandbyElement();
+    const index = this.preloaded ? this.tracks.findIndex(t => t.id === this.preloaded.trackId) : -1;
+    if (!this.isPlaying || !incoming || index < 0 || this.transition) return;
+
+    const outgoing = this.audio;
+    const level = this.getNormalizationGain(this.tracks[index]);
+    const crossfade = Math.min(this.crossfadeDuration, (outgoing.duration || 0) / 2);
+
+    this.transition = {
+      outgoing,
+      incoming,
+      index,
+      step: this.preloaded.step,
+      fade: crossfade,
+      entered: false,
+      timer: null
+    };
+
+    if (buffer) {
+      incoming.pause();
+      if (incoming.currentTime !== 0) incoming.currentTime = 0;
+
+      this.prepareElement(incoming, level, when);
+      this.startBridge(incoming, buffer, when);
+      this.applyCrossfade(outgoing, incoming, crossfade, when);
+
+      const delay = Math.max(0, (when - this.audioContext.currentTime) * 1000);
+      this.transition.timer = setTimeout(() => this.enterTransition(), delay);
+      return;
+    }
+
+    // Short fade when gapless so the seam does not click
+    this.transition.fade = Math.max(0.01, crossfade);
+    incoming.currentTime = 0;
+
+    this.prepareElement(incoming, level);
+    this.applyCrossfade(outgoing, incoming, this.transition.fade);
+    this.enterTransition();
+  }
+
+  // The seam has been reached: the incoming track becomes the current one
+  enterTransition() {
+    const transition = this.transition;
+    if (!transition || transition.entered) return;
+
+    clearTimeout(transition.timer);
+    transition.entered = true;
+
+    const finished = this.tracks[this.currentTrackIndex];
+    const track = this.tracks[transition.index];
+
+    // A finished track starts from the beginning next time
+    if (finished) {
+      finished.lastPosition = 0;
+      this.saveTrack(finished);
+    }
+    this.finishListen();
+
+    this.commitOrderStep(transition.step);
+    this.preloaded = null;
+    this.previousTrackId = track.id;
+    this.currentTrackIndex = transition.index;
+    this.audio = transition.incoming;
+
+    this.showTrack(track);
+    this.audio.play();
+
+    if (this.bridge && this.bridge.element === this.audio) {
+      this.bridge.timer = setTimeout(() => this.syncBridge(), 100);
+    }
+
+    transition.timer = setTimeout(() => this.finishTransition(), transition.fade * 1000 + 50);
+    this.updateMiniPlayer();
+  }
+
+  // Equal-power curves scheduled on the audio clock; no duration is a
+  // straight cut at `when`
+  applyCrossfade(outgoing, incoming, duration, when = null) {
+    const outChain = this.elementChains.get(outgoing);
+    const inChain = this.elementChains.get(incoming);
+    if (!outChain || !inChain) return;
+
+    const fadeOut = outChain.fade.gain;
+    const fadeIn = inChain.fade.gain;
+    const now = this.audioContext.currentTime;
+    if (when === null) when = now;
+    fadeIn.cancelScheduledValues(now);
+    fadeOut.cancelScheduledValues(now);
+
+    if (duration <= 0) {
+      fadeIn.setValueAtTime(1, when);
+      fadeOut.setValueAtTime(0, when);
+      return;
+    }
+
+    const steps = 64;
+    const inCurve = new Float32Array(steps);
+    const outCurve = new Float32Array(steps);
+    for (let i = 0; i < steps; i++) {
+      const x = i / (steps - 1);
+      inCurve[i] = Math.sin((x * Math.PI) / 2);
+      outCurve[i] = Math.cos((x * Math.PI) / 2);
+    }
+
+    fadeIn.setValueCurveAtTime(inCurve, when, duration);
+    fadeOut.setValueCurveAtTime(outCurve, when, duration);
+  }
+
+  // Also calls off a seam that has been scheduled but not reached yet
+  finishTransition() {
+    const transition = this.transition;
+    if (!transition) return;
+
+    clearTimeout(transition.timer);
+    this.transition = null;
+
+    if (!transition.entered) {
+      // Only a bridged seam waits: drop what was scheduled for it
+      const chain = this.elementChains.get(transition.incoming);
+      const now = this.audioContext.currentTime;
+      chain.level.gain.cancelScheduledValues(now);
+      if (chain.shifter) chain.shifter.parameters.get('pitchRatio').cancelScheduledValues(now);
+
+      this.endBridge();
+      this.activateElement(this.audio);
+      return;
+    }
+
+    transition.outgoing.pause();
+    this.activateElement(this.audio);
+    this.preloadNextTrack();
+  }
+
+  // ==========================================
+  // GAPLESS BRIDGE (DECODED TRACK START)
+  // ==========================================
+
+  // An <audio> element cannot be started on a given sample, so the start of
+  // the next track plays from its decoded buffer into the element's chain.
+  // The element runs muted alongside and takes over once it has caught up.
+  // With a loop ({ start, end }) the buffer repeats it until released.
+  startBridge(element, buffer, when, offset = 0, loop = null) {
+    this.endBridge();
+
+    const chain = this.elementChains.get(element);
+    const rate = this.getElementRate();
+    const source = this.audioContext.createBufferSource();
+    const gain = this.audioContext.createGain();
+
+    source.buffer = buffer;
+    source.playbackRate.value = rate;
+    if (loop) {
+      source.loop = true;
+      source.loopStart = loop.start;
+      source.loopEnd = loop.end;
+    }
+    source.connect(gain);
+    gain.connect(chain.level);
+    source.start(when, offset);
+
+    // The element goes quiet on the same sample the buffer starts
+    chain.input.gain.cancelScheduledValues(this.audioContext.currentTime);
+    chain.input.gain.setValueAtTime(0, when);
+
+    this.bridge = {
+      element,
+      source,
+      gain,
+      anchor: when,
+      position: offset,
+      rate,
+      loop: loop ? { start: loop.start, end: loop.end } : null,
+      deadline: loop ? Infinity : when + BRIDGE_TIMEOUT,
+      ownSeeks: 0,
+      timer: null
+    };
+  }
+
+  // Seconds into the track the bridge plays at an audio clock time
+  getBridgePosition(time) {
+    const bridge = this.bridge;
+    const loop = bridge.loop;
+    const position = bridge.position + Math.max(0, time - bridge.anchor) * bridge.rate;
+
+    if (loop && position >= loop.end) {
+      return loop.start + (position - loop.start) % (loop.end - loop.start);
+    }
+    return position;
+  }
+
+  setBridgeRate(rate) {
+    const bridge = this.bridge;
+    const at = Math.max(this.audioContext.currentTime, bridge.anchor);
+
+    bridge.position = this.getBridgePosition(at);
+    bridge.anchor = at;
+    bridge.rate = rate;
+    bridge.source.playbackRate.setValueAtTime(rate, at);
+  }
+
+  // Polled while the bridge plays: the muted element is sped up or slowed
+  // down until it is in step, then it takes over
+  syncBridge() {
+    const bridge = this.bridge;
+    if (!bridge) return;
+
+    const element = bridge.element;
+    if (element !== this.audio || !this.isPlaying) {
+      this.endBridge();
+      return;
+    }
+
+    const now = this.audioContext.currentTime;
+
+    // Looping: the muted element only has to stay near the loop, for the
+    // position shown, and must not run into the end of the track
+    if (bridge.loop) {
+      const position = this.getBridgePosition(now);
+      if (now >= bridge.anchor && (element.ended || Math.abs(position - element.currentTime) > 0.25)) {
+        bridge.ownSeeks++;
+        element.currentTime = position;
+      }
+      if (element.paused) element.play();
+
+      bridge.timer = setTimeout(() => this.syncBridge(), 100);
+      return;
+    }
+
+    const ready = !element.paused && element.readyState >= 3;
+    const drift = this.getBridgePosition(now) - element.currentTime;
+
+    if (now > bridge.deadline || (ready && Math.abs(drift) < BRIDGE_TOLERANCE)) {
+      this.endBridge();
+      return;
+    }
+
+    if (ready) {
+      element.playbackRate = bridge.rate * (1 + Math.max(-0.2, Math.min(0.2, drift * 2)));
+    }
+    bridge.timer = setTimeout(() => this.syncBridge(), 100);
+  }
+
+  // Hands the element its own output back with a short crossfade: the two
+  // play the same audio in step, or the element is paused and it is a fade-out
+  endBridge() {
+    const bridge = this.bridge;
+    if (!bridge) return;
+
+    this.bridge = null;
+    clearTimeout(bridge.timer);
+
+    const now = this.audioContext.currentTime;
+    const input = this.elementChains.get(bridge.element).input.gain;
+    bridge.source.onended = () => bridge.gain.disconnect();
+    input.cancelScheduledValues(now);
+
+    if (now < bridge.anchor) {
+      // Not started yet: the element simply stays audible
+      input.setValueAtTime(1, now);
+      bridge.source.stop();
+    } else {
+      input.setValueAtTime(0, now);
+      input.linearRampToValueAtTime(1, now + BRIDGE_FADE);
+
+      bridge.gain.gain.setValueAtTime(1, now);
+      bridge.gain.gain.linearRampToValueAtTime(0, now + BRIDGE_FADE);
+      bridge.source.stop(now + BRIDGE_FADE);
+    }
+
+    bridge.element.playbackRate = this.getElementRate();
+  }
+
+  // A moved loop takes effect in the playing buffer. Switched off, the
+  // buffer plays on past B and hands over like a gapless bridge.
+  updateLoopBridge(loop) {
+    const bridge = this.bridge;
+    const now = this.audioContext.currentTime;
+
+    if (now < bridge.anchor) {
+      this.endBridge();
+      return;
+    }
+
+    bridge.position = this.getBridgePosition(now);
+    bridge.anchor = now;
+
+    if (!loop) {
+      bridge.loop = null;
+      bridge.source.loop = false;
+      bridge.deadline = now + BRIDGE_TIMEOUT;
+    } else if (bridge.position >= loop.start && bridge.position < loop.end) {
+      bridge.loop = { start: loop.start, end: loop.end };
+      bridge.source.loopStart = loop.start;
+      bridge.source.loopEnd = loop.end;
+    } else {
+      // The playhead is outside the new loop: the element takes it from here
+      this.endBridge();
+    }
+  }
+
+  changeSpeed(value) {
+    this.playbackRate = parseFloat(value);
+    this.updatePlaybackRate();
+    document.getElementById('speedValue').textContent = value + 'x';
+  }
+
+  changePitch(value) {
+    this.pitchValue = parseInt(value);
+    document.getElementById('pitchValue').textContent = value > 0 ? '+' + value : value;
+    this.updatePlaybackRate();
+  }
+
+  changePitchFine(value) {
+    this.pitchCents = parseInt(value);
+    document.getElementById('pitchFineValue').textContent = (value > 0 ? '+' + value : value) + '¢';
+    this.updatePlaybackRate();
+  }
+
+  getPitchFactor() {
+    // Semitones and cents to frequency ratio
+    return Math.pow(2, (this.pitchValue * 100 + this.pitchCents) / 1200);
+  }
+
+  setSpeedMode(mode) {
+    this.speedMode = mode === 'tempo' ? 'tempo' : 'vinyl';
+    localStorage.setItem('vinylPlayer.speedMode', this.speedMode);
+    this.updateSpeedModeUI();
+    this.updatePlaybackRate();
+  }
+
+  updateSpeedModeUI() {
+    document.querySelectorAll('[data-speed-mode]').forEach((button) => {
+      const active = button.dataset.speedMode === this.speedMode;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', active);
+    });
+  }
+
+  updatePlaybackRate() {
+    this.applyPlaybackRate(this.audio);
+
+    if (this.bridge && this.bridge.element === this.audio) {
+      this.setBridgeRate(this.getElementRate());
+    }
+
+    this.updatePitchControls();
+    this.updateTempoDisplay();
+  }
+
+  // Speed and pitch settings on one element and its pitch shifter
+  applyPlaybackRate(element, when = this.audioContext ? this.audioContext.currentTime : 0) {
+    const pitchFactor = this.getPitchFactor();
+    const tempoMode = this.speedMode === 'tempo';
+    const shifter = this.getPitchShifter(element);
+
+    // The browser's own pitch preservation differs between engines, so it is
+    // only used when the pitch shifter is unavailable
+    const preservesPitch = tempoMode && !shifter;
+    element.preservesPitch = preservesPitch;
+    element.mozPreservesPitch = preservesPitch;
+    element.webkitPreservesPitch = preservesPitch;
+    element.playbackRate = this.getElementRate();
+
+    if (shifter) {
+      // Resampling by playbackRate moves the pitch like a turntable; in tempo
+      // mode the shifter undoes that, which turns it into a time-stretch
+      const ratio = tempoMode ? pitchFactor / this.playbackRate : pitchFactor;
+      shifter.parameters.get('pitchRatio').setValueAtTime(ratio, when);
+    }
+  }
+
+  getElementRate() {
+    // Fallback without AudioWorklet in vinyl mode: combined playback rate
+    // (speed × pitch). In tempo mode the browser keeps the pitch, so there is
+    // nothing left to shift it with.
+    if (!this.getPitchShifter() && this.speedMode !== 'tempo') {
+      return this.playbackRate * this.getPitchFactor();
+    }
+    return this.playbackRate;
+  }
+
+  getPitchShifter(element = this.audio) {
+    const chain = this.elementChains.get(element);
+    return chain ? chain.shifter : null;
+  }
+
+  // Pitch needs either the shifter or vinyl mode (pitch through the rate).
+  // Before the first play the shifter is not loaded yet; a pitch set then is
+  // applied once it is.
+  isPitchAvailable() {
+    return !!this.getPitchShifter() || this.speedMode !== 'tempo' || this.pitchShifterPending;
+  }
+
+  updatePitchControls() {
+    const available = this.isPitchAvailable();
+    ['pitchControl', 'pitchFineControl'].forEach((id) => {
+      const control = document.getElementById(id);
+      if (control) control.disabled = !available;
+    });
+
+    const note = document.getElementById('pitchNote');
+    if (note) note.classList.toggle('hidden', available);
+  }
+
+  // How far the current settings move tempo and pitch, as ratios
+  getPlaybackShift() {
+    const pitchFactor = this.getPitchFactor();
+    const tempoMode = this.speedMode === 'tempo';
+
+    if (this.getPitchShifter()) {
+      return {
+        tempo: this.playbackRate,
+        pitch: tempoMode ? pitchFactor : this.playbackRate * pitchFactor
+      };
+    }
+
+    // Without the shifter pitch follows the rate unless the browser keeps
+    // it, and then the pitch setting is not applied at all
+    if (tempoMode) {
+      return { tempo: this.playbackRate, pitch: 1 };
+    }
+    const rate = this.playbackRate * pitchFactor;
+    return { tempo: rate, pitch: rate };
+  }
+
+  // "128 BPM, Am", or "128 → 134 BPM, Am → Bm" when speed or pitch moved
+  // them; empty until the track is analysed
+  formatTempoKey(track, shift = this.getPlaybackShift()) {
+    if (!track || typeof MusicAnalyzer === 'undefined') return '';
+
+    const semitones = Math.round(12 * Math.log2(shift.pitch));
+    const parts = [];
+
+    if (track.bpm) {
+      const original = MusicAnalyzer.formatBpm(track.bpm);
+      const shifted = MusicAnalyzer.formatBpm(track.bpm * shift.tempo);
+      parts.push(shifted !== original ? `${original} → ${shifted} BPM` : `${original} BPM`);
+    }
+
+    if (track.key) {
+      const original = MusicAnalyzer.formatKey(track.key);
+      const shifted = MusicAnalyzer.formatKey(track.key, semitones);
+      parts.push(shifted !== original ? `${original} → ${shifted}` : original);
+    }
+
+    return parts.join(', ');
+  }
+
+  // Speed and pitch apply to every track, so the cards follow them too
+  updateTempoDisplay() {
+    const track = this.tracks[this.currentTrackIndex];
+    const display = document.getElementById('playerTrackTempo');
+    if (display) display.textContent = track ? this.formatTempoKey(track) : '';
+
+    document.querySelectorAll('.vinyl-card[data-track-id]').forEach((card) => {
+      const item = this.tracks[this.getTrackIndex(card.dataset.trackId)];
+      const line = card.querySelector('.track-tempo');
+      if (item && line) line.textContent = this.formatTempoKey(item);
+    });
+
+    if (this.djDecks) {
+      this.djDecks.forEach((deck, index) => this.updateDeckUI(index));
+    }
+  }
+
+  resetEffects() {
+    // Reset speed
+    this.playbackRate = 1.0;
+    document.getElementById('speedControl').value = 1.0;
+    document.getElementById('speedValue').textContent = '1.0x';
+
+    // Reset pitch
+    this.pitchValue = 0;
+    document.getElementById('pitchControl').value = 0;
+    document.getElementById('pitchValue').textContent = '0';
+
+    this.pitchCents = 0;
+    document.getElementById('pitchFineControl').value = 0;
+    document.getElementById('pitchFineValue').textContent = '0¢';
+
+    // Apply reset
+    this.updatePlaybackRate();
+  }
+
+  // ==========================================
+  // A-B LOOP & HOT CUES
+  // ==========================================
+
+  setupLoopControls() {
+    const buttons = {
+      loopStartBtn: () => this.setLoopPoint('start'),
+      loopEndBtn: () => this.setLoopPoint('end'),
+      loopToggleBtn: () => this.toggleLoop(),
+      loopClearBtn: () => this.clearLoop()
+    };
+    Object.entries(buttons).forEach(([id, handler]) => {
+      const button = document.getElementById(id);
+      if (button) button.addEventListener('click', handler);
+    });
+
+    const pads = document.getElementById('cuePads');
+    if (pads) {
+      pads.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-cue-action]');
+        if (!button) return;
+
+        const slot = parseInt(button.dataset.slot);
+        const actions = {
+          trigger: () => this.triggerCue(slot),
+          rename: () => this.renameCue(slot),
+          delete: () => this.deleteCue(slot)
+        };
+        actions[button.dataset.cueAction]();
+      });
+    }
+
+    this.renderCuePads();
+    this.updateLoopUI();
+  }
+
+  // The loop of the current track, only while it is switched on
+  getActiveLoop() {
+    const track = this.tracks[this.currentTrackIndex];
+    const loop = track && track.loop;
+    return loop && loop.active && loop.start !== null && loop.end !== null ? loop : null;
+  }
+
+  // A marks the start, B the end; both set switches the loop on
+  setLoopPoint(point) {
+    const track = this.tracks[this.currentTrackIndex];
+    if (!track || !this.audio.src) return;
+
+    const time = this.audio.currentTime;
+    const loop = Object.assign({ start: null, end: null, active: false }, track.loop);
+
+    if (point === 'start') {
+      loop.start = time;
+      if (loop.end !== null && loop.end - time < MIN_LOOP) loop.end = null;
+    } else {
+      if (loop.start === null || time - loop.start < MIN_LOOP) {
+        this.showToast('Точка B должна быть позже точки A');
+        return;
+      }
+      loop.end = time;
+    }
+
+    loop.active = loop.start !== null && loop.end !== null;
+    this.setTrackLoop(track, loop);
+  }
+
+  toggleLoop() {
+    const track = this.tracks[this.currentTrackIndex];
+    const loop = track && track.loop;
+    if (!loop || loop.start === null || loop.end === null) {
+      this.showToast('Сначала поставьте точки A и B');
+      return;
+    }
+
+    this.setTrackLoop(track, { ...loop, active: !loop.active });
+
+    // Switching on past B goes back into the loop
+    if (track.loop.active && this.audio.currentTime >= loop.end) {
+      this.seekTo(loop.start);
+    }
+  }
+
+  clearLoop() {
+    const track = this.tracks[this.currentTrackIndex];
+    if (!track || !track.loop) return;
+
+    this.setTrackLoop(track, null);
+  }
+
+  setTrackLoop(track, loop) {
+    track.loop = loop;
+    this.saveTrack(track);
+    this.applyLoop();
+  }
+
+  // After any change to the loop or the track: the standby element either
+  // waits at A for the seam or goes back to preloading the next track
+  applyLoop() {
+    clearTimeout(this.loopTimer);
+    this.loopTimer = null;
+
+    const loop = this.getActiveLoop();
+    if (this.bridge && this.bridge.loop) {
+      this.updateLoopBridge(loop);
+    }
+
+    if (loop) {
+      this.preloaded = null;
+      this.prepareLoopStandby();
+      this.decodeLoopTrack();
+      this.scheduleLoop();
+    } else if (!this.preloaded) {
+      this.refreshPreload();
+    }
+
+    this.updateLoopUI();
+  }
+
+  // Park the standby element at A, paused, so the jump back costs nothing
+  prepareLoopStandby() {
+    const standby = this.getStandbyElement();
+    const track = this.tracks[this.currentTrackIndex];
+    const loop = this.getActiveLoop();
+    if (!standby || !loop || !track.url || this.transition) return;
+
+    standby.pause();
+    if (standby.src !== track.url) {
+      standby.preload = 'auto';
+      standby.src = track.url;
+      standby.load();
+    }
+
+    if (standby.readyState >= 1) {
+      standby.currentTime = loop.start;
+    } else {
+      standby.addEventListener('loadedmetadata', () => {
+        if (this.getActiveLoop() === loop && standby !== this.audio) standby.currentTime = loop.start;
+      }, { once: true });
+    }
+  }
+
+  // The loop plays from the decoded track when there is one
+  decodeLoopTrack() {
+    const track = this.tracks[this.currentTrackIndex];
+    if (!this.audioInitialized || !track || !track.file) return;
+
+    this.decodeTrack(track).catch((error) => {
+      console.warn('Failed to decode track for the loop:', error);
+    });
+  }
+
+  // The decoded current track, when a buffer can stand in for the element
+  getLoopBuffer() {
+    const track = this.tracks[this.currentTrackIndex];
+    const decoded = this.decodedTrack;
+    if (!track || !decoded || decoded.id !== track.id || !decoded.buffer) return null;
+    if (this.speedMode === 'tempo' && !this.getPitchShifter() && this.playbackRate !== 1) return null;
+    return decoded.buffer;
+  }
+
+  // Called on every timeupdate, like scheduleTransition
+  scheduleLoop() {
+    clearTimeout(this.loopTimer);
+    this.loopTimer = null;
+
+    const loop = this.getActiveLoop();
+    if (!loop || !this.isPlaying || this.isScratching || this.transition || this.bridge) return;
+
+    // Seeking well past B leaves the loop until the playhead comes back
+    const current = this.audio.currentTime;
+    if (current >= loop.end + 0.5) return;
+
+    const remaining = Math.max(0, loop.end - current) / (this.audio.playbackRate || 1);
+    if (remaining > 1.5) return;
+
+    // Decoded: from B on the buffer repeats A-B on the audio clock, so every
+    // pass has the same length to the sample
+    const buffer = this.getLoopBuffer();
+    if (buffer) {
+      const when = this.audioContext.currentTime + remaining;
+      this.startBridge(this.audio, buffer, when, loop.start, loop);
+      this.bridge.timer = setTimeout(() => this.syncBridge(), remaining * 1000 + 100);
+      return;
+    }
+
+    // Otherwise the element parked at A takes over at B
+    this.loopTimer = setTimeout(() => this.loopBack(), Math.max(0, (remaining - LOOP_LEAD) * 1000));
+  }
+
+  // The seam: the element parked at A takes over with the same short
+  // equal-power crossfade as gapless playback, then parks the other one
+  loopBack() {
+    this.loopTimer = null;
+
+    const loop = this.getActiveLoop();
+    if (!loop || !this.isPlaying || this.isScratching || this.transition) return;
+
+    const outgoing = this.audio;
+    const rate = outgoing.playbackRate || 1;
+
+    // Paused and resumed since the timer was armed: not at B yet
+    if ((loop.end - outgoing.currentTime) / rate > LOOP_LEAD + 0.05) {
+      this.scheduleLoop();
+      return;
+    }
+
+    const incoming = this.getStandbyElement();
+    const ready = incoming && this.elementChains.has(incoming) && incoming.src === outgoing.src &&
+      incoming.readyState >= 3 && Math.abs(incoming.currentTime - loop.start) < 0.05;
+
+    if (!ready) {
+      // Without a parked element (or Web Audio) it is a plain, audible jump
+      outgoing.currentTime = loop.start;
+      this.updateTime();
+      return;
+    }
+
+    this.prepareElement(incoming, this.normalizationGain);
+
+    this.audio = incoming;
+    this.applyCrossfade(outgoing, incoming, LOOP_FADE);
+    incoming.play();
+
+    setTimeout(() => {
+      if (outgoing === this.audio) return;
+      outgoing.pause();
+      this.prepareLoopStandby();
+    }, LOOP_FADE * 1000 + 50);
+
+    // Short loops end before the next timeupdate
+    this.updateTime();
+    this.scheduleLoop();
+  }
+
+  updateLoopUI() {
+    const track = this.tracks[this.currentTrackIndex];
+    const loop = (track && track.loop) || { start: null, end: null, active: false };
+
+    const value = document.getElementById('loopValue');
+    if (value) {
+      if (loop.start === null) {
+        value.textContent = 'Луп не задан';
+      } else {
+        const end = loop.end !== null ? this.formatCueTime(loop.end) : '…';
+        value.textContent = `A ${this.formatCueTime(loop.start)} — B ${end}`;
+      }
+    }
+
+    const toggle = document.getElementById('loopToggleBtn');
+    if (toggle) {
+      toggle.classList.toggle('active', !!loop.active);
+      toggle.setAttribute('aria-pressed', !!loop.active);
+      toggle.disabled = loop.start === null || loop.end === null;
+    }
+
+    const clear = document.getElementById('loopClearBtn');
+    if (clear) clear.disabled = loop.start === null;
+  }
+
+  // Minutes, seconds and tenths: loops and cues need more than m:ss
+  formatCueTime(seconds) {
+    const tenths = Math.floor((seconds || 0) * 10);
+    const mins = Math.floor(tenths / 600);
+    const secs = Math.floor((tenths % 600) / 10);
+    return `${mins}:${secs.toString().padStart(2, '0')}.${tenths % 10}`;
+  }
+
+  getCue(track, slot) {
+    return (track && track.cues && track.cues[slot]) || null;
+  }
+
+  // A set pad jumps, an empty one stores the current position
+  triggerCue(slot) {
+    const track = this.tracks[this.currentTrackIndex];
+    if (!track || !this.audio.src) return;
+
+    const cue = this.getCue(track, slot);
+    if (cue) {
+      this.seekTo(cue.time);
+    } else {
+      this.updateCue(track, slot, { time: this.audio.currentTime, name: `Кью ${slot + 1}` });
+      this.showToast(`Хот-кью ${slot + 1}: ${this.formatCueTime(this.audio.currentTime)}`);
+    }
+  }
+
+  renameCue(slot) {
+    const track = this.tracks[this.currentTrackIndex];
+    const cue = this.getCue(track, slot);
+    if (!cue) return;
+
+    const name = prompt('Название хот-кью:', cue.name);
+    if (!name || !name.trim()) return;
+
+    this.updateCue(track, slot, { ...cue, name: name.trim() });
+  }
+
+  deleteCue(slot) {
+    const track = this.tracks[this.currentTrackIndex];
+    if (!this.getCue(track, slot)) return;
+
+    this.updateCue(track, slot, null);
+  }
+
+  // Cues are stored as a fixed array of slots so the numbers stay put
+  updateCue(track, slot, cue) {
+    const cues = Array.from({ length: CUE_COUNT }, (_, i) => this.getCue(track, i));
+    cues[slot] = cue;
+    track.cues = cues.some(Boolean) ? cues : null;
+    this.saveTrack(track);
+    this.renderCuePads();
+  }
+
+  renderCuePads() {
+    const pads = document.getElementById('cuePads');
+    if (!pads) return;
+
+    const track = this.tracks[this.currentTrackIndex];
+    pads.innerHTML = Array.from({ length: CUE_COUNT }, (_, slot) => {
+      const cue = this.getCue(track, slot);
+      const pad = `
+        <button class="btn-cue${cue ? '' : ' empty'}" data-cue-action="trigger" data-slot="${slot}"
+                style="border-left-color: ${CUE_COLORS[slot]}"
+                title="${cue ? 'Перейти' : 'Поставить в текущей позиции'} (${this.escapeHtml(this.formatKeyCombo(this.keymap[`hotCue${slot + 1}`]))})">
+          <span class="cue-number">${slot + 1}</span>
+          ${cue ? `${this.escapeHtml(cue.name)} <span class="cue-time">${this.formatCueTime(cue.time)}</span>` : '—'}
+        </button>`;
+
+      if (!cue) return `<div class="cue-pad">${pad}</div>`;
+
+      return `
+        <div class="cue-pad">
+          ${pad}
+          <button class="btn-cue-edit" data-cue-action="rename" data-slot="${slot}" title="Переименовать" aria-label="Переименовать хот-кью ${slot + 1}">&#9998;</button>
+          <button class="btn-cue-edit" data-cue-action="delete" data-slot="${slot}" title="Удалить" aria-label="Удалить хот-кью ${slot + 1}">&times;</button>
+        </div>`;
+    }).join('');
+  }
+
+  // ==========================================
+  // VOLUME & EFFECTS CHAIN
+  // ==========================================
+
+  loadJSON(key, fallback) {
+    try {
+      const value = JSON.parse(localStorage.getItem(key));
+      return value === null ? fallback : value;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  setVolume(value) {
+    this.volume = Math.max(0, Math.min(100, parseFloat(value) || 0));
+    localStorage.setItem('vinylPlayer.volume', this.volume);
+
+    // Moving the slider up unmutes
+    if (this.muted && this.volume > 0) {
+      this.muted = false;
+      localStorage.setItem('vinylPlayer.muted', false);
+    }
+
+    this.updateVolume();
+  }
+
+  toggleMute() {
+    this.muted = !this.muted;
+    localStorage.setItem('vinylPlayer.muted', this.muted);
+    this.updateVolume();
+  }
+
+  updateVolume() {
+    // Squared slider position follows loudness more evenly than linear gain
+    const gain = this.muted ? 0 : Math.pow(this.volume / 100, 2);
+
+    // Until the graph exists (or without Web Audio) the elements are turned
+    // down directly, loudness normalization included; afterwards they stay
+    // at full level
+    this.audioElements.forEach((element) => {
+      element.volume = this.gainNode ? 1 : Math.min(1, gain * this.normalizationGain);
+    });
+
+    if (this.gainNode) {
+      const now = this.audioContext.currentTime;
+      this.gainNode.gain.setTargetAtTime(gain, now, 0.015);
+
+      // Normalization is set on the current element's level, so a track
+      // fading out keeps its own
+      const chain = this.elementChains.get(this.audio);
+      if (chain) chain.level.gain.setTargetAtTime(this.normalizationGain, now, 0.015);
+      this.scratchLevel.gain.setTargetAtTime(this.normalizationGain, now, 0.015);
+    }
+
+    const volumeControl = document.getElementById('volumeControl');
+    if (volumeControl) {
+      volumeControl.value = this.volume;
+    }
+
+    const volumeValue = document.getElementById('volumeValue');
+    if (volumeValue) {
+      volumeValue.textContent = this.muted ? 'Без звука' : `${Math.round(this.volume)}%`;
+    }
+
+    const muteBtn = document.getElementById('muteBtn');
+    if (muteBtn) {
+      muteBtn.classList.toggle('active', this.muted);
+      muteBtn.setAttribute('aria-pressed', this.muted);
+      muteBtn.textContent = this.muted ? 'Включить звук' : 'Выключить звук';
+    }
+  }
+
+  setupEffectsControls() {
+    // One vertical slider per EQ band
+    const eqBands = document.getElementById('eqBands');
+    if (eqBands && typeof EffectsChain !== 'undefined') {
+      eqBands.innerHTML = EQ_FREQUENCIES.map((frequency, i) => {
+        const label = frequency >= 1000 ? `${frequency / 1000}k` : frequency;
+        return `
+          <label class="eq-band">
+            <span class="eq-band-value" id="eqValue${i}">0</span>
+            <input type="range" class="slider eq-slider" data-band="${i}" min="-${EQ_RANGE}" max="${EQ_RANGE}" step="1" value="0"
+                   aria-label="${label} Гц">
+            <span class="eq-band-label">${label}</span>
+          </label>
+        `;
+      }).join('');
+
+      eqBands.querySelectorAll('[data-band]').forEach((slider) => {
+        slider.addEventListener('input', () => {
+          this.changeEffect((settings) => {
+            settings.eq[slider.dataset.band] = parseFloat(slider.value);
+          });
+        });
+      });
+    }
+
+    // Shelves, width and dynamics map straight onto settings keys
+    document.querySelectorAll('[data-effect]').forEach((control) => {
+      const event = control.type === 'checkbox' ? 'change' : 'input';
+      control.addEventListener(event, () => {
+        this.changeEffect((settings) => {
+          settings[control.dataset.effect] = control.type === 'checkbox' ? control.checked : parseFloat(control.value);
+        });
+      });
+    });
+
+    const presetSelect = document.getElementById('effectPreset');
+    if (presetSelect) {
+      presetSelect.addEventListener('change', () => this.applyEffectPreset(presetSelect.value));
+    }
+
+    const savePresetBtn = document.getElementById('savePresetBtn');
+    if (savePresetBtn) {
+      savePresetBtn.addEventListener('click', () => this.saveEffectPreset());
+    }
+
+    const deletePresetBtn = document.getElementById('deletePresetBtn');
+    if (deletePresetBtn) {
+      deletePresetBtn.addEventListener('click', () => this.deleteEffectPreset());
+    }
+
+    const trackEffectsToggle = document.getElementById('trackEffectsToggle');
+    if (trackEffectsToggle) {
+      trackEffectsToggle.addEventListener('change', () => this.setTrackEffects(trackEffectsToggle.checked));
+    }
+
+    this.updateEffectsUI();
+  }
+
+  getActiveEffects() {
+    const track = this.tracks[this.currentTrackIndex];
+    const settings = track && track.effects ? track.effects : this.effectSettings;
+    return typeof EffectsChain !== 'undefined' ? EffectsChain.normalize(settings) : settings;
+  }
+
+  // Store settings where they belong (current track or global) and apply
+  setEffects(settings) {
+    const track = this.tracks[this.currentTrackIndex];
+
+    if (track && track.effects) {
+      track.effects = settings;
+      this.saveTrack(track);
+    } else {
+      this.effectSettings = settings;
+      localStorage.setItem('vinylPlayer.effects', JSON.stringify(settings));
+    }
+
+    this.applyEffects();
+  }
+
+  changeEffect(update) {
+    if (typeof EffectsChain === 'undefined') return;
+
+    const settings = this.getActiveEffects();
+    update(settings);
+    this.setEffects(settings);
+  }
+
+  applyEffects() {
+    if (this.effects) {
+      this.effects.apply(this.getActiveEffects());
+    }
+    this.updateEffectsUI();
+  }
+
+  // "builtin:<key>" sets only the EQ curve; "user:<name>" restores everything
+  applyEffectPreset(value) {
+    if (!value || typeof EffectsChain === 'undefined') return;
+
+    const separator = value.indexOf(':');
+    const type = value.slice(0, separator);
+    const key = value.slice(separator + 1);
+
+    if (type === 'builtin' && EQ_PRESETS[key]) {
+      this.changeEffect((settings) => {
+        settings.eq = EQ_PRESETS[key].bands.slice();
+      });
+    } else if (type === 'user' && this.effectPresets[key]) {
+      this.setEffects(EffectsChain.normalize(this.effectPresets[key]));
+    }
+  }
+
+  saveEffectPreset() {
+    if (typeof EffectsChain === 'undefined') return;
+
+    const name = prompt('Название пресета:', '');
+    if (!name || !name.trim()) return;
+
+    if (this.effectPresets[name.trim()] && !confirm(`Пресет "${name.trim()}" уже есть. Заменить?`)) return;
+
+    this.effectPresets[name.trim()] = this.getActiveEffects();
+    localStorage.setItem('vinylPlayer.effectPresets', JSON.stringify(this.effectPresets));
+    this.updateEffectsUI();
+    this.showToast(`Пресет "${name.trim()}" сохранён`);
+  }
+
+  deleteEffectPreset() {
+    const presetSelect = document.getElementById('effectPreset');
+    const value = presetSelect ? presetSelect.value : '';
+    if (!value.startsWith('user:')) return;
+
+    const name = value.slice('user:'.length);
+    if (!confirm(`Удалить пресет "${name}"?`)) return;
+
+    delete this.effectPresets[name];
+    localStorage.setItem('vinylPlayer.effectPresets', JSON.stringify(this.effectPresets));
+    this.updateEffectsUI();
+  }
+
+  // Give the current track its own copy of the settings, or drop it
+  setTrackEffects(enabled) {
+    const track = this.tracks[this.currentTrackIndex];
+    if (!track) return;
+
+    if (enabled) {
+      track.effects = this.getActiveEffects();
+    } else {
+      delete track.effects;
+    }
+
+    this.saveTrack(track);
+    this.applyEffects();
+  }
+
+  // Name of the preset the current settings match, for the select
+  findMatchingPreset(settings) {
+    const same = (a, b) => JSON.stringify(EffectsChain.normalize(a)) === JSON.stringify(EffectsChain.normalize(b));
+
+    const user = Object.keys(this.effectPresets).find(name => same(this.effectPresets[name], settings));
+    if (user) return `user:${user}`;
+
+    const builtin = Object.keys(EQ_PRESETS).find(key => EQ_PRESETS[key].bands.every((gain, i) => gain === settings.eq[i]));
+    return builtin ? `builtin:${builtin}` : '';
+  }
+
+  updateEffectsUI() {
+    if (typeof EffectsChain === 'undefined') return;
+
+    const settings = this.getActiveEffects();
+    const formatDb = value => (value > 0 ? `+${value}` : `${value}`);
+
+    settings.eq.forEach((gain, i) => {
+      const slider = document.querySelector(`[data-band="${i}"]`);
+      const label = document.getElementById(`eqValue${i}`);
+      if (slider) slider.value = gain;
+      if (label) label.textContent = formatDb(gain);
+    });
+
+    document.querySelectorAll('[data-effect]').forEach((control) => {
+      const value = settings[control.dataset.effect];
+      if (control.type === 'checkbox') {
+        control.checked = !!value;
+      } else {
+        control.value = value;
+      }
+    });
+
+    const labels = {
+      bassValue: `${formatDb(settings.bass)} дБ`,
+      trebleValue: `${formatDb(settings.treble)} дБ`,
+      widthValue: settings.width === 0 ? 'Моно' : `${Math.round(settings.width * 100)}%`,
+      compressorValue: `${settings.compressorThreshold} дБ`
+    };
+    Object.keys(labels).forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = labels[id];
+    });
+
+    const compressorThreshold = document.querySelector('[data-effect="compressorThreshold"]');
+    if (compressorThreshold) {
+      compressorThreshold.disabled = !settings.compressor;
+    }
+
+    const presetSelect = document.getElementById('effectPreset');
+    if (presetSelect) {
+      const builtin = Object.keys(EQ_PRESETS)
+        .map(key => `<option value="builtin:${key}">${this.escapeHtml(EQ_PRESETS[key].name)}</option>`)
+        .join('');
+      const user = Object.keys(this.effectPresets)
+        .sort((a, b) => this.compareText(a, b))
+        .map(name => `<option value="user:${this.escapeHtml(name)}">${this.escapeHtml(name)}</option>`)
+        .join('');
+
+      presetSelect.innerHTML = `
+        <option value="">Свои настройки</option>
+        <optgroup label="Эквалайзер">${builtin}</optgroup>
+        ${user ? `<optgroup label="Мои пресеты">${user}</optgroup>` : ''}
+      `;
+      presetSelect.value = this.findMatchingPreset(settings);
+    }
 
-    this.loadTrack(index);
+    const deletePresetBtn = document.getElementById('deletePresetBtn');
+    if (deletePresetBtn && presetSelect) {
+      deletePresetBtn.disabled = !presetSelect.value.startsWith('user:');
+    }
+
+    const track = this.tracks[this.currentTrackIndex];
+    const trackEffectsToggle = document.getElementById('trackEffectsToggle');
+    if (trackEffectsToggle) {
+      trackEffectsToggle.checked = !!(track && track.effects);
+      trackEffectsToggle.disabled = !track || !this.audio.src;
+    }
   }
 
-  closePlayer() {
-    // Don't pause - keep music playing during navigation
-    this.player.classList.add('hidden');
-    this.library.classList.remove('hidden');
+  updateTime() {
+    const current = this.audio.currentTime;
+    const duration = this.audio.duration;
 
-    // Show mini player when closing full player
-    this.updateMiniPlayer();
+    document.getElementById('currentTime').textContent = this.formatTime(current);
+
+    if (this.seekBar) {
+      this.seekBar.setAttribute('aria-valuenow', Math.floor(current));
+      this.seekBar.setAttribute('aria-valuetext', `${this.formatTime(current)} из ${this.formatTime(duration)}`);
+    }
+
+    // Persist the position every few seconds
+    const track = this.tracks[this.currentTrackIndex];
+    if (track && Math.abs(current - (track.lastPosition || 0)) >= 5) {
+      track.lastPosition = current;
+      this.saveTrack(track);
+    }
   }
 
-  loadTrack(index) {
-    const track = this.tracks[index];
-    if (!track || !track.url) return;
+  updateDuration() {
+    const duration = this.audio.duration;
+    document.getElementById('totalTime').textContent = this.formatTime(duration);
 
-    this.audio.src = track.url;
+    if (this.seekBar) {
+      this.seekBar.setAttribute('aria-valuemax', Math.floor(duration) || 0);
+    }
+  }
 
-    // Update UI
-    document.getElementById('playerTrackTitle').textContent = track.title;
-    document.getElementById('playerTrackArtist').textContent = track.artist;
+  formatTime(seconds) {
+    if (!seconds || isNaN(seconds)) return '0:00';
 
-    // Load cover art for vinyl
-    if (track.coverArt) {
-      this.coverImage = new Image();
-      this.coverImage.src = track.coverArt;
-    } else {
-      this.coverImage = null;
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  }
+
+  // ==========================================
+  // LOUDNESS NORMALIZATION
+  // ==========================================
+
+  setupNormalizationControls() {
+    const mode = document.getElementById('normalizationMode');
+    if (mode) {
+      mode.addEventListener('change', (e) => this.setNormalization({ mode: e.target.value }));
     }
 
-    // Remove any glow effects (Web 1.0 style - no fancy effects)
-    if (this.canvas) {
-      this.canvas.style.boxShadow = '';
-      this.canvas.style.filter = '';
+    const preamp = document.getElementById('normalizationPreamp');
+    if (preamp) {
+      preamp.addEventListener('input', (e) => this.setNormalization({ preamp: parseFloat(e.target.value) || 0 }));
     }
 
-    // Reset effects
-    this.resetEffects();
+    const clip = document.getElementById('normalizationClip');
+    if (clip) {
+      clip.addEventListener('change', (e) => this.setNormalization({ preventClipping: e.target.checked }));
+    }
 
-    // Auto-play
-    this.play();
+    const analyzeBtn = document.getElementById('analyzeLibraryBtn');
+    if (analyzeBtn) {
+      analyzeBtn.addEventListener('click', () => this.queueAnalysis(this.tracks, { loudness: true }));
+    }
+
+    this.updateNormalizationUI();
   }
 
-  togglePlay() {
-    if (this.isPlaying) {
-      this.pause();
-    } else {
-      this.play();
+  setNormalization(changes) {
+    Object.assign(this.normalization, changes);
+    localStorage.setItem('vinylPlayer.normalization', JSON.stringify(this.normalization));
+
+    this.updateNormalization();
+    this.prepareNormalization(this.tracks[this.currentTrackIndex]);
+  }
+
+  // Tracks of the same album as `track`, grouped like the album view
+  getAlbumTracks(track) {
+    if (!track.album) return [track];
+
+    const key = `${track.album.toLowerCase()}\u0000${track.artist.toLowerCase()}`;
+    return this.tracks.filter(item => `${(item.album || '').toLowerCase()}\u0000${item.artist.toLowerCase()}` === key);
+  }
+
+  // Gain (dB, before pre-amp) and peak (dBFS) for the current mode, from
+  // tags first and measurements second; null while nothing is known yet
+  getNormalizationInfo(track) {
+    if (!track || this.normalization.mode === 'off') return null;
+
+    const tags = track.replayGain;
+    const tagPeak = value => (value > 0 ? 20 * Math.log10(value) : null);
+
+    if (this.normalization.mode === 'album') {
+      if (tags && tags.albumGain !== null) {
+        return { gain: tags.albumGain, peak: tagPeak(tags.albumPeak ?? tags.trackPeak), source: 'тег альбома' };
+      }
+
+      const album = this.getAlbumTracks(track);
+      if (album.length > 1 && album.every(item => item.loudness)) {
+        const loudness = LoudnessMeter.combine(album.map(item => item.loudness));
+        if (loudness !== null) {
+          const peaks = album.map(item => item.loudness.truePeak).filter(value => value !== null);
+          return {
+            gain: LOUDNESS_REFERENCE - loudness,
+            peak: peaks.length ? Math.max(...peaks) : null,
+            loudness,
+            source: 'альбом измерен'
+          };
+        }
+      }
+    }
+
+    // Track mode, and album mode until the whole album is known
+    if (tags && tags.trackGain !== null) {
+      return { gain: tags.trackGain, peak: tagPeak(tags.trackPeak), source: 'тег трека' };
     }
+
+    if (track.loudness && track.loudness.integrated !== null) {
+      return {
+        gain: LOUDNESS_REFERENCE - track.loudness.integrated,
+        peak: track.loudness.truePeak,
+        loudness: track.loudness.integrated,
+        source: 'трек измерен'
+      };
+    }
+
+    return null;
   }
 
-  play() {
-    if (!this.audio.src) return;
+  updateNormalization() {
+    const track = this.tracks[this.currentTrackIndex];
+    const info = this.getNormalizationInfo(track);
 
-    // Setup audio nodes on first play
-    if (!this.audioInitialized) {
-      this.setupAudioNodes();
+    this.normalizationGain = this.getNormalizationGain(track, info);
+    this.updateVolume();
+    this.updateNormalizationUI(info);
+  }
+
+  // Linear gain for a track under the current settings; sets info.applied
+  getNormalizationGain(track, info = this.getNormalizationInfo(track)) {
+    let gain = 0;
+
+    // The DJ decks share the output; their levels are the deck gains
+    if (info && !this.isDjModeOpen()) {
+      gain = info.gain + this.normalization.preamp;
+
+      // Keep the true peak at or below -1 dBTP after the gain
+      if (this.normalization.preventClipping && info.peak !== null) {
+        gain = Math.min(gain, -1 - info.peak);
+      }
+      info.applied = gain;
     }
 
-    // Resume audio context (required for some browsers)
-    if (this.audioContext && this.audioContext.state === 'suspended') {
-      this.audioContext.resume();
+    return Math.pow(10, gain / 20);
+  }
+
+  updateNormalizationUI(info) {
+    const { mode, preamp, preventClipping } = this.normalization;
+
+    const modeSelect = document.getElementById('normalizationMode');
+    if (modeSelect) modeSelect.value = mode;
+
+    const preampControl = document.getElementById('normalizationPreamp');
+    if (preampControl) preampControl.value = preamp;
+
+    const preampValue = document.getElementById('normalizationPreampValue');
+    if (preampValue) preampValue.textContent = `Предусиление: ${this.formatDecibels(preamp)}`;
+
+    const clip = document.getElementById('normalizationClip');
+    if (clip) clip.checked = preventClipping;
+
+    const canMeasure = !!this.loudnessMeter && this.loudnessMeter.available;
+    const measuring = this.loudnessRequests.size > 0;
+    const analyzeBtn = document.getElementById('analyzeLibraryBtn');
+    if (analyzeBtn) {
+      analyzeBtn.disabled = !canMeasure || measuring;
+      analyzeBtn.textContent = measuring
+        ? `Измеряю… осталось ${this.loudnessRequests.size}`
+        : 'Измерить громкость всей библиотеки';
     }
 
-    this.audio.play();
-    this.isPlaying = true;
+    const note = document.getElementById('normalizationNote');
+    if (!note) return;
 
-    // Update UI
-    document.getElementById('playIcon').classList.add('hidden');
-    document.getElementById('pauseIcon').classList.remove('hidden');
-    document.getElementById('tonearm').classList.add('playing');
+    const track = this.tracks[this.currentTrackIndex];
+    if (mode === 'off' || !track) {
+      note.textContent = '';
+    } else if (!info) {
+      note.textContent = !canMeasure
+        ? 'Без тегов ReplayGain громкость не измерить: откройте плеер через http(s)'
+        : measuring ? 'Измеряю громкость…' : 'Громкость трека ещё не известна';
+    } else {
+      const details = [info.source];
+      if (info.loudness !== undefined) details.push(`${info.loudness.toFixed(1)} LUFS`);
+      if (info.peak !== null) details.push(`пик ${info.peak.toFixed(1)} dBTP`);
+      note.textContent = `Усиление ${this.formatDecibels(info.applied)} (${details.join(', ')})`;
+    }
+  }
 
-    // Update mini player
-    this.updateMiniPlayer();
+  formatDecibels(value) {
+    const rounded = Math.round(value * 10) / 10;
+    return `${rounded > 0 ? '+' : rounded < 0 ? '−' : ''}${Math.abs(rounded).toFixed(1)} дБ`;
   }
 
-  pause() {
-    this.audio.pause();
-    this.isPlaying = false;
+  // Measure what the current mode still needs: the track, and in album
+  // mode the rest of its album
+  prepareNormalization(track) {
+    if (!track || this.normalization.mode === 'off') return;
 
-    // Update UI
-    document.getElementById('playIcon').classList.remove('hidden');
-    document.getElementById('pauseIcon').classList.add('hidden');
-    document.getElementById('tonearm').classList.remove('playing');
+    // Tags already give the answer
+    const info = this.getNormalizationInfo(track);
+    if (info && info.source.startsWith('тег')) return;
 
-    // Update mini player
-    this.updateMiniPlayer();
+    const tracks = this.normalization.mode === 'album' ? this.getAlbumTracks(track) : [track];
+    // The playing track goes first
+    this.queueAnalysis([track, ...tracks.filter(item => item !== track)], { loudness: true, urgent: true });
   }
 
-  previousTrack() {
-    this.currentTrackIndex = (this.currentTrackIndex - 1 + this.tracks.length) % this.tracks.length;
-    this.loadTrack(this.currentTrackIndex);
+  // ==========================================
+  // BACKGROUND ANALYSIS (LOUDNESS, TEMPO & KEY)
+  // ==========================================
+
+  // Tempo and key are wanted for every track; loudness only when asked for.
+  // Background tracks (the library on start) go to the idle-time backlog.
+  queueAnalysis(tracks, { loudness = false, urgent = false, background = false } = {}) {
+    if (loudness && this.loudnessMeter && this.loudnessMeter.available) {
+      tracks.forEach((track) => {
+        if (!track.loudness && track.file) this.loudnessRequests.add(track.id);
+      });
+    }
+
+    const ids = tracks.filter(track => this.needsAnalysis(track)).map(track => track.id);
+
+    if (background) {
+      const waiting = new Set(this.analysisBacklog);
+      this.analysisBacklog.push(...ids.filter(id => !waiting.has(id)));
+      this.scheduleBacklog();
+      return;
+    }
+
+    if (urgent) {
+      this.analysisQueue = [...ids, ...this.analysisQueue.filter(id => !ids.includes(id))];
+    } else {
+      this.analysisQueue.push(...ids.filter(id => !this.analysisQueue.includes(id)));
+    }
+    this.processAnalysisQueue();
   }
 
-  nextTrack() {
-    this.currentTrackIndex = (this.currentTrackIndex + 1) % this.tracks.length;
-    this.loadTrack(this.currentTrackIndex);
+  // bpm stays undefined until analysed, and null when it was undetectable
+  needsMusicAnalysis(track) {
+    return track.bpm === undefined && !!this.musicAnalyzer && this.musicAnalyzer.available;
   }
 
-  changeSpeed(value) {
-    this.playbackRate = parseFloat(value);
-    this.updatePlaybackRate();
-    document.getElementById('speedValue').textContent = value + 'x';
+  needsLoudnessAnalysis(track) {
+    return this.loudnessRequests.has(track.id) && !track.loudness &&
+      !!this.loudnessMeter && this.loudnessMeter.available;
   }
 
-  changePitch(value) {
-    this.pitchValue = parseInt(value);
-    document.getElementById('pitchValue').textContent = value > 0 ? '+' + value : value;
-    this.updatePlaybackRate();
+  needsAnalysis(track) {
+    return !!track.file && (this.needsMusicAnalysis(track) || this.needsLoudnessAnalysis(track));
   }
 
-  updatePlaybackRate() {
-    // Calculate pitch shift factor (semitones to frequency ratio)
-    const pitchFactor = Math.pow(2, this.pitchValue / 12);
+  // One track at a time: decoding is the memory-hungry part
+  async processAnalysisQueue() {
+    if (this.analysisBusy) return;
+    this.analysisBusy = true;
+
+    while (this.analysisQueue.length > 0) {
+      const id = this.analysisQueue.shift();
+      const track = this.tracks[this.getTrackIndex(id)];
+      if (!track || !this.needsAnalysis(track)) {
+        this.loudnessRequests.delete(id);
+        continue;
+      }
+
+      const wantsLoudness = this.needsLoudnessAnalysis(track);
+      const wantsMusic = this.needsMusicAnalysis(track);
+      if (wantsLoudness) {
+        this.updateNormalizationUI(this.getNormalizationInfo(this.tracks[this.currentTrackIndex]));
+      }
+
+      try {
+        // Tracks added before ReplayGain tags were read get them now
+        if (wantsLoudness && track.replayGain === undefined && this.tagReader && this.tagReader.available) {
+          const tags = await this.tagReader.read(track.file).catch(() => null);
+          track.replayGain = (tags && tags.replayGain) || null;
+        }
+
+        const buffer = await this.decodeForAnalysis(track);
+
+        if (wantsLoudness) {
+          track.loudness = await this.loudnessMeter.analyze(buffer);
+        }
+
+        if (wantsMusic) {
+          const result = await this.musicAnalyzer.analyze(buffer);
+          track.bpm = result.bpm;
+          track.key = result.key;
+        }
+
+        this.saveTrack(track);
+      } catch (error) {
+        console.warn('Track analysis failed:', error);
 
-    // Combine speed and pitch
-    // preservesPitch: false allows pitch to change with playback rate
-    this.audio.preservesPitch = false;
-    this.audio.mozPreservesPitch = false;
-    this.audio.webkitPreservesPitch = false;
+        // Undecodable files are not retried on every start
+        if (wantsMusic && this.musicAnalyzer.available && error.name === 'EncodingError') {
+          track.bpm = null;
+          track.key = null;
+          this.saveTrack(track);
+        }
+      }
+
+      this.loudnessRequests.delete(track.id);
+      if (wantsLoudness) this.updateNormalization();
+      if (wantsMusic) this.updateTempoDisplay();
+    }
 
-    // Apply combined playback rate (speed × pitch)
-    this.audio.playbackRate = this.playbackRate * pitchFactor;
+    this.analysisBusy = false;
+    this.loudnessRequests.clear();
+    this.updateNormalization();
+    this.scheduleBacklog();
   }
 
-  resetEffects() {
-    // Reset speed
-    this.playbackRate = 1.0;
-    document.getElementById('speedControl').value = 1.0;
-    document.getElementById('speedValue').textContent = '1.0x';
+  // One backlog track per quiet moment, and only while nothing else is
+  // waiting; tracks analysed in the meantime are skipped
+  scheduleBacklog() {
+    if (this.backlogTimer || this.analysisBacklog.length === 0) return;
+
+    this.backlogTimer = setTimeout(() => {
+      const run = () => {
+        this.backlogTimer = null;
+        if (this.analysisBusy || this.analysisQueue.length > 0) return;
+
+        while (this.analysisBacklog.length > 0) {
+          const track = this.tracks[this.getTrackIndex(this.analysisBacklog.shift())];
+          if (track && this.needsAnalysis(track)) {
+            this.queueAnalysis([track]);
+            return;
+          }
+        }
+      };
 
-    // Reset pitch
-    this.pitchValue = 0;
-    document.getElementById('pitchControl').value = 0;
-    document.getElementById('pitchValue').textContent = '0';
+      if (window.requestIdleCallback) {
+        requestIdleCallback(run, { timeout: ANALYSIS_BACKLOG_DELAY * 1000 });
+      } else {
+        run();
+      }
+    }, ANALYSIS_BACKLOG_DELAY * 1000);
+  }
 
-    // Apply reset
-    this.updatePlaybackRate();
+  // A card scrolled into view gets its track analysed ahead of the backlog,
+  // so the tempo and key show up where the user is looking
+  observeCardAnalysis(card, track) {
+    if (!window.IntersectionObserver || !this.needsAnalysis(track)) return;
+
+    if (!this.cardObserver) {
+      this.cardObserver = new IntersectionObserver((entries) => {
+        const visible = entries.filter(entry => entry.isIntersecting).map(entry => entry.target);
+        visible.forEach(target => this.cardObserver.unobserve(target));
+
+        const tracks = visible
+          .map(target => this.tracks[this.getTrackIndex(target.dataset.trackId)])
+          .filter(Boolean);
+        if (tracks.length > 0) this.queueAnalysis(tracks);
+      });
+    }
+    this.cardObserver.observe(card);
   }
 
-  updateTime() {
-    const current = this.audio.currentTime;
+  // The playing track shares its decode with the scratch engine; others
+  // are decoded on their own so that one is not evicted
+  decodeForAnalysis(track) {
+    if (this.audioContext && this.tracks[this.currentTrackIndex] === track) {
+      return this.decodeTrack(track);
+    }
+
+    const context = this.audioContext || new OfflineAudioContext(2, 1, 44100);
+    return track.file.arrayBuffer().then(data => new Promise((resolve, reject) => {
+      context.decodeAudioData(data, resolve, reject);
+    }));
+  }
+
+  // ==========================================
+  // SEEK BAR & WAVEFORM
+  // ==========================================
+
+  seekTo(seconds) {
     const duration = this.audio.duration;
+    if (!this.audio.src || !duration) return;
 
-    document.getElementById('currentTime').textContent = this.formatTime(current);
+    this.audio.currentTime = Math.max(0, Math.min(duration, seconds));
+    this.updateTime();
+  }
 
-    // Update rotation based on playback
-    if (this.isPlaying && !this.isDragging) {
-      this.rotation += this.playbackRate * 2;
+  seekBy(seconds) {
+    this.seekTo(this.audio.currentTime + seconds);
+  }
+
+  getSeekTime(event) {
+    const rect = this.seekBar.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    return fraction * (this.audio.duration || 0);
+  }
+
+  startSeek(event) {
+    if (!this.audio.duration) return;
+
+    this.isSeeking = true;
+    this.seekBar.setPointerCapture(event.pointerId);
+    this.seekPreviewTime = this.getSeekTime(event);
+    this.seekTo(this.seekPreviewTime);
+  }
+
+  moveSeek(event) {
+    if (!this.isSeeking) return;
+
+    this.seekPreviewTime = this.getSeekTime(event);
+    this.seekTo(this.seekPreviewTime);
+  }
+
+  endSeek(event) {
+    if (!this.isSeeking) return;
+
+    this.isSeeking = false;
+    if (this.seekBar.hasPointerCapture(event.pointerId)) {
+      this.seekBar.releasePointerCapture(event.pointerId);
+    }
+  }
+
+  handleSeekKey(event) {
+    const steps = {
+      ArrowLeft: -5,
+      ArrowDown: -5,
+      ArrowRight: 5,
+      ArrowUp: 5,
+      PageDown: -30,
+      PageUp: 30
+    };
+
+    if (event.key in steps) {
+      this.seekBy(steps[event.key]);
+    } else if (event.key === 'Home') {
+      this.seekTo(0);
+    } else if (event.key === 'End') {
+      this.seekTo(this.audio.duration - 1);
+    } else {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+  }
+
+  // Peak level per bin (0-255), small enough to store with the track
+  computeWaveform(buffer, bins = 400) {
+    const peaks = new Uint8Array(bins);
+    const samplesPerBin = Math.max(1, Math.floor(buffer.length / bins));
+    const channels = [];
+
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      channels.push(buffer.getChannelData(c));
+    }
+
+    for (let i = 0; i < bins; i++) {
+      const start = i * samplesPerBin;
+      const end = Math.min(start + samplesPerBin, buffer.length);
+      let peak = 0;
+
+      for (const data of channels) {
+        for (let j = start; j < end; j++) {
+          const value = Math.abs(data[j]);
+          if (value > peak) peak = value;
+        }
+      }
+
+      peaks[i] = Math.min(255, Math.round(peak * 255));
+    }
+
+    return peaks;
+  }
+
+  async ensureWaveform(track) {
+    if (!track || track.waveform || !track.file || !this.audioContext) return;
+
+    try {
+      const buffer = await this.decodeTrack(track);
+      track.waveform = this.computeWaveform(buffer);
+      this.saveTrack(track);
+    } catch (error) {
+      console.warn('Failed to compute waveform:', error);
+    }
+  }
+
+  drawSeekBar() {
+    const canvas = this.seekCanvas;
+    const ctx = this.seekCtx;
+    if (!canvas || this.player.classList.contains('hidden')) return;
+
+    // Match the backing store to the displayed size
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(canvas.clientWidth * dpr);
+    const height = Math.round(canvas.clientHeight * dpr);
+    if (!width || !height) return;
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+    }
+
+    const duration = this.audio.duration || 0;
+    const current = this.isSeeking ? this.seekPreviewTime : this.audio.currentTime;
+    const playedX = duration ? (current / duration) * width : 0;
+    const track = this.tracks[this.currentTrackIndex];
+    const peaks = track && track.waveform;
+
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, width, height);
+
+    // Buffered regions
+    if (duration) {
+      ctx.fillStyle = '#E0E0E0';
+      const buffered = this.audio.buffered;
+      for (let i = 0; i < buffered.length; i++) {
+        const start = (buffered.start(i) / duration) * width;
+        const end = (buffered.end(i) / duration) * width;
+        ctx.fillRect(start, 0, end - start, height);
+      }
+    }
+
+    const middle = height / 2;
+
+    if (peaks && peaks.length) {
+      const barWidth = width / peaks.length;
+
+      for (let i = 0; i < peaks.length; i++) {
+        const x = i * barWidth;
+        const amplitude = Math.max(1, (peaks[i] / 255) * (middle - 2));
+        ctx.fillStyle = x < playedX ? '#000080' : '#808080';
+        ctx.fillRect(x, middle - amplitude, Math.max(1, barWidth - 1), amplitude * 2);
+      }
+    } else {
+      // Waveform not ready yet: plain played/unplayed line
+      ctx.fillStyle = '#808080';
+      ctx.fillRect(0, middle - 1, width, 2);
+      ctx.fillStyle = '#000080';
+      ctx.fillRect(0, middle - 1, playedX, 2);
+    }
+
+    if (duration && track) {
+      this.drawTimelineMarkers(ctx, track, duration, width, height, dpr);
     }
+
+    // Playhead
+    ctx.fillStyle = '#FF0000';
+    ctx.fillRect(Math.max(0, playedX - dpr), 0, 2 * dpr, height);
   }
 
-  updateDuration() {
-    const duration = this.audio.duration;
-    document.getElementById('totalTime').textContent = this.formatTime(duration);
-  }
+  // Loop region between A and B, and a numbered flag per hot cue
+  drawTimelineMarkers(ctx, track, duration, width, height, dpr) {
+    const loop = track.loop;
+    if (loop && loop.start !== null) {
+      const startX = (loop.start / duration) * width;
+      const endX = loop.end !== null ? (loop.end / duration) * width : startX;
+
+      ctx.fillStyle = loop.active ? 'rgba(255, 204, 0, 0.35)' : 'rgba(128, 128, 128, 0.25)';
+      ctx.fillRect(startX, 0, endX - startX, height);
+
+      ctx.fillStyle = '#FF9900';
+      ctx.fillRect(startX - dpr, 0, 2 * dpr, height);
+      if (loop.end !== null) ctx.fillRect(endX - dpr, 0, 2 * dpr, height);
+    }
+
+    const flag = 10 * dpr;
+    ctx.font = `bold ${8 * dpr}px Arial, sans-serif`;
+    ctx.textBaseline = 'middle';
 
-  formatTime(seconds) {
-    if (!seconds || isNaN(seconds)) return '0:00';
+    for (let slot = 0; slot < CUE_COUNT; slot++) {
+      const cue = this.getCue(track, slot);
+      if (!cue) continue;
 
-    const mins = Math.floor(seconds / 60);
-    const secs = Math.floor(seconds % 60);
-    return `${mins}:${secs.toString().padStart(2, '0')}`;
+      const x = (cue.time / duration) * width;
+      ctx.fillStyle = CUE_COLORS[slot];
+      ctx.fillRect(x - dpr / 2, 0, dpr, height);
+      ctx.fillRect(x, 0, flag, flag);
+      ctx.fillStyle = '#000000';
+      ctx.fillText(String(slot + 1), x + 2.5 * dpr, flag / 2);
+    }
   }
 
   // ==========================================
   // VINYL INTERACTION
   // ==========================================
 
+  // Angle of the pointer around the centre of a record canvas
+  getPointerAngle(canvas, event) {
+    const rect = canvas.getBoundingClientRect();
+    const x = event.clientX - rect.left - rect.width / 2;
+    const y = event.clientY - rect.top - rect.height / 2;
+    return Math.atan2(y, x);
+  }
+
+  // Signed angle between two pointer angles, across the ±π seam
+  getAngleDelta(from, to) {
+    let delta = to - from;
+    if (delta > Math.PI) delta -= 2 * Math.PI;
+    if (delta < -Math.PI) delta += 2 * Math.PI;
+    return delta;
+  }
+
   startDrag(event) {
     this.isDragging = true;
-    const rect = this.canvas.getBoundingClientRect();
-    const centerX = rect.width / 2;
-    const centerY = rect.height / 2;
-    const x = event.clientX - rect.left - centerX;
-    const y = event.clientY - rect.top - centerY;
-    this.lastAngle = Math.atan2(y, x);
+    this.lastAngle = this.getPointerAngle(this.canvas, event);
+    this.lastDragTime = performance.now();
 
     this.canvas.style.cursor = 'grabbing';
+
+    // Grab the record: hand the sound over to the scratch engine
+    const track = this.tracks[this.currentTrackIndex];
+    if (this.scratchEngine && track && this.audio.src && this.scratchEngine.isLoaded(track.id)) {
+      // The hand stops a crossfade where it is
+      this.finishTransition();
+      this.endBridge();
+
+      this.isScratching = true;
+      this.scratchIdle = true;
+      this.scratchEngine.start(this.audio.currentTime);
+
+      this.elementGain.gain.setTargetAtTime(0, this.audioContext.currentTime, 0.005);
+      this.audio.pause();
+
+      if (this.audioContext.state === 'suspended') {
+        this.audioContext.resume();
+      }
+    }
   }
 
   drag(event) {
     if (!this.isDragging) return;
 
-    const rect = this.canvas.getBoundingClientRect();
-    const centerX = rect.width / 2;
-    const centerY = rect.height / 2;
-    const x = event.clientX - rect.left - centerX;
-    const y = event.clientY - rect.top - centerY;
-    const currentAngle = Math.atan2(y, x);
-
-    // Calculate angle difference
-    let deltaAngle = currentAngle - this.lastAngle;
-
-    // Handle angle wrap-around
-    if (deltaAngle > Math.PI) deltaAngle -= 2 * Math.PI;
-    if (deltaAngle < -Math.PI) deltaAngle += 2 * Math.PI;
+    const currentAngle = this.getPointerAngle(this.canvas, event);
+    const deltaAngle = this.getAngleDelta(this.lastAngle, currentAngle);
 
     // Update rotation
     this.rotation += deltaAngle * (180 / Math.PI);
     this.lastAngle = currentAngle;
 
-    // Seek audio based on rotation (vinyl scratching effect)
-    if (this.audio.duration) {
-      const rotationNormalized = (this.rotation % 360 + 360) % 360;
-      const newTime = (rotationNormalized / 360) * this.audio.duration;
-
-      // Apply seek with smoothing
-      if (Math.abs(this.audio.currentTime - newTime) > 0.1) {
-        this.audio.currentTime = newTime;
-      }
+    const now = performance.now();
+    const elapsed = Math.max((now - this.lastDragTime) / 1000, 0.001);
+    this.lastDragTime = now;
+
+    // One revolution covers secondsPerRevolution of audio
+    const seconds = (deltaAngle / (2 * Math.PI)) * this.secondsPerRevolution;
+
+    if (this.isScratching) {
+      // Angular velocity drives playback rate and direction
+      const rate = Math.max(-16, Math.min(16, seconds / elapsed));
+      this.scratchEngine.setRate(rate);
+      this.scratchIdle = false;
+    } else if (this.audio.duration) {
+      // No decoded buffer yet: fall back to relative seeking
+      this.audio.currentTime = Math.max(0, Math.min(this.audio.duration, this.audio.currentTime + seconds));
     }
   }
 
   endDrag() {
+    if (!this.isDragging) return;
+
     this.isDragging = false;
     this.canvas.style.cursor = 'pointer';
+
+    if (this.isScratching) {
+      this.isScratching = false;
+      this.releaseScratch();
+    }
+  }
+
+  async releaseScratch() {
+    const position = await this.scratchEngine.stop();
+
+    // The record was grabbed again before the release finished
+    if (this.isScratching) return;
+
+    // Let go: normal play continues from where the hand left the record
+    this.audio.currentTime = position;
+    if (this.isPlaying) {
+      this.audio.play();
+    }
+
+    this.elementGain.gain.setTargetAtTime(1, this.audioContext.currentTime, 0.01);
+  }
+
+  // A still hand holds the record even without new pointer events
+  updateScratchIdle() {
+    if (this.isScratching && !this.scratchIdle && performance.now() - this.lastDragTime > 50) {
+      this.scratchEngine.setRate(0);
+      this.scratchIdle = true;
+    }
   }
 
   // ==========================================
@@ -664,22 +6442,45 @@ class VinylMusicPlayer {
     const ctx = this.ctx;
     const centerX = canvas.width / 2;
     const centerY = canvas.height / 2;
-    const radius = canvas.width / 2 - 10;
+
+    // The disc shrinks to leave a ring for the visualizer
+    const visualizer = this.isVisualizerActive();
+    const radius = visualizer ? canvas.width * 0.39 : canvas.width / 2 - 10;
 
     // Get current track data
     const currentTrack = this.tracks[this.currentTrackIndex];
     const colors = currentTrack?.colors || this.getDefaultColors();
-    const coverArt = currentTrack?.coverArt;
 
     // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
+    this.paintRecord(ctx, {
+      centerX,
+      centerY,
+      radius,
+      rotation: this.rotation,
+      track: currentTrack,
+      coverImage: this.coverImage,
+      duration: this.audio.duration
+    });
+
+    if (visualizer) {
+      this.drawVisualizer(ctx, centerX, centerY, radius, colors);
+    }
+  }
+
+  // The turning record: texture or grooves tinted by the cover colours,
+  // loop and cue markers, cover label. Shared by the player and DJ decks.
+  paintRecord(ctx, { centerX, centerY, radius, rotation, track, coverImage, duration }) {
+    const colors = track?.colors || this.getDefaultColors();
+    const coverArt = track?.coverArt;
+
     // Save context
     ctx.save();
 
     // Rotate canvas for vinyl disc
     ctx.translate(centerX, centerY);
-    ctx.rotate((this.rotation * Math.PI) / 180);
+    ctx.rotate((rotation * Math.PI) / 180);
     ctx.translate(-centerX, -centerY);
 
     // Draw vinyl disc with texture if loaded
@@ -736,14 +6537,16 @@ class VinylMusicPlayer {
     // Draw center label WITH rotation (rotates with vinyl)
     const labelRadius = radius * 0.38;
 
-    if (coverArt && this.coverImage && this.coverImage.complete) {
+    this.drawVinylMarkers(ctx, centerX, centerY, radius, labelRadius, track, duration);
+
+    if (coverArt && coverImage && coverImage.complete) {
       // Draw cover art as center label - ROTATES with vinyl
       ctx.save();
       ctx.beginPath();
       ctx.arc(centerX, centerY, labelRadius, 0, 2 * Math.PI);
       ctx.clip();
       ctx.drawImage(
-        this.coverImage,
+        coverImage,
         centerX - labelRadius,
         centerY - labelRadius,
         labelRadius * 2,
@@ -789,8 +6592,237 @@ class VinylMusicPlayer {
     ctx.restore();
   }
 
+  // Loop and cues on the grooves, where the stylus would be at that time:
+  // the outer edge is the start of the track, the label its end
+  drawVinylMarkers(ctx, centerX, centerY, radius, labelRadius, track, duration) {
+    if (!track || !duration) return;
+
+    const outer = radius * 0.97;
+    const inner = labelRadius * 1.05;
+    const grooveAt = time => outer - (Math.min(time, duration) / duration) * (outer - inner);
+
+    const loop = track.loop;
+    if (loop && loop.start !== null && loop.end !== null) {
+      const from = grooveAt(loop.start);
+      const to = grooveAt(loop.end);
+      ctx.strokeStyle = loop.active ? 'rgba(255, 204, 0, 0.45)' : 'rgba(192, 192, 192, 0.3)';
+      ctx.lineWidth = Math.max(2, from - to);
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, (from + to) / 2, 0, 2 * Math.PI);
+      ctx.stroke();
+    }
+
+    // A short arc per cue, so the markers turn with the record
+    ctx.lineWidth = 4;
+    for (let slot = 0; slot < CUE_COUNT; slot++) {
+      const cue = this.getCue(track, slot);
+      if (!cue) continue;
+
+      ctx.strokeStyle = CUE_COLORS[slot];
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, grooveAt(cue.time), -0.12, 0.12);
+      ctx.stroke();
+    }
+  }
+
+  // ==========================================
+  // VISUALIZER
+  // ==========================================
+
+  setVisualizerMode(mode) {
+    this.visualizerMode = mode;
+    localStorage.setItem('vinylPlayer.visualizer', mode);
+    this.updateVisualizerUI();
+  }
+
+  isVisualizerActive() {
+    return this.visualizerMode !== 'off' && !(this.reducedMotion && this.reducedMotion.matches);
+  }
+
+  updateVisualizerUI() {
+    const note = document.getElementById('visualizerNote');
+    if (note) {
+      note.classList.toggle('hidden', !(this.reducedMotion && this.reducedMotion.matches));
+    }
+  }
+
+  // Drawn unrotated in the ring between the disc edge and the canvas edge
+  drawVisualizer(ctx, centerX, centerY, radius, colors) {
+    if (!this.analyser) return;
+
+    const ring = Math.min(centerX, centerY) - radius - 4;
+
+    ctx.save();
+    if (this.visualizerMode === 'bars') {
+      this.drawSpectrumBars(ctx, centerX, centerY, radius + 4, ring, colors);
+    } else if (this.visualizerMode === 'scope') {
+      this.drawScopeRing(ctx, centerX, centerY, radius + 4 + ring / 2, ring / 2, colors);
+    } else if (this.visualizerMode === 'vu') {
+      this.drawVuMeter(ctx, centerX, centerY, radius + 4 + ring / 2, ring / 2, colors);
+    }
+    ctx.restore();
+  }
+
+  // 64 bars on a log frequency scale (40 Hz - 16 kHz), mirrored left/right
+  drawSpectrumBars(ctx, centerX, centerY, innerRadius, length, colors) {
+    const data = this.frequencyData;
+    this.analyser.getByteFrequencyData(data);
+
+    const count = 32;
+    const nyquist = this.audioContext.sampleRate / 2;
+    const binFor = frequency => Math.min(data.length - 1, Math.round((frequency / nyquist) * data.length));
+    const barWidth = ((Math.PI / count) * innerRadius) * 0.6;
+
+    ctx.lineCap = 'butt';
+    ctx.lineWidth = barWidth;
+
+    for (let i = 0; i < count; i++) {
+      const from = binFor(40 * Math.pow(400, i / count));
+      const to = Math.max(from + 1, binFor(40 * Math.pow(400, (i + 1) / count)));
+
+      let sum = 0;
+      for (let bin = from; bin < to; bin++) {
+        sum += data[bin];
+      }
+      const level = sum / (to - from) / 255;
+      const barLength = Math.max(1, level * length);
+
+      ctx.strokeStyle = level > 0.85 ? colors.lighter : colors.primary;
+
+      // Bass at the bottom, treble at the top, on both sides
+      [-1, 1].forEach((side) => {
+        const angle = Math.PI / 2 + side * ((i + 0.5) / count) * Math.PI;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+
+        ctx.beginPath();
+        ctx.moveTo(centerX + cos * innerRadius, centerY + sin * innerRadius);
+        ctx.lineTo(centerX + cos * (innerRadius + barLength), centerY + sin * (innerRadius + barLength));
+        ctx.stroke();
+      });
+    }
+  }
+
+  // One analyser window wrapped around the disc
+  drawScopeRing(ctx, centerX, centerY, baseRadius, amplitude, colors) {
+    const data = this.waveformData;
+    this.analyser.getFloatTimeDomainData(data);
+
+    const points = 256;
+    const step = data.length / points;
+
+    ctx.strokeStyle = colors.darker;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(centerX, centerY, baseRadius, 0, 2 * Math.PI);
+    ctx.stroke();
+
+    ctx.strokeStyle = colors.primary;
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    for (let i = 0; i <= points; i++) {
+      const sample = Math.max(-1, Math.min(1, data[Math.floor((i % points) * step)]));
+      const angle = (i / points) * 2 * Math.PI - Math.PI / 2;
+      const r = baseRadius + sample * amplitude;
+      const x = centerX + Math.cos(angle) * r;
+      const y = centerY + Math.sin(angle) * r;
+
+      if (i === 0) {
+        ctx.moveTo(x, y);
+      } else {
+        ctx.lineTo(x, y);
+      }
+    }
+    ctx.stroke();
+  }
+
+  // Left channel on the left arc, right on the right; -48..0 dBFS from the
+  // bottom up. Bars show RMS with VU-like ballistics, ticks show the peak.
+  drawVuMeter(ctx, centerX, centerY, meterRadius, thickness, colors) {
+    const now = performance.now();
+    const elapsed = this.lastMeterTime ? Math.min(0.1, (now - this.lastMeterTime) / 1000) : 0;
+    this.lastMeterTime = now;
+
+    const floor = -48;
+    const toFraction = db => Math.max(0, Math.min(1, (db - floor) / -floor));
+    const toDb = value => (value > 0 ? 20 * Math.log10(value) : -Infinity);
+
+    ctx.lineWidth = thickness;
+    ctx.lineCap = 'butt';
+
+    this.meterAnalysers.forEach((meter, channel) => {
+      const data = this.meterData;
+      meter.getFloatTimeDomainData(data);
+
+      let sum = 0;
+      let peak = 0;
+      for (let i = 0; i < data.length; i++) {
+        sum += data[i] * data[i];
+        peak = Math.max(peak, Math.abs(data[i]));
+      }
+
+      const level = this.meterLevels[channel];
+      const rms = toFraction(toDb(Math.sqrt(sum / data.length)));
+      level.rms += (rms - level.rms) * Math.min(1, elapsed / 0.3);
+
+      // Peak hold falls back at about 20 dB per second
+      level.peak = Math.max(toFraction(toDb(peak)), level.peak - (elapsed * 20) / -floor);
+
+      const side = channel === 0 ? 1 : -1;
+      const start = Math.PI / 2;
+      const angleAt = fraction => start + side * fraction * Math.PI;
+
+      // Scale
+      ctx.strokeStyle = 'rgba(0, 0, 0, 0.15)';
+      ctx.beginPath();
+      ctx.arc(centerX, centerY, meterRadius, Math.min(start, angleAt(1)), Math.max(start, angleAt(1)));
+      ctx.stroke();
+
+      // Level, turning red above -6 dBFS
+      const redFrom = toFraction(-6);
+      const segments = [
+        { from: 0, to: Math.min(level.rms, redFrom), color: colors.primary },
+        { from: redFrom, to: level.rms, color: '#FF0000' }
+      ];
+      segments.forEach((segment) => {
+        if (segment.to <= segment.from) return;
+        ctx.strokeStyle = segment.color;
+        ctx.beginPath();
+        ctx.arc(
+          centerX, centerY, meterRadius,
+          Math.min(angleAt(segment.from), angleAt(segment.to)),
+          Math.max(angleAt(segment.from), angleAt(segment.to))
+        );
+        ctx.stroke();
+      });
+
+      // Peak tick
+      if (level.peak > 0) {
+        const angle = angleAt(level.peak);
+        ctx.strokeStyle = level.peak >= redFrom ? '#FF0000' : colors.lighter;
+        ctx.beginPath();
+        ctx.arc(centerX, centerY, meterRadius, angle - 0.02, angle + 0.02);
+        ctx.stroke();
+      }
+    });
+  }
+
   animateVinyl() {
+    const now = performance.now();
+    const elapsed = this.lastFrameTime ? (now - this.lastFrameTime) / 1000 : 0;
+    this.lastFrameTime = now;
+
+    // The disc turns at the speed set by the scratch sensitivity
+    if (this.isPlaying && !this.isDragging) {
+      this.rotation += (360 * elapsed * this.playbackRate) / this.secondsPerRevolution;
+    }
+
+    this.updateScratchIdle();
     this.drawVinyl();
+    this.drawSeekBar();
+    this.updateLyrics();
+    this.drawDecks(elapsed);
     requestAnimationFrame(() => this.animateVinyl());
   }
 
@@ -928,6 +6960,346 @@ class VinylMusicPlayer {
     ctx.stroke();
   }
 
+  // ==========================================
+  // DJ MODE
+  // ==========================================
+
+  setupDjMode() {
+    const openBtn = document.getElementById('djModeBtn');
+    if (openBtn) {
+      openBtn.addEventListener('click', () => this.openDjMode());
+    }
+
+    const backBtn = document.getElementById('djBackBtn');
+    if (backBtn) {
+      backBtn.addEventListener('click', () => this.closeDjMode());
+    }
+
+    const crossfader = document.getElementById('djCrossfader');
+    if (crossfader) {
+      crossfader.value = this.djSettings.crossfader;
+      crossfader.addEventListener('input', (e) => this.setDjMixer({ crossfader: parseFloat(e.target.value) }));
+      crossfader.addEventListener('dblclick', () => {
+        crossfader.value = 0.5;
+        this.setDjMixer({ crossfader: 0.5 });
+      });
+    }
+
+    const curve = document.getElementById('djCrossfaderCurve');
+    if (curve) {
+      curve.value = this.djSettings.curve;
+      curve.addEventListener('change', (e) => this.setDjMixer({ curve: e.target.value }));
+    }
+
+    this.djDeckRoots = Array.from(document.querySelectorAll('.dj-deck'));
+    this.djDeckRoots.forEach((root, index) => {
+      const on = (selector, type, handler) => {
+        const element = root.querySelector(selector);
+        if (element) element.addEventListener(type, handler);
+      };
+      const withDeck = handler => (event) => {
+        if (this.djDecks) handler(this.djDecks[index], event);
+        this.updateDeckUI(index);
+      };
+
+      on('.dj-track-select', 'change', (e) => this.loadDeck(index, e.target.value));
+      on('.dj-play', 'click', withDeck(deck => deck.togglePlay()));
+      on('.dj-restart', 'click', withDeck((deck) => {
+        deck.audio.currentTime = 0;
+      }));
+      on('.dj-sync', 'click', () => this.syncDeck(index));
+      on('.dj-speed', 'input', withDeck((deck, e) => deck.setPlaybackRate(parseFloat(e.target.value))));
+      on('.dj-speed', 'dblclick', withDeck((deck, e) => {
+        e.target.value = 1;
+        deck.setPlaybackRate(1);
+      }));
+      on('.dj-pitch', 'input', withDeck((deck, e) => deck.setPitch(parseInt(e.target.value))));
+      on('.dj-keylock', 'change', withDeck((deck, e) => deck.setKeylock(e.target.checked)));
+      on('.dj-gain', 'input', withDeck((deck, e) => deck.setGain(Math.pow(e.target.value / 100, 2))));
+
+      root.querySelectorAll('.dj-kill').forEach((button) => {
+        button.addEventListener('click', withDeck((deck) => {
+          deck.setKill(button.dataset.band, !deck.kills[button.dataset.band]);
+        }));
+      });
+
+      const canvas = root.querySelector('.dj-vinyl');
+      if (canvas) {
+        canvas.addEventListener('pointerdown', (e) => this.startDeckDrag(index, e));
+        canvas.addEventListener('pointermove', (e) => this.moveDeckDrag(index, e));
+        canvas.addEventListener('pointerup', (e) => this.endDeckDrag(index, e));
+        canvas.addEventListener('pointercancel', (e) => this.endDeckDrag(index, e));
+      }
+
+      const audio = root.querySelector('audio');
+      if (audio) {
+        ['play', 'pause', 'ended', 'loadedmetadata'].forEach((type) => {
+          audio.addEventListener(type, () => this.updateDeckUI(index));
+        });
+      }
+    });
+  }
+
+  isDjModeOpen() {
+    const view = document.getElementById('djMode');
+    return !!view && !view.classList.contains('hidden');
+  }
+
+  openDjMode() {
+    const view = document.getElementById('djMode');
+    if (!view) return;
+
+    if (!this.audioInitialized) {
+      this.setupAudioNodes();
+    }
+    if (!this.masterBus || typeof DjDeck === 'undefined') {
+      this.showToast('DJ-режиму нужен Web Audio API');
+      return;
+    }
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+
+    // One source at a time: the player waits while the decks play
+    if (this.isPlaying) {
+      this.pause();
+    }
+
+    // The decks join the player's master bus, so effects, the visualizer
+    // and the volume slider apply to the mix
+    if (!this.djDecks) {
+      this.djDecks = this.djDeckRoots.map((root) => {
+        const deck = new DjDeck(this.audioContext, root.querySelector('audio'), this.masterBus);
+        deck.init(this.pitchShifterModule).then(() => this.updateDeckUI(this.djDecks.indexOf(deck)));
+        return deck;
+      });
+      this.applyDjMixer();
+    }
+
+    this.library.classList.add('hidden');
+    this.player.classList.add('hidden');
+    view.classList.remove('hidden');
+    this.hideContextMenu();
+
+    this.renderDeckTrackOptions();
+    this.djDecks.forEach((deck, index) => this.updateDeckUI(index));
+    this.updateNormalization();
+
+    // The lock screen would keep showing the player's track
+    this.clearMediaSession();
+  }
+
+  closeDjMode() {
+    const view = document.getElementById('djMode');
+    if (!view) return;
+
+    if (this.djDecks) {
+      this.djDecks.forEach(deck => deck.pause());
+    }
+
+    view.classList.add('hidden');
+    this.library.classList.remove('hidden');
+    this.updateNormalization();
+    this.updateMiniPlayer();
+
+    const track = this.tracks[this.currentTrackIndex];
+    if (track && this.audio.src) {
+      this.updateMediaMetadata(track);
+      this.setMediaPlaybackState('paused');
+      this.updatePositionState();
+    }
+  }
+
+  renderDeckTrackOptions() {
+    const options = this.tracks
+      .filter(track => track.url)
+      .map(track => `<option value="${this.escapeHtml(track.id)}">${this.escapeHtml(`${track.artist} — ${track.title}`)}</option>`)
+      .join('');
+
+    this.djDeckRoots.forEach((root, index) => {
+      const select = root.querySelector('.dj-track-select');
+      if (!select) return;
+
+      const deck = this.djDecks && this.djDecks[index];
+      select.innerHTML = `<option value="">— Выберите трек —</option>${options}`;
+      select.value = deck && deck.track ? deck.track.id : '';
+    });
+  }
+
+  // From the card menu: opens the DJ mode if needed
+  loadDeckFromLibrary(index, trackId) {
+    if (!this.isDjModeOpen()) {
+      this.openDjMode();
+    }
+    if (this.isDjModeOpen()) {
+      this.loadDeck(index, trackId);
+    }
+  }
+
+  loadDeck(index, trackId) {
+    const deck = this.djDecks && this.djDecks[index];
+    const track = this.tracks[this.getTrackIndex(trackId)];
+    if (!deck || !track || !track.url) return;
+
+    deck.load(track);
+    this.queueAnalysis([track], { urgent: true });
+
+    const select = this.djDeckRoots[index].querySelector('.dj-track-select');
+    if (select) select.value = track.id;
+    this.updateDeckUI(index);
+  }
+
+  setDjMixer(changes) {
+    Object.assign(this.djSettings, changes);
+    localStorage.setItem('vinylPlayer.dj', JSON.stringify(this.djSettings));
+    this.applyDjMixer();
+  }
+
+  applyDjMixer() {
+    if (!this.djDecks) return;
+
+    const curve = CROSSFADER_CURVES[this.djSettings.curve] || CROSSFADER_CURVES.smooth;
+    const gains = curve(this.djSettings.crossfader);
+    this.djDecks.forEach((deck, index) => deck.setFaderGain(gains[index]));
+  }
+
+  // Match this deck's tempo to what the other deck is playing now
+  syncDeck(index) {
+    if (!this.djDecks) return;
+
+    const deck = this.djDecks[index];
+    const other = this.djDecks[1 - index];
+    if (!deck.track || !other.track) {
+      this.showToast('Загрузите треки на обе деки');
+      return;
+    }
+
+    const bpm = other.getCurrentBpm();
+    if (!bpm || !deck.track.bpm) {
+      this.showToast('BPM ещё не определён, попробуйте через несколько секунд');
+      this.queueAnalysis([deck.track, other.track], { urgent: true });
+      return;
+    }
+
+    const rate = deck.getSyncRate(bpm);
+    if (Math.abs(rate - 1) > DECK_TEMPO_RANGE) {
+      this.showToast(`До ${Math.round(bpm)} BPM не достать: темп деки меняется на ±${DECK_TEMPO_RANGE * 100}%`);
+      return;
+    }
+
+    deck.setPlaybackRate(rate);
+    const slider = this.djDeckRoots[index].querySelector('.dj-speed');
+    if (slider) slider.value = rate;
+    this.updateDeckUI(index);
+  }
+
+  updateDeckUI(index) {
+    const deck = this.djDecks && this.djDecks[index];
+    const root = this.djDeckRoots[index];
+    if (!deck || !root) return;
+
+    const setText = (selector, text) => {
+      const element = root.querySelector(selector);
+      if (element) element.textContent = text;
+    };
+
+    const track = deck.track;
+    setText('.dj-track-title', track ? `${track.artist} — ${track.title}` : 'Трек не загружен');
+    setText('.dj-tempo', track ? this.formatTempoKey(track, deck.getPlaybackShift()) : '');
+
+    const percent = (deck.playbackRate - 1) * 100;
+    setText('.dj-speed-value', `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`);
+    setText('.dj-pitch-value', deck.pitchValue > 0 ? `+${deck.pitchValue}` : String(deck.pitchValue));
+
+    const play = root.querySelector('.dj-play');
+    if (play) {
+      play.textContent = deck.isPlaying ? 'Пауза' : 'Play';
+      play.classList.toggle('active', deck.isPlaying);
+      play.disabled = !track;
+    }
+
+    root.querySelectorAll('.dj-kill').forEach((button) => {
+      const active = !!deck.kills[button.dataset.band];
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', active);
+    });
+
+    const keylock = root.querySelector('.dj-keylock');
+    if (keylock) keylock.checked = deck.keylock;
+  }
+
+  // Records, positions and scratch idle, once per animation frame
+  drawDecks(elapsed) {
+    if (!this.djDecks || !this.isDjModeOpen()) return;
+
+    this.djDecks.forEach((deck, index) => {
+      const root = this.djDeckRoots[index];
+      const canvas = root.querySelector('.dj-vinyl');
+      if (!canvas) return;
+
+      if (deck.isPlaying && !this.djDrags[index]) {
+        deck.rotation += (360 * elapsed * deck.audio.playbackRate) / this.secondsPerRevolution;
+      }
+      deck.updateScratchIdle();
+
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      this.paintRecord(ctx, {
+        centerX: canvas.width / 2,
+        centerY: canvas.height / 2,
+        radius: canvas.width / 2 - 6,
+        rotation: deck.rotation,
+        track: deck.track,
+        coverImage: deck.coverImage,
+        duration: deck.audio.duration
+      });
+
+      const time = root.querySelector('.dj-time');
+      const text = deck.track
+        ? `${this.formatTime(deck.audio.currentTime)} / ${this.formatTime(deck.audio.duration)}`
+        : '';
+      if (time && time.textContent !== text) time.textContent = text;
+    });
+  }
+
+  startDeckDrag(index, event) {
+    const deck = this.djDecks && this.djDecks[index];
+    if (!deck || !deck.track) return;
+
+    event.currentTarget.setPointerCapture(event.pointerId);
+    this.djDrags[index] = {
+      angle: this.getPointerAngle(event.currentTarget, event),
+      time: performance.now()
+    };
+    deck.grab();
+  }
+
+  moveDeckDrag(index, event) {
+    const drag = this.djDrags[index];
+    if (!drag) return;
+
+    const deck = this.djDecks[index];
+    const angle = this.getPointerAngle(event.currentTarget, event);
+    const delta = this.getAngleDelta(drag.angle, angle);
+    const now = performance.now();
+    const elapsed = Math.max((now - drag.time) / 1000, 0.001);
+
+    drag.angle = angle;
+    drag.time = now;
+    deck.rotation += delta * (180 / Math.PI);
+    deck.scratch((delta / (2 * Math.PI)) * this.secondsPerRevolution, elapsed);
+  }
+
+  endDeckDrag(index, event) {
+    if (!this.djDrags[index]) return;
+
+    this.djDrags[index] = null;
+    if (event.currentTarget.hasPointerCapture(event.pointerId)) {
+      event.currentTarget.releasePointerCapture(event.pointerId);
+    }
+    this.djDecks[index].release();
+  }
+
   // ==========================================
   // MINI PLAYER
   // ==========================================
@@ -981,14 +7353,63 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // ==========================================
-// SERVICE WORKER (Optional - for PWA)
+// SERVICE WORKER (Offline PWA)
 // ==========================================
 
-if ('serviceWorker' in navigator) {
+// A new version waits until the user agrees to reload, so playback is
+// never cut off by an update
+let updateRequested = false;
+
+function promptForUpdate(worker) {
+  const banner = document.getElementById('updateBanner');
+  if (!banner) return;
+
+  banner.classList.remove('hidden');
+
+  document.getElementById('updateReloadBtn').onclick = () => {
+    banner.classList.add('hidden');
+    updateRequested = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  };
+
+  document.getElementById('updateDismissBtn').onclick = () => {
+    banner.classList.add('hidden');
+  };
+}
+
+if ('serviceWorker' in navigator && location.protocol !== 'file:') {
   window.addEventListener('load', () => {
-    // Uncomment to enable PWA features
-    // navigator.serviceWorker.register('/sw.js')
-    //   .then(reg => console.log('Service Worker registered'))
-    //   .catch(err => console.log('Service Worker registration failed'));
+    navigator.serviceWorker.register('sw.js')
+      .then((registration) => {
+        // The first install has nothing to replace
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          promptForUpdate(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+          const worker = registration.installing;
+          worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+              promptForUpdate(worker);
+            }
+          });
+        });
+
+        // Look for a new version whenever the app comes back to the front
+        document.addEventListener('visibilitychange', () => {
+          if (document.visibilityState === 'visible') {
+            registration.update().catch(() => {});
+          }
+        });
+      })
+      .catch(err => console.log('Service Worker registration failed:', err));
+
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      // clients.claim() on the very first install must not reload
+      if (reloading || !updateRequested) return;
+      reloading = true;
+      window.location.reload();
+    });
   });
 }
@@ -0,0 +1,80 @@
+// ==========================================
+// SERVICE WORKER - OFFLINE APP SHELL
+// ==========================================
+
+// Bump the version whenever a precached file changes: the new worker then
+// installs alongside the old one and the page offers to reload.
+const CACHE_VERSION = 'vinyl-player-v12';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'styles.css',
+  'script.js',
+  'library-store.js',
+  'worker-client.js',
+  'tag-reader.js',
+  'tag-worker.js',
+  'audio-encoder.js',
+  'encoder-worker.js',
+  'lyrics.js',
+  'playlist-files.js',
+  'listening-history.js',
+  'loudness-meter.js',
+  'loudness-worker.js',
+  'music-analyzer.js',
+  'music-worker.js',
+  'effects-chain.js',
+  'dj-deck.js',
+  'scratch-engine.js',
+  'scratch-processor.js',
+  'pitch-shifter-processor.js',
+  'vendor/jsmediatags/jsmediatags.min.js',
+  'Vynil_vinil_92837841.png',
+  'manifest.webmanifest',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png',
+  'icons/apple-touch-icon.png'
+];
+
+self.addEventListener('install', (event) => {
+  // Bypass the HTTP cache so a new version never precaches stale files
+  event.waitUntil(
+    caches.open(CACHE_VERSION)
+      .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks the waiting worker to take over after the user agrees
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+// Cache first for the app shell; ?v= cache-busting queries are ignored.
+// Anything else (and blob: audio URLs, which never reach here) goes to the
+// network as usual.
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.open(CACHE_VERSION).then((cache) => {
+      const lookup = request.mode === 'navigate'
+        ? cache.match('index.html')
+        : cache.match(request, { ignoreSearch: true });
+
+      return lookup.then(cached => cached || fetch(request));
+    })
+  );
+});
@@ -0,0 +1,22 @@
+// ==========================================
+// TAG READER - METADATA WORKER CLIENT
+// ==========================================
+
+// Main-thread side of tag-worker.js. read resolves with the parsed tags, or
+// null for formats the parser does not know; write resolves with a tagged
+// copy of the file as a Blob.
+class TagReader extends WorkerClient {
+  constructor(url = 'tag-worker.js') {
+    super(url);
+  }
+
+  read(file) {
+    return this.request({ type: 'read', file }).then(message => message.tags || null);
+  }
+
+  // tags: { title, artist, album, trackNumber, year, genre, picture }
+  write(file, tags) {
+    const transfer = tags.picture ? [tags.picture.data.buffer] : [];
+    return this.request({ type: 'write', file, tags }, transfer).then(message => message.blob);
+  }
+}
@@ -0,0 +1,1523 @@
+// ==========================================
+// TAG WORKER - METADATA PARSER
+// ==========================================
+
+// Reads tags and stream info from MP3 (ID3v1, ID3v2.2-2.4), FLAC, MP4/M4A,
+// Ogg Vorbis/Opus and WAV files off the main thread. Only the parts of the file
+// that are needed are read, so large files stay cheap.
+//
+// Request:  { id, type: 'read', file }
+// Response: { id, tags } or { id, error }
+//
+// It also writes edited tags into a copy of an MP3, FLAC or WAV file:
+// Request:  { id, type: 'write', file, tags }
+// Response: { id, blob } or { id, error }
+
+const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+  'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+  'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'Alternative Rock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+  'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40',
+  'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave',
+  'Psychedelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk',
+  'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock', 'Folk',
+  'Folk-Rock', 'National Folk', 'Swing', 'Fast Fusion', 'Bebop', 'Latin', 'Revival',
+  'Celtic', 'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock',
+  'Psychedelic Rock', 'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus',
+  'Easy Listening', 'Acoustic', 'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music',
+  'Sonata', 'Symphony', 'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam',
+  'Club', 'Tango', 'Samba', 'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul',
+  'Freestyle', 'Duet', 'Punk Rock', 'Drum Solo', 'A Cappella', 'Euro-House', 'Dance Hall'
+];
+
+// ==========================================
+// BYTE HELPERS
+// ==========================================
+
+const latin1Decoder = new TextDecoder('latin1');
+const utf8Decoder = new TextDecoder('utf-8');
+const utf16leDecoder = new TextDecoder('utf-16le');
+const utf16beDecoder = new TextDecoder('utf-16be');
+
+function ascii(bytes, offset, length) {
+  return latin1Decoder.decode(bytes.subarray(offset, offset + length));
+}
+
+function uint32BE(bytes, offset) {
+  return ((bytes[offset] << 24) >>> 0) + (bytes[offset + 1] << 16) + (bytes[offset + 2] << 8) + bytes[offset + 3];
+}
+
+function uint32LE(bytes, offset) {
+  return ((bytes[offset + 3] << 24) >>> 0) + (bytes[offset + 2] << 16) + (bytes[offset + 1] << 8) + bytes[offset];
+}
+
+function uint24BE(bytes, offset) {
+  return (bytes[offset] << 16) + (bytes[offset + 1] << 8) + bytes[offset + 2];
+}
+
+function uint16BE(bytes, offset) {
+  return (bytes[offset] << 8) + bytes[offset + 1];
+}
+
+function uint16LE(bytes, offset) {
+  return bytes[offset] + (bytes[offset + 1] << 8);
+}
+
+function uint64BE(bytes, offset) {
+  return uint32BE(bytes, offset) * 0x100000000 + uint32BE(bytes, offset + 4);
+}
+
+function uint64LE(bytes, offset) {
+  return uint32LE(bytes, offset + 4) * 0x100000000 + uint32LE(bytes, offset);
+}
+
+function syncsafe(bytes, offset) {
+  return ((bytes[offset] & 0x7f) << 21) | ((bytes[offset + 1] & 0x7f) << 14) |
+    ((bytes[offset + 2] & 0x7f) << 7) | (bytes[offset + 3] & 0x7f);
+}
+
+function indexOfBytes(bytes, pattern, from = 0) {
+  outer:
+  for (let i = from; i <= bytes.length - pattern.length; i++) {
+    for (let j = 0; j < pattern.length; j++) {
+      if (bytes[i + j] !== pattern[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
+
+// Blob reader that loads byte ranges on demand
+class RangeReader {
+  constructor(file) {
+    this.file = file;
+    this.size = file.size;
+  }
+
+  async read(start, end) {
+    const from = Math.max(0, start);
+    const to = Math.min(this.size, end);
+    if (to <= from) return new Uint8Array(0);
+    return new Uint8Array(await this.file.slice(from, to).arrayBuffer());
+  }
+}
+
+// "3", "3/12" -> { number: 3, total: 12 }
+function parsePosition(value) {
+  const match = /^\s*(\d+)(?:\s*\/\s*(\d+))?/.exec(value || '');
+  if (!match) return { number: null, total: null };
+  return {
+    number: parseInt(match[1], 10) || null,
+    total: match[2] ? parseInt(match[2], 10) || null : null
+  };
+}
+
+function parseYear(value) {
+  const match = /(\d{4})/.exec(value || '');
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// ID3 genres may be "(17)", "17", "(17)Rock" or plain text
+function parseGenre(value) {
+  if (!value) return null;
+  const match = /^\s*\((\d+)\)\s*(.*)$/.exec(value) || /^\s*(\d+)\s*$/.exec(value);
+  if (match) {
+    return (match[2] && match[2].trim()) || ID3_GENRES[parseInt(match[1], 10)] || null;
+  }
+  return value.trim() || null;
+}
+
+// ReplayGain from tag values looked up by upper-case key. Opus R128 gains
+// are Q7.8 numbers relative to -23 LUFS; ReplayGain is relative to -18.
+function readReplayGain(get) {
+  const decibels = (key) => {
+    const value = parseFloat(get(key));
+    return isFinite(value) ? value : null;
+  };
+  const r128 = (key) => {
+    const value = parseInt(get(key), 10);
+    return isFinite(value) ? value / 256 + 5 : null;
+  };
+
+  const result = {
+    trackGain: decibels('REPLAYGAIN_TRACK_GAIN') ?? r128('R128_TRACK_GAIN'),
+    trackPeak: decibels('REPLAYGAIN_TRACK_PEAK'),
+    albumGain: decibels('REPLAYGAIN_ALBUM_GAIN') ?? r128('R128_ALBUM_GAIN'),
+    albumPeak: decibels('REPLAYGAIN_ALBUM_PEAK')
+  };
+
+  return result.trackGain !== null || result.albumGain !== null ? result : null;
+}
+
+function pictureMime(format) {
+  const value = (format || '').toLowerCase();
+  if (value === 'png' || value === 'image/png') return 'image/png';
+  if (value === 'jpg' || value === 'jpeg' || value.includes('jpeg') || value.includes('jpg')) return 'image/jpeg';
+  return value.includes('/') ? value : 'image/jpeg';
+}
+
+// ==========================================
+// ID3v2
+// ==========================================
+
+function decodeId3Text(bytes, encoding) {
+  let text;
+  if (encoding === 0) {
+    text = latin1Decoder.decode(bytes);
+  } else if (encoding === 1) {
+    // UTF-16 with BOM; a missing BOM is treated as little endian
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      text = utf16beDecoder.decode(bytes.subarray(2));
+    } else if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      text = utf16leDecoder.decode(bytes.subarray(2));
+    } else {
+      text = utf16leDecoder.decode(bytes);
+    }
+  } else if (encoding === 2) {
+    text = utf16beDecoder.decode(bytes);
+  } else {
+    text = utf8Decoder.decode(bytes);
+  }
+  return text;
+}
+
+// Offset just past a null terminator for the given encoding
+function findTerminator(bytes, offset, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = offset; i + 1 < bytes.length; i += 2) {
+      if (bytes[i] === 0 && bytes[i + 1] === 0) return { end: i, next: i + 2 };
+    }
+  } else {
+    for (let i = offset; i < bytes.length; i++) {
+      if (bytes[i] === 0) return { end: i, next: i + 1 };
+    }
+  }
+  return { end: bytes.length, next: bytes.length };
+}
+
+function readId3TextFrame(data) {
+  const encoding = data[0];
+  // v2.4 allows several null-separated values; keep them joined
+  const values = decodeId3Text(data.subarray(1), encoding)
+    .split('\u0000')
+    .map(value => value.trim())
+    .filter(Boolean);
+  return values.join('; ');
+}
+
+function removeUnsync(bytes) {
+  const result = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    result[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+  }
+  return result.subarray(0, length);
+}
+
+function readId3Picture(data, version) {
+  const encoding = data[0];
+  let offset = 1;
+  let format;
+
+  if (version === 2) {
+    format = ascii(data, 1, 3);
+    offset = 4;
+  } else {
+    const mime = findTerminator(data, 1, 0);
+    format = ascii(data, 1, mime.end - 1);
+    offset = mime.next;
+  }
+
+  const type = data[offset];
+  const description = findTerminator(data, offset + 1, encoding);
+
+  return {
+    type,
+    format: pictureMime(format),
+    data: data.slice(description.next)
+  };
+}
+
+// Comments and unsynchronised lyrics share a layout:
+// encoding, language, description, text
+function readId3LangText(data) {
+  const encoding = data[0];
+  const language = ascii(data, 1, 3);
+  const description = findTerminator(data, 4, encoding);
+  return {
+    language,
+    description: decodeId3Text(data.subarray(4, description.end), encoding),
+    text: decodeId3Text(data.subarray(description.next), encoding).replace(/\u0000+$/, '')
+  };
+}
+
+// Synchronised lyrics: encoding, language, timestamp format, content type,
+// description, then text + 32-bit timestamp pairs. Only millisecond
+// timestamps are read; MPEG frame numbers would need the frame rate.
+function readId3SyncedLyrics(data) {
+  const encoding = data[0];
+  if (data[4] !== 2) return null;
+
+  const description = findTerminator(data, 6, encoding);
+  const entries = [];
+  let offset = description.next;
+
+  while (offset < data.length) {
+    const text = findTerminator(data, offset, encoding);
+    if (text.next + 4 > data.length) break;
+    entries.push({
+      time: uint32BE(data, text.next) / 1000,
+      text: decodeId3Text(data.subarray(offset, text.end), encoding)
+    });
+    offset = text.next + 4;
+  }
+
+  return entries.length > 0 ? entries : null;
+}
+
+// User-defined text: encoding, description, value
+function readId3UserText(data) {
+  const encoding = data[0];
+  const description = findTerminator(data, 1, encoding);
+  return {
+    description: decodeId3Text(data.subarray(1, description.end), encoding),
+    value: decodeId3Text(data.subarray(description.next), encoding).replace(/\u0000+$/, '')
+  };
+}
+
+const ID3_FRAME_NAMES = {
+  TT2: 'TIT2', TP1: 'TPE1', TP2: 'TPE2', TAL: 'TALB', TRK: 'TRCK', TPA: 'TPOS',
+  TYE: 'TYER', TCO: 'TCON', TCM: 'TCOM', TLE: 'TLEN', PIC: 'APIC', ULT: 'USLT', SLT: 'SYLT', TXX: 'TXXX'
+};
+
+// Raw frames of an ID3v2 tag as { id, data }, with the per-frame encoding
+// (unsynchronisation, data length indicator) already undone
+function readId3v2Frames(bytes) {
+  const version = bytes[3];
+  const flags = bytes[5];
+  const size = syncsafe(bytes, 6);
+  let body = bytes.subarray(10, 10 + size);
+
+  // v2.2 and v2.3 unsynchronise the whole tag
+  if ((flags & 0x80) && version < 4) {
+    body = removeUnsync(body);
+  }
+
+  let offset = 0;
+  if ((flags & 0x40) && version >= 3) {
+    const extended = version === 4 ? syncsafe(body, 0) : uint32BE(body, 0) + 4;
+    offset = extended;
+  }
+
+  const frames = [];
+  const headerSize = version === 2 ? 6 : 10;
+
+  while (offset + headerSize <= body.length) {
+    if (body[offset] === 0) break; // padding
+
+    let id;
+    let frameSize;
+    let frameFlags = 0;
+
+    if (version === 2) {
+      id = ascii(body, offset, 3);
+      frameSize = uint24BE(body, offset + 3);
+    } else {
+      id = ascii(body, offset, 4);
+      frameSize = version === 4 ? syncsafe(body, offset + 4) : uint32BE(body, offset + 4);
+      frameFlags = uint16BE(body, offset + 8);
+    }
+
+    offset += headerSize;
+    if (frameSize <= 0 || offset + frameSize > body.length) break;
+
+    let data = body.subarray(offset, offset + frameSize);
+    offset += frameSize;
+
+    if (version === 4) {
+      // Compressed or encrypted frames cannot be read, only kept as they are
+      if (frameFlags & 0x000c) {
+        frames.push({ id, data, flags: frameFlags, opaque: true });
+        continue;
+      }
+      if (frameFlags & 0x0040) data = data.subarray(1); // grouping identity
+      if (frameFlags & 0x0001) data = data.subarray(4);
+      if (frameFlags & 0x0002) data = removeUnsync(data);
+    } else if (version === 3) {
+      if (frameFlags & 0x00c0) {
+        frames.push({ id, ...id3v23OpaqueFrame(data, frameFlags), opaque: true });
+        continue;
+      }
+      if (frameFlags & 0x0020) data = data.subarray(1); // grouping identity
+    }
+
+    frames.push({ id, data });
+  }
+
+  return { version, frames };
+}
+
+// A compressed or encrypted v2.3 frame as a v2.4 one: the flag bits move,
+// and the extra bytes go in v2.4 order (group, encryption method, then the
+// decompressed size as a syncsafe data length indicator)
+function id3v23OpaqueFrame(data, flags) {
+  const compressed = !!(flags & 0x0080);
+  const encrypted = !!(flags & 0x0040);
+  const grouped = !!(flags & 0x0020);
+
+  let offset = 0;
+  const size = compressed ? uint32BE(data, 0) : 0;
+  if (compressed) offset += 4;
+  const method = encrypted ? data[offset++] : 0;
+  const group = grouped ? data[offset++] : 0;
+
+  const extra = [];
+  if (grouped) extra.push(new Uint8Array([group]));
+  if (encrypted) extra.push(new Uint8Array([method]));
+  if (compressed) extra.push(syncsafeBytes(size));
+
+  return {
+    data: concatBytes([...extra, data.subarray(offset)]),
+    flags: ((flags & 0xe000) >> 1) |
+      (grouped ? 0x0040 : 0) |
+      (compressed ? 0x0009 : 0) |
+      (encrypted ? 0x0004 : 0)
+  };
+}
+
+function parseId3v2(bytes) {
+  const { version, frames: allFrames } = readId3v2Frames(bytes);
+  const rawFrames = allFrames.filter(frame => !frame.opaque);
+  const frames = {};
+  const userText = {};
+  const pictures = [];
+  const lyrics = [];
+  let syncedLyrics = null;
+
+  rawFrames.forEach(({ id, data }) => {
+    const name = ID3_FRAME_NAMES[id] || id;
+
+    if (name === 'APIC') {
+      pictures.push(readId3Picture(data, version));
+    } else if (name === 'TXXX') {
+      const { description, value } = readId3UserText(data);
+      userText[description.toUpperCase()] = value;
+    } else if (name === 'USLT') {
+      lyrics.push(readId3LangText(data));
+    } else if (name === 'SYLT' && !syncedLyrics) {
+      syncedLyrics = readId3SyncedLyrics(data);
+    } else if (name[0] === 'T' && name !== 'TXXX' && !(name in frames)) {
+      frames[name] = readId3TextFrame(data);
+    }
+  });
+
+  const track = parsePosition(frames.TRCK);
+  const disc = parsePosition(frames.TPOS);
+  const cover = pictures.find(picture => picture.type === 3) || pictures[0];
+  const duration = parseInt(frames.TLEN, 10);
+
+  return {
+    version: `ID3v2.${version}`,
+    title: frames.TIT2 || null,
+    artist: frames.TPE1 || null,
+    albumArtist: frames.TPE2 || null,
+    album: frames.TALB || null,
+    trackNumber: track.number,
+    trackTotal: track.total,
+    discNumber: disc.number,
+    discTotal: disc.total,
+    year: parseYear(frames.TDRC || frames.TYER || frames.TDOR),
+    genre: parseGenre(frames.TCON),
+    composer: frames.TCOM || null,
+    duration: duration > 0 ? duration / 1000 : null,
+    replayGain: readReplayGain(key => userText[key]),
+    lyrics: lyrics.length > 0 ? lyrics[0].text : null,
+    syncedLyrics,
+    picture: cover ? { format: cover.format, data: cover.data } : null
+  };
+}
+
+function parseId3v1(bytes) {
+  if (bytes.length < 128 || ascii(bytes, 0, 3) !== 'TAG') return null;
+
+  const text = (offset, length) => {
+    const field = bytes.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return latin1Decoder.decode(end >= 0 ? field.subarray(0, end) : field).trim() || null;
+  };
+
+  // ID3v1.1 keeps the track number in the last comment byte
+  const trackNumber = bytes[125] === 0 && bytes[126] !== 0 ? bytes[126] : null;
+
+  return {
+    title: text(3, 30),
+    artist: text(33, 30),
+    album: text(63, 30),
+    year: parseYear(text(93, 4)),
+    trackNumber,
+    genre: ID3_GENRES[bytes[127]] || null
+  };
+}
+
+// Total size of an ID3v2 tag starting at `offset`, including any footer
+function id3v2Size(bytes, offset = 0) {
+  if (bytes.length < offset + 10 || ascii(bytes, offset, 3) !== 'ID3') return 0;
+  const footer = bytes[offset + 5] & 0x10 ? 10 : 0;
+  return 10 + syncsafe(bytes, offset + 6) + footer;
+}
+
+// ==========================================
+// MPEG AUDIO (MP3) STREAM INFO
+// ==========================================
+
+const MPEG_BITRATES = {
+  // [version 1][layer] and [version 2/2.5][layer], kbps
+  V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+function parseMpegHeader(bytes, offset) {
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (bytes[offset + 1] >> 3) & 0x03; // 0: 2.5, 2: 2, 3: 1
+  const layerBits = (bytes[offset + 1] >> 1) & 0x03; // 1: III, 2: II, 3: I
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  const channelMode = bytes[offset + 3] >> 6;
+
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const layer = 4 - layerBits;
+  const isV1 = versionBits === 3;
+  const table = isV1 ? `V1L${layer}` : (layer === 1 ? 'V2L1' : 'V2L2');
+  const bitrate = MPEG_BITRATES[table][bitrateIndex];
+  const sampleRate = [44100, 48000, 32000][sampleRateIndex] / (isV1 ? 1 : versionBits === 2 ? 2 : 4);
+  const samplesPerFrame = layer === 1 ? 384 : (layer === 3 && !isV1 ? 576 : 1152);
+  const frameLength = layer === 1
+    ? (Math.floor((12 * bitrate * 1000) / sampleRate) + padding) * 4
+    : Math.floor((samplesPerFrame / 8 * bitrate * 1000) / sampleRate) + padding;
+
+  return {
+    isV1,
+    layer,
+    bitrate,
+    sampleRate,
+    samplesPerFrame,
+    frameLength,
+    channels: channelMode === 3 ? 1 : 2
+  };
+}
+
+async function readMpegInfo(reader, audioStart, audioEnd) {
+  const bytes = await reader.read(audioStart, audioStart + 65536);
+
+  // First header that is followed by another valid header
+  let offset = -1;
+  let header = null;
+  for (let i = 0; i + 4 <= bytes.length; i++) {
+    const candidate = parseMpegHeader(bytes, i);
+    if (!candidate) continue;
+
+    const next = i + candidate.frameLength;
+    if (next + 4 > bytes.length || parseMpegHeader(bytes, next)) {
+      offset = i;
+      header = candidate;
+      break;
+    }
+  }
+  if (!header) return null;
+
+  const info = {
+    sampleRate: header.sampleRate,
+    channels: header.channels,
+    bitrate: header.bitrate,
+    duration: null
+  };
+
+  const audioBytes = audioEnd - (audioStart + offset);
+
+  // Xing/Info (VBR or LAME CBR) or VBRI headers carry the frame count
+  const sideInfo = header.isV1 ? (header.channels === 1 ? 17 : 32) : (header.channels === 1 ? 9 : 17);
+  const xing = offset + 4 + sideInfo;
+  const tag = ascii(bytes, xing, 4);
+  let frames = 0;
+
+  if ((tag === 'Xing' || tag === 'Info') && (bytes[xing + 7] & 0x01)) {
+    frames = uint32BE(bytes, xing + 8);
+  } else if (ascii(bytes, offset + 36, 4) === 'VBRI') {
+    frames = uint32BE(bytes, offset + 36 + 14);
+  }
+
+  if (frames > 0) {
+    info.duration = (frames * header.samplesPerFrame) / header.sampleRate;
+    info.bitrate = Math.round((audioBytes * 8) / info.duration / 1000);
+  } else {
+    info.duration = (audioBytes * 8) / (header.bitrate * 1000);
+  }
+
+  return info;
+}
+
+async function parseMp3(reader, head) {
+  const tagSize = id3v2Size(head);
+  let tags = {};
+
+  if (tagSize > 0) {
+    const bytes = tagSize <= head.length ? head : await reader.read(0, tagSize);
+    tags = parseId3v2(bytes);
+  }
+
+  // ID3v1 fills whatever ID3v2 left empty
+  const tail = await reader.read(reader.size - 128, reader.size);
+  const v1 = parseId3v1(tail);
+  if (v1) {
+    Object.keys(v1).forEach((key) => {
+      if (tags[key] == null) tags[key] = v1[key];
+    });
+  }
+
+  const info = await readMpegInfo(reader, tagSize, reader.size - (v1 ? 128 : 0));
+  if (info) {
+    tags.sampleRate = info.sampleRate;
+    tags.channels = info.channels;
+    tags.bitrate = info.bitrate;
+    tags.duration = info.duration || tags.duration || null;
+  }
+
+  tags.format = 'MP3';
+  return tags;
+}
+
+// ==========================================
+// VORBIS COMMENTS (FLAC, OGG VORBIS, OPUS)
+// ==========================================
+
+function parseFlacPicture(bytes) {
+  let offset = 0;
+  const type = uint32BE(bytes, offset); offset += 4;
+  const mimeLength = uint32BE(bytes, offset); offset += 4;
+  const mime = ascii(bytes, offset, mimeLength); offset += mimeLength;
+  const descriptionLength = uint32BE(bytes, offset); offset += 4 + descriptionLength;
+  offset += 16; // width, height, depth, colors
+  const dataLength = uint32BE(bytes, offset); offset += 4;
+
+  return {
+    type,
+    format: pictureMime(mime),
+    data: bytes.slice(offset, offset + dataLength)
+  };
+}
+
+function base64ToBytes(text) {
+  const binary = atob(text.replace(/\s+/g, ''));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Little-endian comment structure: vendor string, then "KEY=value" entries
+function readVorbisEntries(bytes, offset = 0) {
+  const vendorLength = uint32LE(bytes, offset);
+  const vendor = utf8Decoder.decode(bytes.subarray(offset + 4, offset + 4 + vendorLength));
+  offset += 4 + vendorLength;
+  const count = uint32LE(bytes, offset);
+  offset += 4;
+
+  const entries = [];
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const length = uint32LE(bytes, offset);
+    offset += 4;
+    entries.push(utf8Decoder.decode(bytes.subarray(offset, offset + length)));
+    offset += length;
+  }
+
+  return { vendor, entries };
+}
+
+function parseVorbisComments(bytes, offset = 0) {
+  const comments = {};
+  const pictures = [];
+
+  readVorbisEntries(bytes, offset).entries.forEach((entry) => {
+    const separator = entry.indexOf('=');
+    if (separator <= 0) return;
+
+    const key = entry.slice(0, separator).toUpperCase();
+    const value = entry.slice(separator + 1);
+
+    if (key === 'METADATA_BLOCK_PICTURE') {
+      try {
+        pictures.push(parseFlacPicture(base64ToBytes(value)));
+      } catch (error) {
+        // Broken picture: ignore it, keep the other tags
+      }
+    } else if (!(key in comments)) {
+      comments[key] = value;
+    }
+  });
+
+  return { comments, pictures };
+}
+
+function vorbisCommentsToTags({ comments, pictures }) {
+  const track = parsePosition(comments.TRACKNUMBER);
+  const disc = parsePosition(comments.DISCNUMBER);
+  const cover = pictures.find(picture => picture.type === 3) || pictures[0];
+
+  return {
+    title: comments.TITLE || null,
+    artist: comments.ARTIST || null,
+    albumArtist: comments.ALBUMARTIST || comments['ALBUM ARTIST'] || null,
+    album: comments.ALBUM || null,
+    trackNumber: track.number,
+    trackTotal: track.total || parseInt(comments.TRACKTOTAL || comments.TOTALTRACKS, 10) || null,
+    discNumber: disc.number,
+    discTotal: disc.total || parseInt(comments.DISCTOTAL || comments.TOTALDISCS, 10) || null,
+    year: parseYear(comments.DATE || comments.YEAR || comments.ORIGINALDATE),
+    genre: parseGenre(comments.GENRE),
+    composer: comments.COMPOSER || null,
+    replayGain: readReplayGain(key => comments[key]),
+    lyrics: comments.LYRICS || comments.UNSYNCEDLYRICS || null,
+    picture: cover ? { format: cover.format, data: cover.data } : null
+  };
+}
+
+// ==========================================
+// FLAC
+// ==========================================
+
+async function parseFlac(reader, start) {
+  const tags = { format: 'FLAC' };
+  let offset = start + 4;
+  let last = false;
+  let comments = null;
+  const pictures = [];
+
+  while (!last && offset + 4 <= reader.size) {
+    const header = await reader.read(offset, offset + 4);
+    last = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7f;
+    const length = uint24BE(header, 1);
+    offset += 4;
+
+    if (type === 0) {
+      const info = await reader.read(offset, offset + length);
+      tags.sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+      tags.channels = ((info[12] >> 1) & 0x07) + 1;
+      tags.bitsPerSample = (((info[12] & 0x01) << 4) | (info[13] >> 4)) + 1;
+      const totalSamples = (info[13] & 0x0f) * 0x100000000 + uint32BE(info, 14);
+      tags.duration = totalSamples > 0 && tags.sampleRate > 0 ? totalSamples / tags.sampleRate : null;
+    } else if (type === 4) {
+      comments = parseVorbisComments(await reader.read(offset, offset + length));
+    } else if (type === 6) {
+      pictures.push(parseFlacPicture(await reader.read(offset, offset + length)));
+    }
+
+    offset += length;
+  }
+
+  if (comments) {
+    comments.pictures = comments.pictures.concat(pictures);
+    Object.assign(tags, vorbisCommentsToTags(comments));
+  } else if (pictures.length > 0) {
+    const cover = pictures.find(picture => picture.type === 3) || pictures[0];
+    tags.picture = { format: cover.format, data: cover.data };
+  }
+
+  if (tags.duration) {
+    tags.bitrate = Math.round(((reader.size - offset) * 8) / tags.duration / 1000);
+  }
+
+  return tags;
+}
+
+// ==========================================
+// OGG (VORBIS & OPUS)
+// ==========================================
+
+// Reassembles the first packets of the first logical stream
+async function readOggPackets(reader, count) {
+  const packets = [];
+  let current = [];
+  let offset = 0;
+  let serial = null;
+
+  while (packets.length < count && offset + 27 <= reader.size) {
+    const header = await reader.read(offset, offset + 27);
+    if (ascii(header, 0, 4) !== 'OggS') break;
+
+    const pageSerial = uint32LE(header, 14);
+    const segments = header[26];
+    const lacing = await reader.read(offset + 27, offset + 27 + segments);
+    const bodySize = lacing.reduce((sum, value) => sum + value, 0);
+    const bodyStart = offset + 27 + segments;
+    offset = bodyStart + bodySize;
+
+    if (serial === null) serial = pageSerial;
+    if (pageSerial !== serial) continue;
+
+    const body = await reader.read(bodyStart, bodyStart + bodySize);
+    let position = 0;
+
+    for (let i = 0; i < segments && packets.length < count; i++) {
+      current.push(body.subarray(position, position + lacing[i]));
+      position += lacing[i];
+
+      // A segment shorter than 255 ends the packet
+      if (lacing[i] < 255) {
+        const length = current.reduce((sum, part) => sum + part.length, 0);
+        const packet = new Uint8Array(length);
+        let at = 0;
+        current.forEach((part) => {
+          packet.set(part, at);
+          at += part.length;
+        });
+        packets.push(packet);
+        current = [];
+      }
+    }
+  }
+
+  return { packets, serial };
+}
+
+// Granule position of the last page of the stream
+async function readLastGranule(reader, serial) {
+  const pattern = [0x4f, 0x67, 0x67, 0x53];
+
+  for (let size = 65536; size <= 1048576; size *= 4) {
+    const start = Math.max(0, reader.size - size);
+    const bytes = await reader.read(start, reader.size);
+    let granule = null;
+
+    let offset = indexOfBytes(bytes, pattern);
+    while (offset >= 0 && offset + 27 <= bytes.length) {
+      if (uint32LE(bytes, offset + 14) === serial) {
+        const value = uint64LE(bytes, offset + 6);
+        if (value > 0 && value < Number.MAX_SAFE_INTEGER) granule = value;
+      }
+      offset = indexOfBytes(bytes, pattern, offset + 4);
+    }
+
+    if (granule !== null || start === 0) return granule;
+  }
+
+  return null;
+}
+
+async function parseOgg(reader) {
+  const { packets, serial } = await readOggPackets(reader, 2);
+  if (packets.length < 2) return { format: 'Ogg' };
+
+  const id = packets[0];
+  const comment = packets[1];
+  let tags;
+  let granuleRate;
+  let preSkip = 0;
+
+  if (ascii(id, 0, 8) === 'OpusHead') {
+    tags = { format: 'Opus', channels: id[9] };
+    preSkip = id[10] | (id[11] << 8);
+    // Opus always decodes at 48 kHz; the input rate is informational
+    granuleRate = 48000;
+    tags.sampleRate = 48000;
+    if (ascii(comment, 0, 8) === 'OpusTags') {
+      Object.assign(tags, vorbisCommentsToTags(parseVorbisComments(comment, 8)));
+    }
+  } else if (id[0] === 1 && ascii(id, 1, 6) === 'vorbis') {
+    tags = { format: 'Vorbis', channels: id[11] };
+    tags.sampleRate = uint32LE(id, 12);
+    granuleRate = tags.sampleRate;
+    const nominal = uint32LE(id, 20);
+    if (nominal > 0 && nominal < 0x80000000) tags.bitrate = Math.round(nominal / 1000);
+    if (comment[0] === 3 && ascii(comment, 1, 6) === 'vorbis') {
+      Object.assign(tags, vorbisCommentsToTags(parseVorbisComments(comment, 7)));
+    }
+  } else {
+    return { format: 'Ogg' };
+  }
+
+  const granule = await readLastGranule(reader, serial);
+  if (granule && granuleRate) {
+    tags.duration = Math.max(0, granule - preSkip) / granuleRate;
+    if (!tags.bitrate && tags.duration > 0) {
+      tags.bitrate = Math.round((reader.size * 8) / tags.duration / 1000);
+    }
+  }
+
+  return tags;
+}
+
+// ==========================================
+// MP4 / M4A
+// ==========================================
+
+// Child atoms of a container: [{ type, start, end, dataStart }]
+function listAtoms(bytes, start, end) {
+  const atoms = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = uint32BE(bytes, offset);
+    const type = ascii(bytes, offset + 4, 4);
+    let header = 8;
+
+    if (size === 1) {
+      size = uint64BE(bytes, offset + 8);
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header || offset + size > end) break;
+
+    atoms.push({ type, start: offset, end: offset + size, dataStart: offset + header });
+    offset += size;
+  }
+
+  return atoms;
+}
+
+function findAtom(bytes, atoms, path) {
+  let current = atoms;
+  let atom = null;
+
+  for (const type of path) {
+    atom = current.find(item => item.type === type);
+    if (!atom) return null;
+
+    let childStart = atom.dataStart;
+    // meta is a full box in MP4 but not always in QuickTime files
+    if (type === 'meta' && ascii(bytes, childStart + 4, 4) !== 'hdlr') childStart += 4;
+    current = listAtoms(bytes, childStart, atom.end);
+  }
+
+  return atom && { atom, children: current };
+}
+
+function readIlstData(bytes, item) {
+  const data = listAtoms(bytes, item.dataStart, item.end).find(atom => atom.type === 'data');
+  if (!data) return null;
+
+  return {
+    type: uint32BE(bytes, data.dataStart) & 0xffffff,
+    value: bytes.subarray(data.dataStart + 8, data.end)
+  };
+}
+
+// "----" items carry a mean/name pair, e.g. com.apple.iTunes/replaygain_track_gain
+function readIlstFreeform(bytes, item) {
+  const children = listAtoms(bytes, item.dataStart, item.end);
+  const name = children.find(atom => atom.type === 'name');
+  const data = readIlstData(bytes, item);
+  if (!name || !data) return null;
+
+  return {
+    name: utf8Decoder.decode(bytes.subarray(name.dataStart + 4, name.end)),
+    value: utf8Decoder.decode(data.value)
+  };
+}
+
+function parseIlst(bytes, items) {
+  const tags = {};
+  const freeform = {};
+  const text = item => {
+    const data = readIlstData(bytes, item);
+    return data ? utf8Decoder.decode(data.value) : null;
+  };
+  const pair = item => {
+    const data = readIlstData(bytes, item);
+    if (!data || data.value.length < 6) return { number: null, total: null };
+    return {
+      number: uint16BE(data.value, 2) || null,
+      total: uint16BE(data.value, 4) || null
+    };
+  };
+
+  items.forEach((item) => {
+    switch (item.type) {
+      case '©nam': tags.title = text(item); break;
+      case '©ART': tags.artist = text(item); break;
+      case 'aART': tags.albumArtist = text(item); break;
+      case '©alb': tags.album = text(item); break;
+      case '©day': tags.year = parseYear(text(item)); break;
+      case '©gen': tags.genre = parseGenre(text(item)); break;
+      case '©wrt': tags.composer = text(item); break;
+      case '©lyr': tags.lyrics = text(item); break;
+      case 'gnre': {
+        const data = readIlstData(bytes, item);
+        if (data && data.value.length >= 2 && !tags.genre) {
+          tags.genre = ID3_GENRES[uint16BE(data.value, 0) - 1] || null;
+        }
+        break;
+      }
+      case 'trkn': {
+        const value = pair(item);
+        tags.trackNumber = value.number;
+        tags.trackTotal = value.total;
+        break;
+      }
+      case 'disk': {
+        const value = pair(item);
+        tags.discNumber = value.number;
+        tags.discTotal = value.total;
+        break;
+      }
+      case '----': {
+        const entry = readIlstFreeform(bytes, item);
+        if (entry) freeform[entry.name.toUpperCase()] = entry.value;
+        break;
+      }
+      case 'covr': {
+        const data = readIlstData(bytes, item);
+        if (data && !tags.picture) {
+          tags.picture = {
+            format: data.type === 14 ? 'image/png' : 'image/jpeg',
+            data: data.value.slice()
+          };
+        }
+        break;
+      }
+    }
+  });
+
+  tags.replayGain = readReplayGain(key => freeform[key]);
+  return tags;
+}
+
+async function parseMp4(reader) {
+  // Walk top-level atoms by their headers; mdat can be huge and is skipped
+  let offset = 0;
+  let moov = null;
+  let mdatSize = 0;
+
+  while (offset + 8 <= reader.size) {
+    const header = await reader.read(offset, offset + 16);
+    let size = uint32BE(header, 0);
+    const type = ascii(header, 4, 4);
+    if (size === 1) size = uint64BE(header, 8);
+    else if (size === 0) size = reader.size - offset;
+    if (size < 8) break;
+
+    if (type === 'moov') moov = { start: offset, end: offset + size };
+    if (type === 'mdat') mdatSize += size;
+    offset += size;
+  }
+
+  const tags = { format: 'MP4' };
+  if (!moov) return tags;
+
+  const bytes = await reader.read(moov.start, moov.end);
+  const top = listAtoms(bytes, 0, bytes.length);
+
+  const mvhd = findAtom(bytes, top, ['moov', 'mvhd']);
+  if (mvhd) {
+    const at = mvhd.atom.dataStart;
+    const version = bytes[at];
+    const timescale = version === 1 ? uint32BE(bytes, at + 20) : uint32BE(bytes, at + 12);
+    const duration = version === 1 ? uint64BE(bytes, at + 24) : uint32BE(bytes, at + 16);
+    if (timescale > 0) tags.duration = duration / timescale;
+  }
+
+  // The first sound track describes the stream
+  const moovChildren = listAtoms(bytes, top[0].dataStart, top[0].end);
+  moovChildren.filter(atom => atom.type === 'trak').some((trak) => {
+    const trakChildren = listAtoms(bytes, trak.dataStart, trak.end);
+    const hdlr = findAtom(bytes, trakChildren, ['mdia', 'hdlr']);
+    if (!hdlr || ascii(bytes, hdlr.atom.dataStart + 8, 4) !== 'soun') return false;
+
+    const stsd = findAtom(bytes, trakChildren, ['mdia', 'minf', 'stbl', 'stsd']);
+    if (stsd) {
+      const entry = listAtoms(bytes, stsd.atom.dataStart + 8, stsd.atom.end)[0];
+      if (entry) {
+        tags.codec = entry.type.trim();
+        tags.channels = uint16BE(bytes, entry.dataStart + 16);
+        tags.sampleRate = uint16BE(bytes, entry.dataStart + 24);
+      }
+    }
+    return true;
+  });
+
+  if (tags.codec === 'alac') tags.format = 'ALAC';
+  else if (tags.codec === 'mp4a') tags.format = 'AAC';
+
+  if (tags.duration > 0 && mdatSize > 0) {
+    tags.bitrate = Math.round((mdatSize * 8) / tags.duration / 1000);
+  }
+
+  const ilst = findAtom(bytes, top, ['moov', 'udta', 'meta', 'ilst']);
+  if (ilst) {
+    Object.assign(tags, parseIlst(bytes, ilst.children));
+  }
+
+  return tags;
+}
+
+// ==========================================
+// WAV
+// ==========================================
+
+// RIFF chunks after the WAVE header: [{ id, start, size, dataStart }].
+// Sizes are clamped to the file, since streaming writers leave them open.
+async function listRiffChunks(reader) {
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= reader.size) {
+    const header = await reader.read(offset, offset + 8);
+    const size = Math.min(uint32LE(header, 4), reader.size - offset - 8);
+    chunks.push({ id: ascii(header, 0, 4), start: offset, size, dataStart: offset + 8 });
+    offset += 8 + size + (size & 1); // chunks are padded to an even length
+  }
+
+  return chunks;
+}
+
+// INFO text has no declared encoding: UTF-8 when it decodes, else Latin-1
+const strictUtf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+function decodeRiffText(bytes) {
+  let end = bytes.indexOf(0);
+  if (end < 0) end = bytes.length;
+  try {
+    return strictUtf8Decoder.decode(bytes.subarray(0, end)).trim();
+  } catch (error) {
+    return latin1Decoder.decode(bytes.subarray(0, end)).trim();
+  }
+}
+
+// LIST/INFO chunk data (starting with 'INFO') -> tag fields
+function parseRiffInfo(bytes) {
+  const tags = {};
+  let offset = 4;
+
+  while (offset + 8 <= bytes.length) {
+    const id = ascii(bytes, offset, 4);
+    const size = uint32LE(bytes, offset + 4);
+    const text = decodeRiffText(bytes.subarray(offset + 8, offset + 8 + size));
+    const spec = EDITABLE_FIELDS.find(item => item.riff === id);
+    if (spec && text) tags[spec.field] = spec.parse ? spec.parse(text) : text;
+    offset += 8 + size + (size & 1);
+  }
+
+  return tags;
+}
+
+async function parseWav(reader) {
+  const tags = { format: 'WAV' };
+  let byteRate = 0;
+  let dataSize = 0;
+  let id3 = null;
+
+  for (const chunk of await listRiffChunks(reader)) {
+    if (chunk.id === 'fmt ') {
+      const fmt = await reader.read(chunk.dataStart, chunk.dataStart + 16);
+      tags.channels = uint16LE(fmt, 2);
+      tags.sampleRate = uint32LE(fmt, 4);
+      byteRate = uint32LE(fmt, 8);
+      tags.bitsPerSample = uint16LE(fmt, 14);
+    } else if (chunk.id === 'data') {
+      dataSize = chunk.size;
+    } else if (chunk.id === 'LIST') {
+      const data = await reader.read(chunk.dataStart, chunk.dataStart + chunk.size);
+      if (ascii(data, 0, 4) === 'INFO') Object.assign(tags, parseRiffInfo(data));
+    } else if (chunk.id === 'id3 ' || chunk.id === 'ID3 ') {
+      id3 = parseId3v2(await reader.read(chunk.dataStart, chunk.dataStart + chunk.size));
+    }
+  }
+
+  // ID3 can say more than INFO, so it wins where it has a value
+  if (id3) {
+    Object.keys(id3).forEach((key) => {
+      if (id3[key] != null && key !== 'duration') tags[key] = id3[key];
+    });
+  }
+
+  if (byteRate > 0) {
+    tags.bitrate = Math.round((byteRate * 8) / 1000);
+    if (dataSize > 0) tags.duration = dataSize / byteRate;
+  }
+
+  return tags;
+}
+
+// ==========================================
+// WRITING (ID3v2.4 FOR MP3 AND WAV, VORBIS COMMENTS FOR FLAC)
+// ==========================================
+
+// Only fields whose value actually changed are rewritten; every other frame
+// or comment is copied as it was, so nothing the editor does not know about
+// is lost. Compressed and encrypted ID3 frames are copied unread, with their
+// flags.
+
+const utf8Encoder = new TextEncoder();
+
+const EDITABLE_FIELDS = [
+  { field: 'title', id3: 'TIT2', vorbis: ['TITLE'], riff: 'INAM' },
+  { field: 'artist', id3: 'TPE1', vorbis: ['ARTIST'], riff: 'IART' },
+  { field: 'album', id3: 'TALB', vorbis: ['ALBUM'], riff: 'IPRD' },
+  { field: 'trackNumber', id3: 'TRCK', vorbis: ['TRACKNUMBER'], riff: 'ITRK', numeric: true, parse: value => parsePosition(value).number },
+  { field: 'year', id3: 'TDRC', vorbis: ['DATE', 'YEAR'], riff: 'ICRD', numeric: true, parse: parseYear },
+  { field: 'genre', id3: 'TCON', vorbis: ['GENRE'], riff: 'IGNR', parse: parseGenre }
+];
+
+// ID3v2.3 frames that have no place in a v2.4 tag
+const ID3V23_ONLY_FRAMES = ['TYER', 'TDAT', 'TIME', 'TRDA', 'TSIZ', 'TORY', 'IPLS', 'RVAD', 'EQUA'];
+
+function concatBytes(parts) {
+  const length = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(length);
+  let offset = 0;
+  parts.forEach((part) => {
+    result.set(part, offset);
+    offset += part.length;
+  });
+  return result;
+}
+
+function syncsafeBytes(value) {
+  return new Uint8Array([(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f]);
+}
+
+function uint32BEBytes(value) {
+  return new Uint8Array([(value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]);
+}
+
+function uint32LEBytes(value) {
+  return new Uint8Array([value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff]);
+}
+
+function sameBytes(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
+
+// Index of the picture the reader shows as the cover: the front cover,
+// otherwise the first picture
+function coverIndex(pictures) {
+  const front = pictures.findIndex(picture => picture.type === 3);
+  return front >= 0 ? front : (pictures.length > 0 ? 0 : -1);
+}
+
+function normalizeEdit(spec, value) {
+  if (spec.numeric) {
+    const number = parseInt(value, 10);
+    return number > 0 ? number : null;
+  }
+  return value == null ? null : String(value).trim() || null;
+}
+
+// null when the stored text already says the same thing, otherwise the
+// new text ('' removes the field)
+function editedText(spec, oldText, value) {
+  const oldValue = spec.parse ? spec.parse(oldText) : (oldText || '').trim() || null;
+  if (oldValue === value) return null;
+  if (value === null) return '';
+
+  if (spec.field === 'trackNumber') {
+    const total = parsePosition(oldText).total;
+    return total ? `${value}/${total}` : String(value);
+  }
+  return String(value);
+}
+
+function id3Frame(id, data, flags = 0) {
+  return concatBytes([utf8Encoder.encode(id), syncsafeBytes(data.length), new Uint8Array([flags >> 8, flags & 0xff]), data]);
+}
+
+function id3TextData(text) {
+  return concatBytes([new Uint8Array([3]), utf8Encoder.encode(text)]);
+}
+
+function id3PictureData(picture) {
+  return concatBytes([
+    new Uint8Array([3]),
+    utf8Encoder.encode(picture.format),
+    new Uint8Array([0, 3, 0]), // mime terminator, front cover, empty description
+    picture.data
+  ]);
+}
+
+// Whole ID3v2.4 tag with the edits applied to `existing`, the bytes of the
+// current ID3v2 tag or null
+function buildId3Tag(existing, tags) {
+  let version = 4;
+  let frames = [];
+
+  if (existing) {
+    const parsed = readId3v2Frames(existing);
+    version = parsed.version;
+    frames = parsed.frames
+      .map(frame => ({ ...frame, id: ID3_FRAME_NAMES[frame.id] || frame.id }))
+      // v2.2 frames without a v2.4 name, and v2.2 PIC whose layout differs
+      .filter(frame => frame.id.length === 4 && !(version === 2 && frame.id === 'APIC'))
+      .filter(frame => !ID3V23_ONLY_FRAMES.includes(frame.id));
+  }
+
+  // A v2.3 year lived in TYER, dropped above, so it comes back as TDRC
+  const added = [];
+  EDITABLE_FIELDS.forEach((spec) => {
+    const value = normalizeEdit(spec, tags[spec.field]);
+    const current = frames.find(frame => frame.id === spec.id3 && !frame.opaque);
+    const text = editedText(spec, current ? readId3TextFrame(current.data) : null, value);
+    if (text === null) return;
+
+    frames = frames.filter(frame => frame.id !== spec.id3);
+    if (text) added.push(id3Frame(spec.id3, id3TextData(text)));
+  });
+
+  const pictures = frames
+    .filter(frame => frame.id === 'APIC' && !frame.opaque)
+    .map(frame => ({ frame, ...readId3Picture(frame.data, 4) }));
+  const cover = pictures[coverIndex(pictures)];
+
+  if (!(cover && tags.picture && sameBytes(cover.data, tags.picture.data)) && (cover || tags.picture)) {
+    if (cover) {
+      const removed = pictures.filter(picture => picture === cover || picture.type === 3).map(picture => picture.frame);
+      frames = frames.filter(frame => !removed.includes(frame));
+    }
+    if (tags.picture) {
+      added.push(id3Frame('APIC', id3PictureData(tags.picture)));
+    }
+  }
+
+  const body = concatBytes([
+    ...frames.map(frame => id3Frame(frame.id, frame.data, frame.flags)),
+    ...added,
+    new Uint8Array(2048) // padding for later in-place edits
+  ]);
+  const header = concatBytes([new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0]), syncsafeBytes(body.length)]);
+  return concatBytes([header, body]);
+}
+
+async function writeMp3(reader, tags) {
+  const tagSize = id3v2Size(await reader.read(0, 10));
+  const tag = buildId3Tag(tagSize > 0 ? await reader.read(0, tagSize) : null, tags);
+
+  // ID3v1 cannot hold most of the edits; drop it rather than leave stale values
+  const tail = await reader.read(reader.size - 128, reader.size);
+  const audioEnd = reader.size - (parseId3v1(tail) ? 128 : 0);
+
+  return new Blob([tag, reader.file.slice(tagSize, audioEnd)], { type: 'audio/mpeg' });
+}
+
+function riffChunk(id, data) {
+  const parts = [utf8Encoder.encode(id), uint32LEBytes(data.length), data];
+  if (data.length & 1) parts.push(new Uint8Array(1));
+  return concatBytes(parts);
+}
+
+// WAV keeps the ID3 edits in an 'id3 ' chunk and mirrors the result in
+// LIST/INFO for players that only read that; all other chunks are copied
+async function writeWav(reader, tags) {
+  const kept = [];
+  let existing = null;
+
+  for (const chunk of await listRiffChunks(reader)) {
+    const end = chunk.dataStart + chunk.size + (chunk.size & 1);
+    if (chunk.id === 'id3 ' || chunk.id === 'ID3 ') {
+      existing = await reader.read(chunk.dataStart, chunk.dataStart + chunk.size);
+    } else if (chunk.id === 'LIST' && ascii(await reader.read(chunk.dataStart, chunk.dataStart + 4), 0, 4) === 'INFO') {
+      continue;
+    } else {
+      kept.push(reader.file.slice(chunk.start, end));
+    }
+  }
+
+  const info = [utf8Encoder.encode('INFO')];
+  EDITABLE_FIELDS.forEach((spec) => {
+    const value = normalizeEdit(spec, tags[spec.field]);
+    if (value !== null) info.push(riffChunk(spec.riff, utf8Encoder.encode(`${value}\0`)));
+  });
+
+  const added = [riffChunk('id3 ', buildId3Tag(existing, tags))];
+  if (info.length > 1) added.push(riffChunk('LIST', concatBytes(info)));
+
+  const size = 4 + kept.reduce((sum, part) => sum + part.size, 0) + added.reduce((sum, part) => sum + part.length, 0);
+  const header = concatBytes([utf8Encoder.encode('RIFF'), uint32LEBytes(size), utf8Encoder.encode('WAVE')]);
+
+  return new Blob([header, ...kept, ...added], { type: 'audio/wav' });
+}
+
+function flacPictureData(picture) {
+  const mime = utf8Encoder.encode(picture.format);
+  return concatBytes([
+    uint32BEBytes(3),
+    uint32BEBytes(mime.length), mime,
+    uint32BEBytes(0), // description
+    new Uint8Array(16), // width, height, depth, colors: unknown
+    uint32BEBytes(picture.data.length), picture.data
+  ]);
+}
+
+function vorbisCommentData(vendor, entries) {
+  const vendorBytes = utf8Encoder.encode(vendor);
+  const parts = [uint32LEBytes(vendorBytes.length), vendorBytes, uint32LEBytes(entries.length)];
+  entries.forEach((entry) => {
+    const bytes = utf8Encoder.encode(entry);
+    parts.push(uint32LEBytes(bytes.length), bytes);
+  });
+  return concatBytes(parts);
+}
+
+async function writeFlac(reader, tags) {
+  // An ID3v2 tag in front of a FLAC stream is non-standard and not kept
+  const start = id3v2Size(await reader.read(0, 10));
+  let offset = start + 4;
+  let last = false;
+  const blocks = [];
+
+  while (!last && offset + 4 <= reader.size) {
+    const header = await reader.read(offset, offset + 4);
+    last = (header[0] & 0x80) !== 0;
+    const length = uint24BE(header, 1);
+    blocks.push({ type: header[0] & 0x7f, data: await reader.read(offset + 4, offset + 4 + length) });
+    offset += 4 + length;
+  }
+
+  if (blocks.length === 0 || blocks[0].type !== 0) {
+    throw new Error('FLAC stream info not found');
+  }
+
+  // Comments: keep every entry except the ones being replaced
+  const commentBlock = blocks.find(block => block.type === 4);
+  const comments = commentBlock ? readVorbisEntries(commentBlock.data) : { vendor: 'Vinyl Player', entries: [] };
+  const keyOf = entry => entry.slice(0, Math.max(0, entry.indexOf('='))).toUpperCase();
+  const valueOf = key => {
+    const entry = comments.entries.find(item => keyOf(item) === key);
+    return entry ? entry.slice(entry.indexOf('=') + 1) : null;
+  };
+
+  EDITABLE_FIELDS.forEach((spec) => {
+    const value = normalizeEdit(spec, tags[spec.field]);
+    const current = spec.vorbis.map(valueOf).find(item => item !== null);
+    const text = editedText(spec, current, value);
+    if (text === null) return;
+
+    comments.entries = comments.entries.filter(entry => !spec.vorbis.includes(keyOf(entry)));
+    if (text) comments.entries.push(`${spec.vorbis[0]}=${text}`);
+  });
+
+  const commentData = vorbisCommentData(comments.vendor, comments.entries);
+
+  // Pictures: replace the cover block, keep the rest
+  let kept = blocks.filter(block => block.type !== 1 && block.type !== 4); // padding is rebuilt
+  const pictures = kept
+    .filter(block => block.type === 6)
+    .map(block => ({ block, ...parseFlacPicture(block.data) }));
+  const cover = pictures[coverIndex(pictures)];
+  let newPicture = null;
+
+  if (!(cover && tags.picture && sameBytes(cover.data, tags.picture.data)) && (cover || tags.picture)) {
+    if (cover) {
+      const removed = pictures.filter(picture => picture === cover || picture.type === 3).map(picture => picture.block);
+      kept = kept.filter(block => !removed.includes(block));
+    }
+    if (tags.picture) {
+      newPicture = { type: 6, data: flacPictureData(tags.picture) };
+    }
+  }
+
+  const output = [
+    kept[0],
+    { type: 4, data: commentData },
+    ...kept.slice(1),
+    ...(newPicture ? [newPicture] : []),
+    { type: 1, data: new Uint8Array(4096) }
+  ];
+
+  const parts = [utf8Encoder.encode('fLaC')];
+  output.forEach((block, i) => {
+    const flag = i === output.length - 1 ? 0x80 : 0;
+    const length = block.data.length;
+    parts.push(new Uint8Array([flag | block.type, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff]), block.data);
+  });
+
+  return new Blob([concatBytes(parts), reader.file.slice(offset)], { type: 'audio/flac' });
+}
+
+async function writeTags(file, tags) {
+  const reader = new RangeReader(file);
+  const head = await reader.read(0, 65536);
+  const skip = id3v2Size(head);
+  const marker = ascii(await reader.read(skip, skip + 4), 0, 4);
+
+  if (marker === 'fLaC') return writeFlac(reader, tags);
+  if (ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 4) === 'WAVE') return writeWav(reader, tags);
+  if (skip > 0 || parseMpegHeader(head, 0) || /\.mp3$/i.test(file.name || '')) {
+    return writeMp3(reader, tags);
+  }
+
+  throw new Error('unsupported format');
+}
+
+// ==========================================
+// ENTRY POINT
+// ==========================================
+
+async function readTags(file) {
+  const reader = new RangeReader(file);
+  let head = await reader.read(0, 65536);
+
+  // Some FLAC files carry an ID3v2 tag in front of the stream marker
+  const skip = id3v2Size(head);
+  if (skip > 0) {
+    const marker = await reader.read(skip, skip + 4);
+    if (ascii(marker, 0, 4) === 'fLaC') {
+      return parseFlac(reader, skip);
+    }
+    if (skip > head.length) {
+      head = await reader.read(0, skip);
+    }
+    return parseMp3(reader, head);
+  }
+
+  if (ascii(head, 0, 4) === 'fLaC') return parseFlac(reader, 0);
+  if (ascii(head, 0, 4) === 'OggS') return parseOgg(reader);
+  if (ascii(head, 0, 4) === 'RIFF' && ascii(head, 8, 4) === 'WAVE') return parseWav(reader);
+  if (ascii(head, 4, 4) === 'ftyp') return parseMp4(reader);
+  if (parseMpegHeader(head, 0) || /\.mp3$/i.test(file.name || '')) return parseMp3(reader, head);
+
+  return null;
+}
+
+// Drop empty fields so the caller can fall back field by field
+function clean(tags) {
+  if (!tags) return null;
+  Object.keys(tags).forEach((key) => {
+    if (tags[key] == null || tags[key] === '' || Number.isNaN(tags[key])) delete tags[key];
+  });
+  return tags;
+}
+
+self.onmessage = async (event) => {
+  const { id, type, file } = event.data;
+
+  try {
+    if (type === 'read') {
+      const tags = clean(await readTags(file));
+      const transfer = tags && tags.picture ? [tags.picture.data.buffer] : [];
+      self.postMessage({ id, tags }, transfer);
+    } else if (type === 'write') {
+      const blob = await writeTags(file, event.data.tags);
+      self.postMessage({ id, blob });
+    }
+  } catch (error) {
+    self.postMessage({ id, error: error.message || String(error) });
+  }
+};
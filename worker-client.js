@@ -0,0 +1,90 @@
+// ==========================================
+// WORKER CLIENT - PROMISE-BASED WORKER CALLS
+// ==========================================
+
+// Wraps a dedicated worker that answers { id, ... } to every { id, type, ... }
+// request, or { id, error } on failure. The worker starts on first use.
+// Requests reject when the worker fails or cannot start (e.g. pages opened
+// from file://), and the client then reports itself unavailable so callers
+// can fall back. A worker may also send { id, progress } before its answer.
+class WorkerClient {
+  constructor(url) {
+    this.url = url;
+    this.worker = null;
+    this.failed = false;
+    this.nextId = 1;
+    this.pending = new Map();
+  }
+
+  get available() {
+    return !this.failed && typeof Worker !== 'undefined';
+  }
+
+  start() {
+    if (this.worker) return this.worker;
+    if (!this.available) throw new Error(`Worker unavailable: ${this.url}`);
+
+    try {
+      this.worker = new Worker(this.url);
+    } catch (error) {
+      this.failed = true;
+      throw error;
+    }
+
+    this.worker.onmessage = (event) => {
+      const { id, error } = event.data;
+      const request = this.pending.get(id);
+      if (!request) return;
+
+      if ('progress' in event.data && !error) {
+        if (request.onProgress) request.onProgress(event.data.progress);
+        return;
+      }
+
+      this.pending.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(event.data);
+      }
+    };
+
+    // A worker that fails to load never answers: reject everything pending
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.failed = true;
+      this.worker.terminate();
+      this.worker = null;
+      this.pending.forEach(request => request.reject(new Error(event.message || `Worker failed: ${this.url}`)));
+      this.pending.clear();
+    };
+
+    return this.worker;
+  }
+
+  // Stops the worker mid-task; pending requests reject and the next one
+  // starts a fresh worker
+  terminate() {
+    if (!this.worker) return;
+    this.worker.terminate();
+    this.worker = null;
+    this.pending.forEach(request => request.reject(new Error('cancelled')));
+    this.pending.clear();
+  }
+
+  request(message, transfer = [], onProgress = null) {
+    return new Promise((resolve, reject) => {
+      let worker;
+      try {
+        worker = this.start();
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      const id = this.nextId++;
+      this.pending.set(id, { resolve, reject, onProgress });
+      worker.postMessage({ ...message, id }, transfer);
+    });
+  }
+}